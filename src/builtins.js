@@ -0,0 +1,118 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/* Built-in type names and aliases mapped to their `information_schema` data type and udt name. */
+const BUILTIN_TYPES = {
+  integer: ["integer", "int4"],
+  int: ["integer", "int4"],
+  int4: ["integer", "int4"],
+  serial: ["integer", "int4"],
+  serial4: ["integer", "int4"],
+  bigint: ["bigint", "int8"],
+  int8: ["bigint", "int8"],
+  bigserial: ["bigint", "int8"],
+  serial8: ["bigint", "int8"],
+  smallint: ["smallint", "int2"],
+  int2: ["smallint", "int2"],
+  smallserial: ["smallint", "int2"],
+  serial2: ["smallint", "int2"],
+  numeric: ["numeric", "numeric"],
+  decimal: ["numeric", "numeric"],
+  real: ["real", "float4"],
+  float4: ["real", "float4"],
+  "double precision": ["double precision", "float8"],
+  float8: ["double precision", "float8"],
+  float: ["double precision", "float8"],
+  boolean: ["boolean", "bool"],
+  bool: ["boolean", "bool"],
+  "character varying": ["character varying", "varchar"],
+  varchar: ["character varying", "varchar"],
+  character: ["character", "bpchar"],
+  char: ["character", "bpchar"],
+  bpchar: ["character", "bpchar"],
+  text: ["text", "text"],
+  date: ["date", "date"],
+  timestamp: ["timestamp without time zone", "timestamp"],
+  "timestamp without time zone": ["timestamp without time zone", "timestamp"],
+  "timestamp with time zone": ["timestamp with time zone", "timestamptz"],
+  timestamptz: ["timestamp with time zone", "timestamptz"],
+  time: ["time without time zone", "time"],
+  "time without time zone": ["time without time zone", "time"],
+  "time with time zone": ["time with time zone", "timetz"],
+  timetz: ["time with time zone", "timetz"],
+  interval: ["interval", "interval"],
+  uuid: ["uuid", "uuid"],
+  json: ["json", "json"],
+  jsonb: ["jsonb", "jsonb"],
+  bytea: ["bytea", "bytea"],
+  money: ["money", "money"],
+  inet: ["inet", "inet"],
+  cidr: ["cidr", "cidr"],
+  macaddr: ["macaddr", "macaddr"],
+  macaddr8: ["macaddr8", "macaddr8"],
+  xml: ["xml", "xml"],
+  tsvector: ["tsvector", "tsvector"],
+  tsquery: ["tsquery", "tsquery"],
+  bit: ["bit", "bit"],
+  "bit varying": ["bit varying", "varbit"],
+  varbit: ["bit varying", "varbit"],
+  oid: ["oid", "oid"],
+  int4range: ["int4range", "int4range"],
+  int8range: ["int8range", "int8range"],
+  numrange: ["numrange", "numrange"],
+  tsrange: ["tsrange", "tsrange"],
+  tstzrange: ["tstzrange", "tstzrange"],
+  daterange: ["daterange", "daterange"],
+  int4multirange: ["int4multirange", "int4multirange"],
+  int8multirange: ["int8multirange", "int8multirange"],
+  nummultirange: ["nummultirange", "nummultirange"],
+  tsmultirange: ["tsmultirange", "tsmultirange"],
+  tstzmultirange: ["tstzmultirange", "tstzmultirange"],
+  datemultirange: ["datemultirange", "datemultirange"],
+};
+
+/**
+ * The function `getBuiltinDataType` returns the `information_schema` data type of a built-in type
+ * from its udt name, e.g. "integer" for "int4". Used to resolve the element type of arrays, which
+ * are reported as "ARRAY" with udt names like "_int4".
+ * @param udtName - The udt name of the type.
+ * @returns the data type, or null when the type is not a built-in type.
+ */
+function getBuiltinDataType(udtName) {
+  const builtin = Object.values(BUILTIN_TYPES).find((type) => type[1] === udtName);
+  return builtin ? builtin[0] : null;
+}
+
+/* The ways `bigint`, `numeric` and `money` columns can be represented, see `getNumericRepresentation`. */
+const NUMERIC_MODES = ["number", "bigint", "string"];
+
+/**
+ * The function `getNumericRepresentation` decides how the value of a column is represented for the
+ * given numeric mode. In "number" mode every number is a JavaScript number. In "bigint" mode
+ * `bigint` columns and `numeric` columns without a scale are a bigint, and other `numeric` and
+ * `money` columns a decimal string. In "string" mode `bigint`, `numeric` and `money` columns are all
+ * decimal strings. Other number types always fit a JavaScript number.
+ * @param column - A column of the model.
+ * @param [numericMode=number] - One of `NUMERIC_MODES`.
+ * @returns "number", "bigint" or "string".
+ */
+function getNumericRepresentation(column, numericMode = "number") {
+  const { dataType, numericScale } = column;
+  if (!["bigint", "numeric", "money"].includes(dataType) || numericMode === "number") {
+    return "number";
+  }
+  if (numericMode === "bigint") {
+    const isIntegral = dataType === "bigint" || (dataType === "numeric" && numericScale === 0);
+    return isIntegral ? "bigint" : "string";
+  }
+  return "string";
+}
+
+module.exports = {
+  BUILTIN_TYPES,
+  NUMERIC_MODES,
+  getBuiltinDataType,
+  getNumericRepresentation,
+};
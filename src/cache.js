@@ -0,0 +1,76 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/*
+ * The snapshot of an introspected model kept on disk with the `cache` option of `introspect`. It
+ * is used instead of reading the catalog as long as the catalog fingerprint, the database, the
+ * introspection options and the version of pgtozod are the same.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { compareNames } = require("./utils.js");
+const { version } = require("../package.json");
+
+const DEFAULT_CACHE_PATH = ".pgtozod-cache.json";
+
+/**
+ * The function `getCacheKey` returns the key a snapshot is stored under: a hash of what the model
+ * depends on.
+ * @param fingerprint - The catalog fingerprint returned by `getCatalogFingerprint`.
+ * @param options - The options the model is introspected with, like the source and the schemas.
+ * @returns the SHA-256 hash as a hex string.
+ */
+function getCacheKey(fingerprint, options) {
+  // The rows of the fingerprint come in no particular order
+  const sorted = (hashes) => Object.entries(hashes).sort(([a], [b]) => compareNames(a, b));
+  const parts = {
+    version,
+    options,
+    tables: sorted(fingerprint.tables),
+    types: sorted(fingerprint.types),
+    functions: sorted(fingerprint.functions || {}),
+    role: fingerprint.role || null,
+  };
+  return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+}
+
+/**
+ * The function `readCache` reads the model of a snapshot.
+ * @param cachePath - The path of the snapshot file.
+ * @param key - The key returned by `getCacheKey`.
+ * @returns the model, or null when there is no snapshot, it can not be read or it was stored
+ * under another key.
+ */
+function readCache(cachePath, key) {
+  let snapshot;
+  try {
+    snapshot = JSON.parse(fs.readFileSync(cachePath, "utf8"));
+  } catch (err) {
+    // A missing or damaged snapshot is replaced by the next one
+    if (err.code === "ENOENT" || err instanceof SyntaxError) return null;
+    throw err;
+  }
+  return snapshot && snapshot.key === key ? snapshot.model : null;
+}
+
+/**
+ * The function `writeCache` stores a model as the snapshot, replacing the previous one.
+ * @param cachePath - The path of the snapshot file.
+ * @param key - The key returned by `getCacheKey`.
+ * @param model - The model returned by `introspect`.
+ */
+function writeCache(cachePath, key, model) {
+  fs.mkdirSync(path.dirname(path.resolve(cachePath)), { recursive: true });
+  fs.writeFileSync(cachePath, JSON.stringify({ version, key, model }));
+}
+
+module.exports = {
+  DEFAULT_CACHE_PATH,
+  getCacheKey,
+  readCache,
+  writeCache,
+};
@@ -0,0 +1,51 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { createTwoFilesPatch } = require("diff");
+const { mergeRegions } = require("./output.js");
+
+/**
+ * The function `check` compares generated files with the files already in the output directory.
+ * The custom regions of the files on disk are carried over first, so they are not reported as
+ * differences. Nothing is written to disk.
+ * @param files - The files returned by `generate`.
+ * @param outputDir - The path of the output directory to compare against.
+ * @returns an array with one `{ schema, table, path, status, diff }` entry per file, where status is
+ * "unchanged", "changed" or "missing" and diff is a unified diff from the file on disk to the
+ * generated contents (null when unchanged).
+ */
+function check(files, outputDir) {
+  return files.map((file) => {
+    const filePath = path.join(outputDir, file.path);
+    const current = fs.existsSync(filePath)
+      ? fs.readFileSync(filePath, "utf8")
+      : null;
+
+    const contents = mergeRegions(file.contents, current);
+
+    let status = "unchanged";
+    if (current === null) status = "missing";
+    else if (current !== contents) status = "changed";
+
+    const diff =
+      status === "unchanged"
+        ? null
+        : createTwoFilesPatch(
+            current === null ? "/dev/null" : `a/${file.path}`,
+            `b/${file.path}`,
+            current || "",
+            contents,
+            undefined,
+            undefined,
+            { context: 3 }
+          );
+
+    return { schema: file.schema, table: file.table, path: file.path, status, diff };
+  });
+}
+
+module.exports = { check };
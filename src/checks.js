@@ -0,0 +1,407 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/*
+ * Translation of CHECK constraints into validation rules. Checks on a single column become
+ * constraints on the column type (bounds, lengths, patterns, a list of values or a JavaScript
+ * test), checks spanning several columns become a test on the object. The emitters render them for
+ * their target, e.g. as `.min()` or `.superRefine()` for Zod. Checks that can not be translated
+ * are returned so they can be reported.
+ */
+
+const {
+  parseExpression,
+  unwrapCasts,
+  getColumnReferences,
+} = require("./expression.js");
+const { camelCase, quote, toRegExpLiteral } = require("./utils.js");
+const { getNumericRepresentation } = require("./builtins.js");
+const { getColumnMessages } = require("./messages.js");
+
+const NUMERIC_TYPES = [
+  "integer",
+  "bigint",
+  "numeric",
+  "smallint",
+  "double precision",
+  "real",
+  "money",
+];
+
+const STRING_TYPES = ["character varying", "character", "text"];
+
+const LENGTH_FUNCTIONS = ["char_length", "character_length", "length"];
+
+/* Comparison operators with their operands swapped, for `0 < col`. */
+const FLIPPED_OPERATORS = { "<": ">", ">": "<", "<=": ">=", ">=": "<=", "=": "=" };
+
+/**
+ * The function `toJavaScript` translates an expression node to a JavaScript expression.
+ * @param node - An expression node returned by `parseExpression`.
+ * @param reference - A function returning the JavaScript expression for a column name.
+ * @returns the JavaScript source. Throws when the expression can not be translated.
+ */
+function toJavaScript(node, reference) {
+  const js = (child) => toJavaScript(child, reference);
+
+  switch (node.type) {
+    case "number":
+      return String(node.value);
+    case "string":
+      return quote(node.value);
+    case "boolean":
+      return String(node.value);
+    case "null":
+      return "null";
+    case "column":
+      return reference(node.name);
+    case "cast":
+      if (/date|time|interval/.test(node.dataType) && node.expression.type === "string") {
+        throw new Error(`Can not translate ${node.dataType} literal`);
+      }
+      return js(node.expression);
+    case "isNull":
+      return `(${js(node.expression)} ${node.negated ? "!=" : "=="} null)`;
+    case "between": {
+      const value = js(node.expression);
+      const test = `(${value} >= ${js(node.low)} && ${value} <= ${js(node.high)})`;
+      return node.negated ? `!${test}` : test;
+    }
+    case "in": {
+      const test = `[${node.list.map(js).join(", ")}].includes(${js(node.expression)})`;
+      return node.negated ? `!${test}` : test;
+    }
+    case "any": {
+      const elements = unwrapCasts(node.right);
+      if (node.operator !== "=" || node.quantifier !== "any" || elements.type !== "array") {
+        throw new Error("Can not translate ANY/ALL expression");
+      }
+      return `[${elements.elements.map(js).join(", ")}].includes(${js(node.left)})`;
+    }
+    case "unary":
+      return node.operator === "not" ? `!(${js(node.operand)})` : `-(${js(node.operand)})`;
+    case "function": {
+      const [argument] = node.args;
+      if (LENGTH_FUNCTIONS.includes(node.name)) return `${js(argument)}.length`;
+      if (node.name === "lower") return `${js(argument)}.toLowerCase()`;
+      if (node.name === "upper") return `${js(argument)}.toUpperCase()`;
+      if (node.name === "btrim" || node.name === "trim") return `${js(argument)}.trim()`;
+      if (node.name === "abs") return `Math.abs(${js(argument)})`;
+      throw new Error(`Can not translate function ${node.name}()`);
+    }
+    case "binary": {
+      const operators = {
+        and: "&&",
+        or: "||",
+        "=": "===",
+        "<>": "!==",
+        "!=": "!==",
+        "<": "<",
+        ">": ">",
+        "<=": "<=",
+        ">=": ">=",
+        "+": "+",
+        "-": "-",
+        "*": "*",
+        "/": "/",
+        "%": "%",
+        "||": "+",
+      };
+      const right = unwrapCasts(node.right);
+      if (["~", "~*", "!~", "!~*"].includes(node.operator) && right.type === "string") {
+        const test = `${toRegExpLiteral(right.value, node.operator.includes("*") ? "i" : "")}.test(${js(node.left)})`;
+        return node.operator.startsWith("!") ? `!${test}` : test;
+      }
+      if (!operators[node.operator]) {
+        throw new Error(`Can not translate operator ${node.operator}`);
+      }
+      return `(${js(node.left)} ${operators[node.operator]} ${js(node.right)})`;
+    }
+    default:
+      throw new Error(`Can not translate ${node.type} expression`);
+  }
+}
+
+/**
+ * The function `toConstraints` translates a check on a single column to constraints, if it has one
+ * of the common shapes: comparisons with a number, BETWEEN, length comparisons, IN lists and
+ * regular expression matches. Conjunctions are translated when both sides are.
+ *
+ * A constraint is an object `{ kind, value, message }` where kind is "min", "max", "gt" or "lt"
+ * for numbers and "min", "max" or "length" for the length of strings, or `{ kind: "regex",
+ * pattern, flags, message }` for a POSIX regular expression, whose common subset with JavaScript
+ * regular expressions is the same.
+ * @param node - An expression node returned by `parseExpression`.
+ * @param column - The column the check applies to.
+ * @param message - The function formatting the messages of the column, see `getColumnMessages`.
+ * @param [options] - The generation options; columns represented as a bigint in the chosen
+ * `numericMode` are only given integer bounds, and columns represented as a string none.
+ * @returns an object `{ constraints, enumValues }`, or null when the check has another shape.
+ */
+function toConstraints(node, column, message, options = {}) {
+  const representation = getNumericRepresentation(column, options.numericMode);
+  const isNumeric = NUMERIC_TYPES.includes(column.dataType) && representation !== "string";
+  const isString = STRING_TYPES.includes(column.dataType);
+  const isColumn = (candidate) => {
+    const inner = unwrapCasts(candidate);
+    return inner.type === "column" && inner.name === column.name;
+  };
+  const numberOf = (candidate) => {
+    const inner = unwrapCasts(candidate);
+    if (inner.type !== "number") return null;
+    return representation === "bigint" && !Number.isInteger(inner.value) ? null : inner.value;
+  };
+
+  if (node.type === "binary" && node.operator === "and") {
+    const left = toConstraints(node.left, column, message, options);
+    const right = toConstraints(node.right, column, message, options);
+    if (!left || !right || (left.enumValues && right.enumValues)) return null;
+    return {
+      constraints: [...left.constraints, ...right.constraints],
+      enumValues: left.enumValues || right.enumValues,
+    };
+  }
+
+  if (node.type === "between" && !node.negated && isNumeric && isColumn(node.expression)) {
+    const low = numberOf(node.low);
+    const high = numberOf(node.high);
+    if (low === null || high === null) return null;
+    return {
+      constraints: [
+        { kind: "min", value: low, message: message("min", { min: low }) },
+        { kind: "max", value: high, message: message("max", { max: high }) },
+      ],
+    };
+  }
+
+  if (node.type === "binary" && FLIPPED_OPERATORS[node.operator]) {
+    let { operator, left, right } = node;
+    if (numberOf(left) !== null) {
+      [left, right] = [right, left];
+      operator = FLIPPED_OPERATORS[operator];
+    }
+    const value = numberOf(right);
+    if (value === null) return null;
+
+    if (isNumeric && isColumn(left)) {
+      const constraints = {
+        ">": { kind: "gt", value, message: message("gt", { value }) },
+        ">=": { kind: "min", value, message: message("min", { min: value }) },
+        "<": { kind: "lt", value, message: message("lt", { value }) },
+        "<=": { kind: "max", value, message: message("max", { max: value }) },
+      };
+      return constraints[operator] ? { constraints: [constraints[operator]] } : null;
+    }
+
+    const inner = unwrapCasts(left);
+    if (
+      isString &&
+      inner.type === "function" &&
+      LENGTH_FUNCTIONS.includes(inner.name) &&
+      inner.args.length === 1 &&
+      isColumn(inner.args[0])
+    ) {
+      const min = (n) => ({ kind: "min", value: n, message: message("minLength", { min: n }) });
+      const max = (n) => ({ kind: "max", value: n, message: message("maxLength", { max: n }) });
+      const constraints = {
+        ">": min(value + 1),
+        ">=": min(value),
+        "<": max(value - 1),
+        "<=": max(value),
+        "=": { kind: "length", value, message: message("length", { length: value }) },
+      };
+      return { constraints: [constraints[operator]] };
+    }
+    return null;
+  }
+
+  if (node.type === "binary" && ["~", "~*"].includes(node.operator) && isString) {
+    const pattern = unwrapCasts(node.right);
+    if (!isColumn(node.left) || pattern.type !== "string") return null;
+    return {
+      constraints: [
+        {
+          kind: "regex",
+          pattern: pattern.value,
+          flags: node.operator === "~*" ? "i" : "",
+          message: message("invalid"),
+        },
+      ],
+    };
+  }
+
+  // `col IN ('a', 'b')`, deparsed by PostgreSQL as `col = ANY (ARRAY['a', 'b'])`
+  let values = null;
+  if (node.type === "in" && !node.negated && isColumn(node.expression)) {
+    values = node.list.map(unwrapCasts);
+  } else if (
+    node.type === "any" &&
+    node.quantifier === "any" &&
+    node.operator === "=" &&
+    isColumn(node.left) &&
+    unwrapCasts(node.right).type === "array"
+  ) {
+    values = unwrapCasts(node.right).elements.map(unwrapCasts);
+  }
+  if (values && isString && values.every((value) => value.type === "string")) {
+    return { constraints: [], enumValues: values.map((value) => value.value) };
+  }
+
+  return null;
+}
+
+/**
+ * The function `implies` tells whether a bound makes another one redundant, like `min(5)` does
+ * `gt(0)` or `length(4)` does `max(40)`.
+ */
+function implies(bound, other) {
+  const isLower = (kind) => kind === "min" || kind === "gt";
+  const isUpper = (kind) => kind === "max" || kind === "lt";
+  if (bound.kind === "length") {
+    if (other.kind === "length") return bound.value === other.value;
+    if (isLower(other.kind)) return implies({ kind: "min", value: bound.value }, other);
+    if (isUpper(other.kind)) return implies({ kind: "max", value: bound.value }, other);
+    return false;
+  }
+  const exclusive = bound.kind === "gt" || bound.kind === "lt" || bound.kind === other.kind;
+  if (isLower(bound.kind) && isLower(other.kind)) {
+    return bound.value > other.value || (bound.value === other.value && exclusive);
+  }
+  if (isUpper(bound.kind) && isUpper(other.kind)) {
+    return bound.value < other.value || (bound.value === other.value && exclusive);
+  }
+  return false;
+}
+
+/**
+ * The function `mergeBounds` keeps the tightest of the bounds a type is given, so a `char(4)`
+ * column checked to be at most 40 characters long is not validated twice, and a CHECK constraint
+ * like `length(name) >= 3` replaces the check that the string is not empty. Of two equal bounds the
+ * check, or the first constraint, is kept.
+ * @param checks - The checks of the type, see `describeType`.
+ * @param constraints - The constraints of the CHECK constraints of the column, see `toConstraints`.
+ * @param [isOverridden=false] - Whether an override may replace the type and its checks, in which
+ * case the constraints, which still apply, are not dropped for a check.
+ * @returns an object `{ checks, constraints }` without the redundant bounds.
+ */
+function mergeBounds(checks, constraints, isOverridden = false) {
+  const keptConstraints = constraints.filter(
+    (constraint, i) =>
+      !constraints.some(
+        (other, j) => j !== i && implies(other, constraint) && (j < i || !implies(constraint, other))
+      ) &&
+      (isOverridden || !checks.some((check) => implies(check, constraint)))
+  );
+  return {
+    checks: checks.filter((check) => !keptConstraints.some((other) => implies(other, check))),
+    constraints: keptConstraints,
+  };
+}
+
+/**
+ * The function `renameColumn` replaces the references to a column in an expression, in place.
+ * Domain checks refer to the checked value as `VALUE`, which is renamed to the column using the
+ * domain.
+ */
+function renameColumn(node, from, to) {
+  if (!node || typeof node !== "object") return node;
+  if (node.type === "column" && node.name === from) node.name = to;
+  for (const value of Object.values(node)) {
+    if (Array.isArray(value)) value.forEach((child) => renameColumn(child, from, to));
+    else if (value && typeof value === "object") renameColumn(value, from, to);
+  }
+  return node;
+}
+
+/**
+ * The function `getCheckRefinements` translates the CHECK constraints of a table.
+ * @param table - A table of the model; its `checks` are `{ name, definition, columns }` objects,
+ * with a `domain` for the checks of a domain type.
+ * @param [options] - The generation options, see `generate`.
+ * @returns an object with `columns`, mapping column names to `{ constraints, enumValues }` for
+ * checks on a single column, `objectChecks`, a list of `{ name, columns, violation }` objects where
+ * violation is a JavaScript expression over `data` that is true when the check fails, and
+ * `untranslated`, a list of `{ name, definition, reason }`. Single column checks of another shape
+ * become a `{ kind: "refine", test, message }` constraint, where test is a JavaScript expression
+ * over `value`.
+ */
+function getCheckRefinements(table, options = {}) {
+  const refinements = { columns: {}, objectChecks: [], untranslated: [] };
+
+  for (const check of table.checks || []) {
+    try {
+      const node = parseExpression(check.definition);
+      if (check.domain) renameColumn(node, "value", check.columns[0]);
+      const columnNames = check.columns.length
+        ? check.columns
+        : getColumnReferences(node).filter((name) =>
+            table.columns.some((column) => column.name === name)
+          );
+
+      // JavaScript compares bigint and string values with numbers without an error, but not the way
+      // PostgreSQL does, so checks that are not constraints must only use columns held as numbers
+      const assertNumbers = () => {
+        for (const name of columnNames) {
+          const column = table.columns.find((c) => c.name === name);
+          const representation = getNumericRepresentation(column, options.numericMode);
+          if (representation !== "number") {
+            throw new Error(`Column ${name} is represented as a ${representation}`);
+          }
+        }
+      };
+
+      if (columnNames.length === 1) {
+        const column = table.columns.find((c) => c.name === columnNames[0]);
+        const { format: message } = getColumnMessages(column, table, options);
+        const translated = toConstraints(node, column, message, options);
+        if (!translated) assertNumbers();
+        const { constraints, enumValues } = translated || {
+          constraints: [
+            {
+              kind: "refine",
+              test: toJavaScript(node, () => "value"),
+              message: message("invalid"),
+            },
+          ],
+        };
+        const current = refinements.columns[column.name] || { constraints: [] };
+        refinements.columns[column.name] = {
+          constraints: [...current.constraints, ...constraints],
+          enumValues: enumValues || current.enumValues,
+        };
+      } else if (columnNames.length > 1) {
+        // NULL results pass a CHECK, so the test only runs when all columns have a value, unless
+        // the check tests for NULL itself
+        assertNumbers();
+        const test = toJavaScript(node, (name) => `data.${camelCase(name)}`);
+        const guard = JSON.stringify(node).includes('"isNull"')
+          ? []
+          : columnNames.map((name) => `data.${camelCase(name)} != null`);
+        refinements.objectChecks.push({
+          name: check.name,
+          columns: columnNames,
+          violation: [...guard, `!${test.startsWith("(") ? test : `(${test})`}`].join(" && "),
+        });
+      } else {
+        throw new Error("Check does not reference any column");
+      }
+    } catch (err) {
+      refinements.untranslated.push({
+        name: check.name,
+        definition: check.definition,
+        reason: err.message,
+      });
+    }
+  }
+
+  return refinements;
+}
+
+module.exports = {
+  getCheckRefinements,
+  mergeBounds,
+  toJavaScript,
+  toConstraints,
+};
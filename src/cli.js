@@ -0,0 +1,778 @@
+#!/usr/bin/env node
+
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const chalk = require("chalk");
+const { program } = require("commander");
+const readline = require("readline");
+const {
+  introspect,
+  introspectSql,
+  generate,
+  check,
+  watch,
+} = require("./index.js");
+const { validateTableName, qualifiedName } = require("./utils.js");
+const { CUSTOM_START, CUSTOM_END, mergeRegions, isEdited } = require("./output.js");
+const { REPORT_FORMATS, getWarnings, createReport } = require("./report.js");
+const { DEFAULT_CACHE_PATH } = require("./cache.js");
+const { NUMERIC_MODES } = require("./builtins.js");
+const { COLUMN_ORDERS } = require("./describe.js");
+const { EMITTERS, DEFAULT_TARGET, getEmitter } = require("./emitters/index.js");
+const { loadConfig, loadMessageCatalog, resolveSettings } = require("./config.js");
+const {
+  DEFAULT_PROFILE,
+  SSL_MODES,
+  resolveConnection,
+  saveProfile,
+} = require("./connection.js");
+const { version } = require("../package.json");
+
+/*
+ * The exit codes of the CLI: differences found by `--check` exit with 1, like `diff`, errors with
+ * 2, and warnings with 3 when `--strict` is used.
+ */
+const EXIT_CODES = {
+  success: 0,
+  drift: 1,
+  error: 2,
+  warnings: 3,
+};
+
+/**
+ * The function `log` prints a progress message. When stdout carries the generated code or the
+ * report, messages go to stderr instead.
+ */
+function log(...args) {
+  const { stdout, report } = program.opts();
+  (stdout || report ? console.error : console.log)(...args);
+}
+
+/**
+ * The function `describeFile` names what a generated file holds, for log messages.
+ * @param file - A file returned by `generate`, or a result returned by `check`.
+ */
+function describeFile(file) {
+  if (file.table) return qualifiedName(file.schema, file.table);
+  const name = path.posix.basename(file.path).replace(/\.[^.]*$/, "");
+  if (name === "composites") return "composite type schemas";
+  if (name === "enums") return "enum schemas";
+  if (name === "relations") return "relation schemas";
+  if (name === "messages") return "message catalog";
+  if (name === "index") return `index module ${file.path}`;
+  return file.path === "types.ts" ? "custom zod types" : file.path;
+}
+
+/**
+ * The function `writeFiles` writes the generated files to the output directory and logs what was
+ * generated for every table. The custom regions of the files being replaced are carried over, and
+ * files edited outside of them are reported, since those edits are lost.
+ * @param files - The files returned by `generate`.
+ * @param schemaDir - The absolute path of the output directory.
+ */
+function writeFiles(files, schemaDir) {
+  fs.mkdirSync(schemaDir, { recursive: true }); // Ensure the directory exists
+
+  for (const file of files) {
+    const filePath = path.join(schemaDir, file.path);
+    // Tables of several schemas are written to a directory per schema
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const current = fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : null;
+    if (current !== null && isEdited(current)) {
+      console.warn(
+        chalk.yellow(
+          `${filePath} was edited outside of its ${CUSTOM_START} / ${CUSTOM_END} regions, the changes are overwritten`
+        )
+      );
+    }
+    fs.writeFileSync(filePath, mergeRegions(file.contents, current));
+
+    if (!file.table) {
+      log(
+        chalk.gray(
+          `Added ${describeFile(file)} to the output directory: ${chalk.white(
+            filePath
+          )}`
+        )
+      );
+      continue;
+    }
+
+    const skipped = file.diagnostics.skipped.map((entry) => `${entry.column} (${entry.reason})`);
+    log(chalk.gray(`Generating schema for table: ${describeFile(file)}`));
+    log(
+      chalk.gray(
+        `Processed ${file.columns.length} columns` +
+          (skipped.length ? `, skipped ${skipped.join(", ")}` : "")
+      )
+    );
+    log(
+      chalk.gray(
+        `Added schema to the output directory: ${chalk.white(filePath)}`
+      )
+    );
+  }
+}
+
+/**
+ * The function `reportDrift` prints a unified diff for every generated file that differs from the
+ * file in the output directory or is missing, and sets a non-zero exit code when there are any.
+ * @param results - The results returned by `check`.
+ * @param schemaDir - The absolute path of the output directory.
+ */
+function reportDrift(results, schemaDir) {
+  const drifted = results.filter((result) => result.status !== "unchanged");
+
+  for (const result of drifted) {
+    log(
+      chalk.yellow(
+        `${result.status === "missing" ? "Missing" : "Out of date"}: ${describeFile(
+          result
+        )} (${path.join(schemaDir, result.path)})`
+      )
+    );
+    for (const line of result.diff.trimEnd().split("\n").slice(1)) {
+      if (line.startsWith("+") && !line.startsWith("+++")) {
+        log(chalk.green(line));
+      } else if (line.startsWith("-") && !line.startsWith("---")) {
+        log(chalk.red(line));
+      } else if (line.startsWith("@@")) {
+        log(chalk.cyan(line));
+      } else {
+        log(line);
+      }
+    }
+  }
+
+  if (drifted.length) {
+    console.error(
+      chalk.red(
+        `${drifted.length} of ${results.length} generated files differ from the output directory`
+      )
+    );
+    process.exitCode = EXIT_CODES.drift;
+  } else {
+    log(chalk.gray(`All ${results.length} generated files are up to date`));
+  }
+}
+
+/**
+ * The function `reportDryRun` lists the files that would be created or updated in the output
+ * directory, without writing them.
+ * @param results - The results returned by `check`.
+ * @param schemaDir - The absolute path of the output directory.
+ */
+function reportDryRun(results, schemaDir) {
+  const actions = { missing: "Would create", changed: "Would update", unchanged: "Unchanged" };
+  for (const result of results) {
+    log(
+      chalk.gray(
+        `${actions[result.status]}: ${describeFile(result)} (${path.join(schemaDir, result.path)})`
+      )
+    );
+  }
+  const pending = results.filter((result) => result.status !== "unchanged");
+  log(chalk.gray(`Dry run, ${pending.length} of ${results.length} files would be written`));
+}
+
+/**
+ * The function `printFiles` prints the generated files to stdout, each after a line with its path
+ * like `==> user.ts <==`.
+ * @param files - The files returned by `generate`.
+ */
+function printFiles(files) {
+  files.forEach((file, index) => {
+    process.stdout.write(`${index ? "\n" : ""}==> ${file.path} <==\n${file.contents}`);
+  });
+}
+
+/**
+ * The function `reportWarnings` prints the warnings about the generated files, see `getWarnings`.
+ * @param files - The files returned by `generate`.
+ * @returns the number of warnings.
+ */
+function reportWarnings(files) {
+  const warnings = files.flatMap(getWarnings);
+  for (const warning of warnings) {
+    console.warn(chalk.yellow(warning));
+  }
+  return warnings.length;
+}
+
+/**
+ * The function `getOutputDir` returns the absolute path of the directory the files go to: the
+ * output path, or its subdirectory named after the role given with `--role`, which keeps the
+ * schemas of a role apart from the unrestricted ones.
+ */
+function getOutputDir() {
+  return path.resolve(options.output, options.role || "");
+}
+
+/**
+ * The function `startWatch` generates the schemas and then regenerates the affected table files
+ * whenever the database schema changes, until the process is interrupted.
+ * @param connection - The `pg` connection options.
+ * @param generateOptions - The options passed to `generate`.
+ */
+async function startWatch(connection, generateOptions) {
+  const schemaDir = getOutputDir();
+  const watcher = await watch({
+    connection,
+    schema: options.schema,
+    tables: options.table,
+    include: options.include,
+    exclude: options.exclude,
+    role: options.role,
+    functions: options.functions,
+    generateOptions,
+    interval: Number(options.watchInterval),
+    useTrigger: options.watchTrigger,
+    onChange: (files, droppedTables) => {
+      writeFiles(files, schemaDir);
+      reportWarnings(files);
+      for (const table of droppedTables) {
+        log(chalk.yellow(`Table ${table} was dropped, its schema file was left in place`));
+      }
+    },
+    onError: (err) => console.error(chalk.red("Error regenerating schemas", err)),
+  });
+
+  log(
+    chalk.gray(
+      options.watchTrigger
+        ? "Watching for schema changes (event trigger)... Press Ctrl+C to stop."
+        : `Watching for schema changes (polling every ${options.watchInterval}ms)... Press Ctrl+C to stop.`
+    )
+  );
+
+  // Closing uninstalls the event trigger of --watch-trigger
+  const stop = async () => {
+    try {
+      await watcher.close();
+      process.exit(EXIT_CODES.success);
+    } catch (err) {
+      console.error(chalk.red("Error stopping the watch:"), err.message);
+      process.exit(EXIT_CODES.error);
+    }
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+}
+
+/**
+ * The function `isInteractive` tells whether connection details can be prompted for: not in CI and
+ * with a terminal attached.
+ */
+function isInteractive() {
+  return !process.env.CI && Boolean(process.stdin.isTTY && process.stdout.isTTY);
+}
+
+/**
+ * The function `promptProfile` asks for the connection details of a profile. An empty password is
+ * not saved, `pg` then looks it up in `~/.pgpass`.
+ * @param name - The profile name.
+ * @returns a promise of the profile.
+ */
+async function promptProfile(name) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  const ask = (question) => new Promise((resolve) => rl.question(question, resolve));
+
+  console.log(
+    `You first need to provide the PostgreSQL connection details of the ${name} profile.\n\n`
+  );
+  const profile = {
+    user: await ask("Enter your PostgreSQL user: "),
+    host: await ask("Enter your PostgreSQL host: "),
+    database: await ask("Enter your PostgreSQL database name: "),
+    password: await ask("Enter your PostgreSQL password (leave empty to use ~/.pgpass): "),
+    port: await ask("Enter your PostgreSQL port: "),
+  };
+  rl.close();
+
+  if (!profile.password) delete profile.password;
+  return profile;
+}
+
+/**
+ * The function `getConnection` resolves the database connection details from the CLI flags, the
+ * environment and the saved profiles. When there are none, or `--reset` is used, they are prompted
+ * for and saved as a profile; in CI and without a terminal an error is thrown instead.
+ * @returns a promise of the `pg` connection options.
+ */
+async function getConnection() {
+  const sources = {
+    url: options.url,
+    profile: options.profile,
+    sslmode: options.sslmode,
+    sslCa: options.sslCa,
+  };
+
+  if (!options.reset) {
+    const resolved = resolveConnection(sources);
+    if (resolved) {
+      log(chalk.gray("Using connection details from: "), resolved.source);
+      return resolved.connection;
+    }
+  }
+
+  if (!isInteractive()) {
+    throw new Error(
+      "No database connection details found. Pass --url or --profile, set DATABASE_URL or the PG* environment variables, or run pgtozod in a terminal to save a profile"
+    );
+  }
+
+  const name = options.profile || DEFAULT_PROFILE;
+  const profilesPath = saveProfile(name, await promptProfile(name));
+  log(chalk.gray("Saved profile to config file: "), profilesPath);
+  return resolveConnection({ ...sources, url: undefined, profile: name }).connection;
+}
+
+/**
+ * The main function connects to a database, retrieves table schema information, and writes the
+ * generated schemas and custom types to the output directory, or compares or prints them. The
+ * exit code tells how the run went, see `EXIT_CODES`.
+ */
+async function main() {
+  const schemaDir = getOutputDir();
+  const run = { output: schemaDir, written: false, errors: [] };
+  try {
+    const generateOptions = {
+      includeNullable: options.nullable,
+      excludeDefaults: options.excludeDefaults,
+      numericMode: options.numeric,
+      target: options.target,
+      emitters: options.emitters,
+      relations: options.relations,
+      columnOrder: options.columnOrder,
+      header: options.header,
+      types: options.types,
+      columns: options.columns,
+      messages: options.messages,
+      labels: options.labels,
+      messageKeys: options.messageKeys,
+      forms: options.forms,
+    };
+
+    if (options.watch) {
+      const connection = await getConnection();
+      log(chalk.gray("Connecting to database..."));
+      return await startWatch(connection, generateOptions);
+    }
+
+    if (options.fromSql) {
+      log(chalk.gray("Reading SQL files..."));
+      run.model = introspectSql({
+        files: options.fromSql,
+        schema: options.schema,
+        tables: options.table,
+        include: options.include,
+        exclude: options.exclude,
+      });
+    } else {
+      const connection = await getConnection();
+      log(chalk.gray("Connecting to database..."));
+      run.model = await introspect({
+        connection,
+        schema: options.schema,
+        tables: options.table,
+        include: options.include,
+        exclude: options.exclude,
+        role: options.role,
+        functions: options.functions,
+        // `--cache` without a path uses the default one
+        cache: options.cache === true ? DEFAULT_CACHE_PATH : options.cache || undefined,
+      });
+    }
+
+    run.files = generate(run.model, generateOptions);
+    // The status of every file on disk before anything is written
+    run.results = check(run.files, schemaDir);
+
+    if (options.check) {
+      reportDrift(run.results, schemaDir);
+    } else if (options.dryRun) {
+      reportDryRun(run.results, schemaDir);
+    } else if (options.stdout) {
+      printFiles(run.files);
+    } else {
+      writeFiles(run.files, schemaDir);
+      run.written = true;
+    }
+
+    if (reportWarnings(run.files) && options.strict && !process.exitCode) {
+      process.exitCode = EXIT_CODES.warnings;
+    }
+  } catch (err) {
+    console.error(chalk.red("Error running script", err));
+    run.errors.push(err);
+    process.exitCode = EXIT_CODES.error;
+  }
+
+  if (options.report) {
+    console.log(JSON.stringify(createReport(run), null, 2));
+  }
+}
+
+program
+  .name("pgtozod")
+  .version(version, "-v, --vers", chalk.yellow("Output the current version"))
+  .helpOption("-h, --help", chalk.yellow("Display help for commands"))
+  // Invalid usage is an error like any other
+  .exitOverride((err) => process.exit(err.exitCode && EXIT_CODES.error))
+  .description(
+    chalk.green("pgtozod: Generate zod schemas from postgresql tables")
+  )
+  .option(
+    "-t, --table <name>",
+    chalk.yellow(
+      "Table name. Use 'all' to generate schemas for all tables - " +
+        chalk.dim.bold.italic("(Required)")
+    )
+  )
+  .option(
+    "-e, --exclude-defaults",
+    chalk.yellow(
+      "Exclude db columns that have a default value configured, the default - " +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "--no-exclude-defaults",
+    chalk.yellow(
+      "Include db columns that have a default value configured, as optional fields or with " +
+        "their literal default - " +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "-n, --nullable",
+    chalk.yellow(
+      "Include nullable columns - " + chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "--target <name>",
+    chalk.yellow(
+      `Output format: ${Object.keys(EMITTERS).join(", ")} or an emitter of the config file, ` +
+        `default ${DEFAULT_TARGET} - ` +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "--numeric <mode>",
+    chalk.yellow(
+      "How bigint, numeric and money columns are emitted: number, bigint or string, default number - " +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "--relations <depth>",
+    chalk.yellow(
+      "Generate schemas of tables with their related tables, nested up to the given depth, default 0 - " +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "--column-order <order>",
+    chalk.yellow(
+      `Order of the fields of the table schemas: ${COLUMN_ORDERS.join(", ")}, default alphabetical - ` +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "--messages <file>",
+    chalk.yellow(
+      "JSON message catalog with the message templates and column labels to generate the messages with, e.g. in another language - " +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "--message-keys",
+    chalk.yellow(
+      "Emit message keys with their values instead of messages, formatted at runtime with the generated messages module - " +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "--forms",
+    chalk.yellow(
+      "Export the labels, input kinds, required flags, maximum lengths, enum options and initial values of the insert fields of every table, for form components - " +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "-s, --schema <names>",
+    chalk.yellow(
+      "Schema name, a comma separated list of schema names or 'all', default public - " +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "-o, --output <path>",
+    chalk.yellow("Output path, default ./schemas - " + chalk.dim.italic("(Optional)"))
+  )
+  .option(
+    "--config <path>",
+    chalk.yellow(
+      "Configuration file, default pgtozod.config.js or pgtozod.config.json in the current directory - " +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "-f, --from-sql <files...>",
+    chalk.yellow(
+      "Generate from SQL DDL files (migrations or pg_dump --schema-only) instead of a database - " +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "--role <name>",
+    chalk.yellow(
+      "Only include the columns a database role may read, insert or update, written to a subdirectory of the output path named after the role - " +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "--functions",
+    chalk.yellow(
+      "Also generate the argument and result schemas of the functions and procedures of the schemas - " +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "--cache [path]",
+    chalk.yellow(
+      `Keep a snapshot of the database schema and reuse it while the catalog is unchanged, default path ${DEFAULT_CACHE_PATH} - ` +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "-c, --check",
+    chalk.yellow(
+      "Compare the generated schemas with the output directory without writing, exit non-zero on differences - " +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "--dry-run",
+    chalk.yellow(
+      "List the files that would be created or updated without writing them - " +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "--stdout",
+    chalk.yellow(
+      "Print the generated files to stdout instead of writing them - " +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "--report <format>",
+    chalk.yellow(
+      `Print a summary of the run to stdout: ${REPORT_FORMATS.join(", ")} - ` +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "--strict",
+    chalk.yellow(
+      `Exit with code ${EXIT_CODES.warnings} when there are warnings - ` +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "-w, --watch",
+    chalk.yellow(
+      "Keep running and regenerate the affected schemas when the database schema changes - " +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "--watch-trigger",
+    chalk.yellow(
+      "Install an event trigger and use LISTEN/NOTIFY instead of polling in watch mode, requires superuser - " +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "--watch-interval <ms>",
+    chalk.yellow("Polling interval in watch mode - " + chalk.dim.italic("(Optional)")),
+    "2000"
+  )
+  .option(
+    "--url <url>",
+    chalk.yellow(
+      "Database connection string, takes precedence over every other connection source - " +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "-p, --profile <name>",
+    chalk.yellow(
+      "Saved connection profile to use, or to create with --reset - " +
+        chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "--sslmode <mode>",
+    chalk.yellow(
+      `SSL mode: ${SSL_MODES.join(", ")} - ` + chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "--ssl-ca <file>",
+    chalk.yellow(
+      "CA certificate file to verify the server with - " + chalk.dim.italic("(Optional)")
+    )
+  )
+  .option(
+    "-r, --reset",
+    chalk.yellow(
+      "Set new database connection details for the profile - " + chalk.dim.italic("(Optional)")
+    )
+  )
+  .on("--help", () => {
+    console.log(chalk.cyan("\nExamples:"));
+    console.log(chalk.magenta("  $ npm pgtozod --table users"));
+    console.log(chalk.magenta("  $ npm pgtozod --table users --nullable"));
+    console.log(chalk.magenta("  $ npm pgtozod --table users --schema public"));
+    console.log(chalk.magenta("  $ npm pgtozod --table all --schema auth,billing,public"));
+    console.log(
+      chalk.magenta("  $ npm pgtozod --table users --output ./schemas")
+    );
+    console.log(
+      chalk.magenta("  $ npm pgtozod --table all --from-sql ./migrations/*.sql")
+    );
+    console.log(chalk.magenta("  $ npm pgtozod --table all --numeric bigint"));
+    console.log(chalk.magenta("  $ npm pgtozod --table all --target valibot"));
+    console.log(chalk.magenta("  $ npm pgtozod --table all --relations 2"));
+    console.log(chalk.magenta("  $ npm pgtozod --table all --column-order ordinal"));
+    console.log(chalk.magenta("  $ npm pgtozod --table all --messages ./locales/fr.json"));
+    console.log(chalk.magenta("  $ npm pgtozod --table all --message-keys"));
+    console.log(chalk.magenta("  $ npm pgtozod --table all --no-exclude-defaults --forms"));
+    console.log(chalk.magenta("  $ npm pgtozod --table all --check"));
+    console.log(chalk.magenta("  $ npm pgtozod --table all --dry-run"));
+    console.log(chalk.magenta("  $ npm pgtozod --table users --stdout"));
+    console.log(chalk.magenta("  $ npm pgtozod --table all --report json --strict"));
+    console.log(chalk.magenta("  $ npm pgtozod --table all --watch"));
+    console.log(chalk.magenta("  $ npm pgtozod --table all --cache"));
+    console.log(chalk.magenta("  $ npm pgtozod --table all --role web_user"));
+    console.log(chalk.magenta("  $ npm pgtozod --table all --schema api --functions"));
+    console.log(chalk.magenta("  $ npm pgtozod --config ./pgtozod.config.js"));
+    console.log(chalk.magenta("  $ npm pgtozod --table all --profile staging"));
+    console.log(
+      chalk.magenta("  $ npm pgtozod --table all --url postgres://user@localhost/db --sslmode require")
+    );
+  })
+  .parse(process.argv);
+
+// CLI flags take precedence over the configuration file, which takes precedence over the defaults
+let options;
+try {
+  const projectConfig = loadConfig(program.opts().config);
+  if (projectConfig.path) {
+    log(chalk.gray("Reading project config file: "), projectConfig.path);
+  }
+  const flags = { ...program.opts() };
+  // `--messages` names a catalog with the messages and labels of one language
+  if (flags.messages) Object.assign(flags, loadMessageCatalog(flags.messages));
+  options = resolveSettings(flags, projectConfig.config);
+  // `--schema auth,billing` selects several schemas
+  if (typeof options.schema === "string" && options.schema.includes(",")) {
+    options.schema = options.schema.split(",").map((name) => name.trim()).filter(Boolean);
+  }
+  getEmitter(options.target, options.emitters);
+} catch (err) {
+  console.error(chalk.red(`Error: ${err.message}`));
+  process.exit(EXIT_CODES.error);
+}
+
+if (!options.table || !validateTableName(options.table)) {
+  console.error(
+    chalk.red(
+      "Error: The --table option, or a table or include setting in the config file, is required and must be a valid table name."
+    )
+  );
+  console.log(program.helpInformation());
+  process.exit(EXIT_CODES.error);
+}
+
+if (!NUMERIC_MODES.includes(options.numeric)) {
+  console.error(
+    chalk.red(`Error: The --numeric option must be one of ${NUMERIC_MODES.join(", ")}.`)
+  );
+  process.exit(EXIT_CODES.error);
+}
+
+if (!COLUMN_ORDERS.includes(options.columnOrder)) {
+  console.error(
+    chalk.red(`Error: The --column-order option must be one of ${COLUMN_ORDERS.join(", ")}.`)
+  );
+  process.exit(EXIT_CODES.error);
+}
+
+// `--relations 2` is parsed as a string
+options.relations = Number(options.relations);
+if (!Number.isInteger(options.relations) || options.relations < 0) {
+  console.error(chalk.red("Error: The --relations option must be a non-negative integer."));
+  process.exit(EXIT_CODES.error);
+}
+
+if (options.sslmode && !SSL_MODES.includes(options.sslmode)) {
+  console.error(
+    chalk.red(`Error: The --sslmode option must be one of ${SSL_MODES.join(", ")}.`)
+  );
+  process.exit(EXIT_CODES.error);
+}
+
+if (options.report && !REPORT_FORMATS.includes(options.report)) {
+  console.error(
+    chalk.red(`Error: The --report option must be one of ${REPORT_FORMATS.join(", ")}.`)
+  );
+  process.exit(EXIT_CODES.error);
+}
+
+const outputModes = [options.check, options.dryRun, options.stdout, options.report];
+if (options.watch && (options.fromSql || outputModes.some(Boolean))) {
+  console.error(
+    chalk.red(
+      "Error: The --watch option can not be combined with --from-sql, --check, --dry-run, --stdout or --report."
+    )
+  );
+  process.exit(EXIT_CODES.error);
+}
+
+if (options.role && options.fromSql) {
+  console.error(
+    chalk.red("Error: The --role option needs a database, the privileges granted in SQL files are not read.")
+  );
+  process.exit(EXIT_CODES.error);
+}
+
+if (options.functions && options.fromSql) {
+  console.error(
+    chalk.red("Error: The --functions option needs a database, functions in SQL files are not read.")
+  );
+  process.exit(EXIT_CODES.error);
+}
+
+if ([options.check, options.dryRun, options.stdout].filter(Boolean).length > 1) {
+  console.error(chalk.red("Error: Only one of --check, --dry-run and --stdout can be used."));
+  process.exit(EXIT_CODES.error);
+}
+
+if (options.stdout && options.report) {
+  console.error(chalk.red("Error: The --stdout option can not be combined with --report."));
+  process.exit(EXIT_CODES.error);
+}
+
+main();
@@ -0,0 +1,118 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/*
+ * The comments of tables and columns, set with `COMMENT ON`, describe the generated schemas and can
+ * hold directives changing what is generated for them:
+ *
+ *   @zod.email, @zod.max(280)   a method appended to the Zod type of the column
+ *   @label "Display name"       the name of the column used in messages
+ *   @skip                       leaves the column or table out of the generated schemas
+ *
+ * A directive starts at the beginning of the comment or after a space. The rest of the comment is
+ * the description.
+ */
+
+const { getReadableNameFromSnakeCase } = require("./utils.js");
+
+/* Matches the start of a directive, e.g. "@zod.max" or "@label". */
+const DIRECTIVE_PATTERN = /(^|\s)@(zod\.[A-Za-z_$][\w$]*|label|skip)(?![\w$.])/g;
+
+/**
+ * The function `readArguments` reads the parenthesized arguments of a directive, like `(280)` or
+ * `(/^[a-z]+$/, 'Lower case only')`. Parentheses inside quotes do not count.
+ * @param text - The comment.
+ * @param start - The position right after the directive name.
+ * @returns the `source` of the arguments, "()" when there are none, and the `end` position, or null
+ * when the parentheses are not balanced.
+ */
+function readArguments(text, start) {
+  if (text[start] !== "(") return { source: "()", end: start };
+
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === "\\") i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'" || char === "`") {
+      quote = char;
+    } else if (char === "(") {
+      depth++;
+    } else if (char === ")" && --depth === 0) {
+      return { source: text.slice(start, i + 1), end: i + 1 };
+    }
+  }
+  return null;
+}
+
+/**
+ * The function `parseComment` splits the comment of a table or column into its description and
+ * its directives. Text looking like a directive that can not be read, like `@zod.max(280` without
+ * the closing parenthesis, is kept in the description.
+ * @param comment - The comment, or null.
+ * @returns an object with the `description` (null when nothing but directives is left), the
+ * `label` of the `@label` directive or null, whether the comment has a `@skip` directive, and the
+ * `zod` methods of the `@zod` directives, like `[".email()", ".max(280)"]`.
+ */
+function parseComment(comment) {
+  const parsed = { description: null, label: null, skip: false, zod: [] };
+  if (!comment) return parsed;
+
+  let description = "";
+  let position = 0;
+  let match;
+  DIRECTIVE_PATTERN.lastIndex = 0;
+  while ((match = DIRECTIVE_PATTERN.exec(comment))) {
+    const start = match.index + match[1].length;
+    const name = match[2];
+    let end = DIRECTIVE_PATTERN.lastIndex;
+
+    if (name === "skip") {
+      parsed.skip = true;
+    } else if (name === "label") {
+      const label = comment.slice(end).match(/^\s+(?:"([^"]*)"|'([^']*)'|(\S+))/);
+      if (!label) continue;
+      parsed.label = [label[1], label[2], label[3]].find((value) => value !== undefined);
+      end += label[0].length;
+    } else {
+      const args = readArguments(comment, end);
+      if (!args) continue;
+      parsed.zod.push(`.${name.slice("zod.".length)}${args.source}`);
+      end = args.end;
+    }
+
+    description += comment.slice(position, start);
+    position = end;
+    DIRECTIVE_PATTERN.lastIndex = end;
+  }
+  description += comment.slice(position);
+
+  description = description
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .join("\n")
+    .trim();
+  parsed.description = description || null;
+  return parsed;
+}
+
+/**
+ * The function `getLabel` returns the readable name of a column used in messages, e.g. "Created at",
+ * or the label set with a `@label` directive in its comment.
+ * @param column - A column of the model.
+ * @returns the label.
+ */
+function getLabel(column) {
+  const { label } = parseComment(column.comment);
+  if (label) return label;
+  return column.name === "id" ? "Id" : getReadableNameFromSnakeCase(column.name).trim();
+}
+
+module.exports = {
+  parseComment,
+  getLabel,
+};
@@ -0,0 +1,252 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/*
+ * The project configuration file, `pgtozod.config.js` or `pgtozod.config.json` in the project root.
+ * It holds the generation settings of a project so they do not have to be repeated on the command
+ * line; the database connection details are not part of it.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { NUMERIC_MODES } = require("./builtins.js");
+const { COLUMN_ORDERS } = require("./describe.js");
+const { DEFAULT_TARGET, getEmitter } = require("./emitters/index.js");
+const { isMessageMap } = require("./messages.js");
+
+const CONFIG_FILES = ["pgtozod.config.js", "pgtozod.config.json"];
+
+/* The settings used when neither the configuration file nor a CLI flag sets them. */
+const DEFAULT_SETTINGS = {
+  output: "./schemas",
+  schema: "public",
+  nullable: false,
+  excludeDefaults: true,
+  numeric: "number",
+  target: DEFAULT_TARGET,
+  relations: 0,
+  columnOrder: "alphabetical",
+  header: true,
+  functions: false,
+  messageKeys: false,
+  forms: false,
+};
+
+const isString = (value) => typeof value === "string";
+const isStringList = (value) => isString(value) || (Array.isArray(value) && value.every(isString));
+const isBoolean = (value) => typeof value === "boolean";
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+const isOverride = (value) => isString(value) || typeof value === "function";
+// Overrides are Zod source, or objects of overrides keyed by target name
+const isOverrideMap = (value) =>
+  isObject(value) &&
+  Object.values(value).every(
+    (override) =>
+      isOverride(override) ||
+      (isObject(override) &&
+        Object.values(override).every((target) => isOverride(target) || isObject(target)))
+  );
+const isEmitterMap = (value) =>
+  isObject(value) &&
+  Object.values(value).every((emitter) => isString(emitter) || isObject(emitter));
+const isLabelMap = (value) => isObject(value) && Object.values(value).every(isString);
+
+/* The keys of the configuration file with a validation function and the expected value. */
+const CONFIG_KEYS = {
+  output: [isString, "a path"],
+  schema: [isStringList, "a schema name, an array of schema names or 'all'"],
+  schemas: [isStringList, "a schema name, an array of schema names or 'all'"],
+  table: [isString, "a table name or 'all'"],
+  include: [isStringList, "a glob or an array of globs"],
+  exclude: [isStringList, "a glob or an array of globs"],
+  nullable: [isBoolean, "true or false"],
+  excludeDefaults: [isBoolean, "true or false"],
+  numeric: [(value) => NUMERIC_MODES.includes(value), `one of ${NUMERIC_MODES.join(", ")}`],
+  target: [isString, "a target name"],
+  emitters: [isEmitterMap, "an object of emitters or emitter module paths"],
+  relations: [(value) => Number.isInteger(value) && value >= 0, "a non-negative integer"],
+  columnOrder: [(value) => COLUMN_ORDERS.includes(value), `one of ${COLUMN_ORDERS.join(", ")}`],
+  header: [isBoolean, "true or false"],
+  cache: [(value) => isString(value) || isBoolean(value), "a path, true or false"],
+  role: [isString, "a role name"],
+  functions: [isBoolean, "true or false"],
+  messages: [isMessageMap, "an object of message templates keyed by message key, like required"],
+  labels: [isLabelMap, "an object of labels keyed by table.column"],
+  messageKeys: [isBoolean, "true or false"],
+  forms: [isBoolean, "true or false"],
+  types: [isOverrideMap, "an object of Zod type strings, functions or objects of them by target"],
+  columns: [isOverrideMap, "an object of Zod type strings, functions or objects of them by target"],
+};
+
+/**
+ * The function `findConfigFile` looks for a configuration file in a directory.
+ * @param directory - The directory to look in, usually the project root.
+ * @returns the absolute path of the configuration file, or null when there is none.
+ */
+function findConfigFile(directory) {
+  for (const name of CONFIG_FILES) {
+    const filePath = path.resolve(directory, name);
+    if (fs.existsSync(filePath)) return filePath;
+  }
+  return null;
+}
+
+/**
+ * The function `validateConfig` checks the keys and values of a configuration and normalizes
+ * `schemas` to `schema`. Errors name the file and the offending key.
+ * @param config - The configuration object.
+ * @param filePath - The path of the configuration file, for error messages.
+ * @returns the normalized configuration.
+ */
+function validateConfig(config, filePath) {
+  const fileName = path.basename(filePath);
+  if (config === null || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`${fileName} must export an object`);
+  }
+
+  const normalized = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (!CONFIG_KEYS[key]) {
+      throw new Error(`Unknown option "${key}" in ${fileName}`);
+    }
+    const [isValid, expected] = CONFIG_KEYS[key];
+    if (!isValid(value)) {
+      throw new Error(`The option "${key}" in ${fileName} must be ${expected}`);
+    }
+    normalized[key] = value;
+  }
+
+  if (normalized.schemas !== undefined) {
+    if (normalized.schema !== undefined) {
+      throw new Error(`${fileName} must name the schemas with either "schema" or "schemas"`);
+    }
+    normalized.schema = normalized.schemas;
+    delete normalized.schemas;
+  }
+  if (Array.isArray(normalized.schema) && !normalized.schema.length) {
+    throw new Error(`The option "schema" in ${fileName} must name at least one schema`);
+  }
+
+  return normalized;
+}
+
+/**
+ * The function `loadEmitters` loads the emitters of a configuration. Strings are module paths
+ * resolved from the directory of the configuration file, or package names.
+ * @param emitters - The `emitters` of the configuration, keyed by target name.
+ * @param filePath - The path of the configuration file.
+ * @returns the emitter objects keyed by target name.
+ */
+function loadEmitters(emitters, filePath) {
+  const fileName = path.basename(filePath);
+  const loaded = {};
+  for (const [target, emitter] of Object.entries(emitters)) {
+    try {
+      loaded[target] = isString(emitter)
+        ? require(require.resolve(emitter, { paths: [path.dirname(filePath)] }))
+        : emitter;
+      getEmitter(target, loaded);
+    } catch (err) {
+      throw new Error(`Could not load the emitter "${target}" in ${fileName}: ${err.message}`);
+    }
+  }
+  return loaded;
+}
+
+/**
+ * The function `loadConfig` reads and validates the configuration file. JavaScript files are loaded
+ * with `require` and can use functions as overrides and emitter objects; JSON files can only use
+ * strings, and name emitters by module path.
+ * @param [configPath] - The path of the configuration file. When omitted, `pgtozod.config.js` and
+ * then `pgtozod.config.json` are looked up in the current working directory.
+ * @returns an object with the `path` of the file, or null when there is none, and the validated
+ * `config`, which is empty when there is no file.
+ */
+function loadConfig(configPath) {
+  const filePath = configPath ? path.resolve(configPath) : findConfigFile(process.cwd());
+  if (!filePath) return { path: null, config: {} };
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Config file ${filePath} does not exist`);
+  }
+
+  let config;
+  if (filePath.endsWith(".json")) {
+    try {
+      config = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (err) {
+      throw new Error(`Could not parse ${path.basename(filePath)}: ${err.message}`);
+    }
+  } else {
+    config = require(filePath);
+  }
+
+  const validated = validateConfig(config, filePath);
+  if (validated.emitters) {
+    validated.emitters = loadEmitters(validated.emitters, filePath);
+  }
+  return { path: filePath, config: validated };
+}
+
+/**
+ * The function `loadMessageCatalog` reads a message catalog, a JSON file with the `messages`
+ * templates and the `labels` of the columns in one language, like
+ * `{ "messages": { "required": "{label} est obligatoire" }, "labels": { "users.email": "E-mail" } }`.
+ * Both keys are optional. Labels are keyed by `table.column` or `schema.table.column`, or a glob of
+ * either, like the column overrides.
+ * @param filePath - The path of the catalog.
+ * @returns an object with the `messages` and `labels` of the catalog, undefined when it has none.
+ */
+function loadMessageCatalog(filePath) {
+  const fileName = path.basename(filePath);
+  let catalog;
+  try {
+    catalog = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`Could not read the message catalog ${fileName}: ${err.message}`);
+  }
+  if (!isObject(catalog)) {
+    throw new Error(`The message catalog ${fileName} must be an object`);
+  }
+
+  for (const key of Object.keys(catalog)) {
+    if (!["messages", "labels"].includes(key)) {
+      throw new Error(`Unknown key "${key}" in the message catalog ${fileName}`);
+    }
+    const [isValid, expected] = CONFIG_KEYS[key];
+    if (!isValid(catalog[key])) {
+      throw new Error(`The "${key}" of the message catalog ${fileName} must be ${expected}`);
+    }
+  }
+  return { messages: catalog.messages, labels: catalog.labels };
+}
+
+/**
+ * The function `resolveSettings` merges the settings of the CLI flags, the configuration file and
+ * the defaults, in that order of precedence. A configuration with include or exclude globs selects
+ * all matching tables when no table is named.
+ * @param flags - The options parsed from the command line; unset flags are undefined.
+ * @param config - The configuration returned by `loadConfig`.
+ * @returns the merged settings.
+ */
+function resolveSettings(flags, config) {
+  const settings = { ...DEFAULT_SETTINGS, ...config };
+  for (const [key, value] of Object.entries(flags)) {
+    if (value !== undefined) settings[key] = value;
+  }
+  if (settings.table === undefined && (settings.include || settings.exclude)) {
+    settings.table = "all";
+  }
+  return settings;
+}
+
+module.exports = {
+  CONFIG_FILES,
+  DEFAULT_SETTINGS,
+  findConfigFile,
+  loadConfig,
+  loadMessageCatalog,
+  resolveSettings,
+};
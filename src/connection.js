@@ -0,0 +1,223 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/*
+ * Resolution of the database connection. The sources are tried in this order, the first one that
+ * provides connection details wins:
+ *
+ *   1. an explicit connection string (`--url`)
+ *   2. an explicit profile of `~/.pgtozod/config.json` (`--profile staging`)
+ *   3. `DATABASE_URL`
+ *   4. the standard libpq variables `PGHOST`, `PGPORT`, `PGUSER`, `PGPASSWORD` and `PGDATABASE`
+ *   5. the default profile of `~/.pgtozod/config.json`
+ *
+ * Variables set in the environment take precedence over the ones in the `.env` file of the project.
+ * When no password is resolved, `pg` looks it up in `~/.pgpass` (or `PGPASSFILE`).
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const dotenv = require("dotenv");
+
+const DEFAULT_PROFILE = "default";
+
+const SSL_MODES = ["disable", "allow", "prefer", "require", "verify-ca", "verify-full"];
+
+/* The libpq environment variables and the `pg` options they map to. */
+const PG_VARIABLES = {
+  PGHOST: "host",
+  PGPORT: "port",
+  PGUSER: "user",
+  PGPASSWORD: "password",
+  PGDATABASE: "database",
+};
+
+/**
+ * The function `getProfilesPath` returns the path of the file the CLI saves connection profiles in.
+ */
+function getProfilesPath() {
+  return path.join(os.homedir(), ".pgtozod", "config.json");
+}
+
+/**
+ * The function `readProfiles` reads the connection profiles saved in `~/.pgtozod/config.json`. Files
+ * written by earlier versions hold a single set of `DB_*` details, which is read as the default
+ * profile.
+ * @returns an object of the shape `{ defaultProfile, profiles: { [name]: profile } }`, where a
+ * profile has a `url` or `host`, `port`, `user`, `password` and `database`, and optionally `sslmode`
+ * and `sslrootcert`.
+ */
+function readProfiles() {
+  const profilesPath = getProfilesPath();
+  if (!fs.existsSync(profilesPath)) {
+    return { defaultProfile: DEFAULT_PROFILE, profiles: {} };
+  }
+
+  const config = JSON.parse(fs.readFileSync(profilesPath, "utf8"));
+  if (config.profiles) {
+    return { defaultProfile: config.defaultProfile || DEFAULT_PROFILE, profiles: config.profiles };
+  }
+
+  const profiles = {};
+  if (config.DB_HOST || config.DB_USER || config.DB_NAME) {
+    profiles[DEFAULT_PROFILE] = {
+      host: config.DB_HOST,
+      port: config.DB_PORT,
+      user: config.DB_USER,
+      password: config.DB_PASSWORD,
+      database: config.DB_NAME,
+    };
+  }
+  return { defaultProfile: DEFAULT_PROFILE, profiles };
+}
+
+/**
+ * The function `saveProfile` adds or replaces a connection profile in `~/.pgtozod/config.json`. The
+ * file is only readable by the current user since it can hold passwords.
+ * @param name - The profile name.
+ * @param profile - The connection details, see `readProfiles`.
+ * @returns the path of the file.
+ */
+function saveProfile(name, profile) {
+  const profilesPath = getProfilesPath();
+  const { defaultProfile, profiles } = readProfiles();
+
+  fs.mkdirSync(path.dirname(profilesPath), { recursive: true });
+  fs.writeFileSync(
+    profilesPath,
+    JSON.stringify({ defaultProfile, profiles: { ...profiles, [name]: profile } }, null, 2),
+    { mode: 0o600 }
+  );
+  fs.chmodSync(profilesPath, 0o600);
+  return profilesPath;
+}
+
+/**
+ * The function `readEnvironment` returns the environment variables, completed with the ones of the
+ * `.env` file in a directory. The `.env` file does not change `process.env`.
+ * @param [cwd] - The directory of the `.env` file.
+ * @param [env] - The environment variables.
+ * @returns an object of environment variables.
+ */
+function readEnvironment(cwd = process.cwd(), env = process.env) {
+  const envPath = path.join(cwd, ".env");
+  const fileEnv = fs.existsSync(envPath) ? dotenv.parse(fs.readFileSync(envPath)) : {};
+  return { ...fileEnv, ...env };
+}
+
+/**
+ * The function `getSslOptions` converts a libpq `sslmode` and a CA file to the `ssl` option of `pg`.
+ * `pg` can not fall back to an unencrypted connection, so `prefer` behaves like `require` and
+ * `allow` like `disable`.
+ * @param [sslmode] - One of `SSL_MODES`.
+ * @param [caFile] - The path of a CA certificate file. Without an `sslmode` it implies
+ * `verify-full`.
+ * @returns the `ssl` option, or undefined when neither is given.
+ */
+function getSslOptions(sslmode, caFile) {
+  if (!sslmode && !caFile) return undefined;
+  const mode = sslmode || "verify-full";
+  if (!SSL_MODES.includes(mode)) {
+    throw new Error(`Invalid sslmode ${mode}, expected one of ${SSL_MODES.join(", ")}`);
+  }
+
+  if (mode === "disable" || mode === "allow") return false;
+  if (mode === "prefer" || mode === "require") return { rejectUnauthorized: false };
+
+  const ssl = { rejectUnauthorized: true };
+  if (caFile) ssl.ca = fs.readFileSync(caFile, "utf8");
+  // verify-ca checks the certificate chain but not the host name
+  if (mode === "verify-ca") ssl.checkServerIdentity = () => undefined;
+  return ssl;
+}
+
+/**
+ * The function `toPoolOptions` converts a profile or a set of details to `pg` pool options. Empty
+ * values are left out, so `pg` falls back to its defaults and to `~/.pgpass` for the password.
+ */
+function toPoolOptions(details, ssl) {
+  const options = details.url ? { connectionString: details.url } : {};
+  for (const key of ["host", "port", "user", "password", "database"]) {
+    if (details[key] !== undefined && details[key] !== "") options[key] = details[key];
+  }
+  if (ssl !== undefined) options.ssl = ssl;
+  return options;
+}
+
+/**
+ * The function `resolveConnection` finds the connection details in the first source that provides
+ * them, in the order described at the top of this file.
+ * @param [options] - The resolution options.
+ * @param [options.url] - A connection string, which takes precedence over every other source.
+ * @param [options.profile] - The name of a profile of `~/.pgtozod/config.json`. Throws when the
+ * profile does not exist.
+ * @param [options.sslmode] - The libpq `sslmode`, overriding the one of the source.
+ * @param [options.sslCa] - The path of a CA certificate file, overriding the one of the source.
+ * @param [options.cwd] - The directory of the `.env` file.
+ * @param [options.env] - The environment variables.
+ * @returns an object `{ source, connection }` with a description of the source and the `pg` pool
+ * options, or null when no source provides connection details.
+ */
+function resolveConnection({ url, profile, sslmode, sslCa, cwd, env } = {}) {
+  const variables = readEnvironment(cwd, env);
+  const sslFor = (details) =>
+    getSslOptions(
+      sslmode || details.sslmode || variables.PGSSLMODE,
+      sslCa || details.sslrootcert || variables.PGSSLROOTCERT
+    );
+
+  if (url) {
+    return { source: "--url", connection: toPoolOptions({ url }, sslFor({})) };
+  }
+
+  const { defaultProfile, profiles } = readProfiles();
+  if (profile) {
+    if (!profiles[profile]) {
+      throw new Error(
+        `Profile ${profile} is not defined in ${getProfilesPath()}, use --reset to create it`
+      );
+    }
+    return {
+      source: `profile ${profile}`,
+      connection: toPoolOptions(profiles[profile], sslFor(profiles[profile])),
+    };
+  }
+
+  if (variables.DATABASE_URL) {
+    return {
+      source: "DATABASE_URL",
+      connection: toPoolOptions({ url: variables.DATABASE_URL }, sslFor({})),
+    };
+  }
+
+  const details = {};
+  for (const [variable, key] of Object.entries(PG_VARIABLES)) {
+    if (variables[variable]) details[key] = variables[variable];
+  }
+  if (details.host || details.database) {
+    return { source: "PG* environment variables", connection: toPoolOptions(details, sslFor({})) };
+  }
+
+  if (profiles[defaultProfile]) {
+    return {
+      source: `profile ${defaultProfile}`,
+      connection: toPoolOptions(profiles[defaultProfile], sslFor(profiles[defaultProfile])),
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  SSL_MODES,
+  getProfilesPath,
+  readProfiles,
+  saveProfile,
+  readEnvironment,
+  getSslOptions,
+  resolveConnection,
+};
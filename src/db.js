@@ -4,33 +4,31 @@
  */
 
 const { Pool } = require("pg");
-const os = require("os");
-const path = require("path");
-const fs = require("fs");
+const { resolveConnection } = require("./connection.js");
 
 /* The code is defining a function that returns a connection pool object for a
-PostgreSQL database. */
-module.exports = function () {
-  const configDir = path.join(os.homedir(), ".pgtozod");
-  const configPath = path.join(configDir, "config.json");
-  let config;
-
-  if (fs.existsSync(configPath)) {
-    const rawData = fs.readFileSync(configPath);
-    config = JSON.parse(rawData);
+PostgreSQL database. The connection can be a connection string or `pg` pool
+options; without one it is resolved from the environment, the `.env` file and
+the saved CLI profiles, see `connection.js`. */
+module.exports = function (connection) {
+  if (!connection) {
+    const resolved = resolveConnection();
+    connection = resolved && resolved.connection;
+  }
+  if (!connection) {
+    throw new Error(
+      "No database connection details provided. Set DATABASE_URL or the PG* environment variables, or save a profile with the CLI"
+    );
   }
 
-  const pool = new Pool({
-    user: config.DB_USER,
-    host: config.DB_HOST,
-    database: config.DB_NAME,
-    password: config.DB_PASSWORD,
-    port: config.DB_PORT,
-  });
+  const pool = new Pool(
+    typeof connection === "string"
+      ? { connectionString: connection }
+      : connection
+  );
 
   pool.on("error", (err, client) => {
     console.error("Unexpected error on idle client", err);
-    process.exit(-1);
   });
 
   return pool;
@@ -0,0 +1,1271 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/*
+ * Offline introspection: builds the same model as `introspect` from SQL DDL (migration files or a
+ * `pg_dump --schema-only` file) instead of a live database. Only the statements that affect the
+ * generated schemas are interpreted, everything else is skipped. Views and materialized views are
+ * skipped too, as their column types can not be derived without a database.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { tokenize } = require("./lexer.js");
+const { parseExpression, getColumnReferences } = require("./expression.js");
+const { resolveDomains, selectComposites } = require("./domains.js");
+const { BUILTIN_TYPES, getBuiltinDataType } = require("./builtins.js");
+const { isTableSelected, compareNames } = require("./utils.js");
+
+/* Keywords that end the data type of a column definition. */
+const COLUMN_CONSTRAINT_KEYWORDS = [
+  "constraint",
+  "not",
+  "null",
+  "default",
+  "primary",
+  "unique",
+  "check",
+  "references",
+  "generated",
+  "collate",
+  "compression",
+  "storage",
+];
+
+/* Keywords that end the data type of a CREATE DOMAIN statement. */
+const DOMAIN_CONSTRAINT_KEYWORDS = ["collate", "default", "constraint", "not", "null", "check"];
+
+/* Keywords that start a table constraint instead of a column definition. */
+const TABLE_CONSTRAINT_KEYWORDS = [
+  "constraint",
+  "primary",
+  "unique",
+  "check",
+  "foreign",
+  "exclude",
+  "like",
+];
+
+/* A `COPY ... FROM stdin;` statement of a dump, followed by its data rows up to a `\.` line. */
+const COPY_DATA = /^(\s*COPY\b[^;]*\bFROM\s+stdin\b[^;]*;[^\n]*\n)([\s\S]*?^\\\.[ \t]*\r?$)/gim;
+
+/**
+ * The function `blankCopyData` replaces the data rows of the `COPY ... FROM stdin` statements of a
+ * full `pg_dump` with spaces, so they are not read as SQL. Line breaks are kept, so the positions
+ * of the tokens in the source do not change.
+ * @param sql - The SQL source.
+ * @returns the SQL source without the data rows.
+ */
+function blankCopyData(sql) {
+  return sql.replace(COPY_DATA, (_, statement, data) => statement + data.replace(/[^\n]/g, " "));
+}
+
+/**
+ * The function `splitStatements` groups tokens into statements separated by semicolons.
+ * @param tokens - The tokens returned by `tokenize`.
+ * @returns an array of non-empty token arrays.
+ */
+function splitStatements(tokens) {
+  const statements = [];
+  let current = [];
+
+  for (const token of tokens) {
+    if (token.type === "punct" && token.value === ";") {
+      if (current.length) statements.push(current);
+      current = [];
+    } else {
+      current.push(token);
+    }
+  }
+  if (current.length) statements.push(current);
+
+  return statements;
+}
+
+/**
+ * The function `splitTopLevel` splits tokens on commas that are not nested in parentheses or
+ * brackets.
+ * @param tokens - The tokens to split.
+ * @returns an array of token arrays.
+ */
+function splitTopLevel(tokens) {
+  const parts = [];
+  let current = [];
+  let depth = 0;
+
+  for (const token of tokens) {
+    if (token.type === "punct" && (token.value === "(" || token.value === "[")) depth++;
+    if (token.type === "punct" && (token.value === ")" || token.value === "]")) depth--;
+    if (depth === 0 && token.type === "punct" && token.value === ",") {
+      parts.push(current);
+      current = [];
+    } else {
+      current.push(token);
+    }
+  }
+  if (current.length) parts.push(current);
+
+  return parts;
+}
+
+/**
+ * The function `createCursor` wraps a token array with helpers to read it from left to right.
+ * @param tokens - The tokens of a statement or clause.
+ * @param sql - The SQL source the tokens were read from, used to slice expressions.
+ * @returns a cursor object.
+ */
+function createCursor(tokens, sql) {
+  let position = 0;
+
+  const isKeyword = (token, word) =>
+    token && token.type === "word" && token.value.toLowerCase() === word;
+
+  const cursor = {
+    sql,
+    done: () => position >= tokens.length,
+    peek: (offset = 0) => tokens[position + offset],
+    next: () => tokens[position++],
+    // Checks whether the next tokens are the given keywords, without consuming them
+    is: (...words) => words.every((word, index) => isKeyword(tokens[position + index], word)),
+    // Consumes the given keywords if they are next
+    accept: (...words) => {
+      if (!cursor.is(...words)) return false;
+      position += words.length;
+      return true;
+    },
+    isPunct: (value) => {
+      const token = tokens[position];
+      return token && token.type === "punct" && token.value === value;
+    },
+    acceptPunct: (value) => {
+      if (!cursor.isPunct(value)) return false;
+      position++;
+      return true;
+    },
+    // Reads a possibly schema qualified name and returns `{ schema, name }`
+    qualifiedName: () => {
+      const parts = [readIdentifier(cursor.next())];
+      while (cursor.acceptPunct(".")) parts.push(readIdentifier(cursor.next()));
+      const name = parts.pop();
+      return { schema: parts.length ? parts[parts.length - 1] : null, name };
+    },
+    // Returns the tokens inside the parentheses starting at the current position
+    parenthesized: () => {
+      if (!cursor.acceptPunct("(")) return null;
+      const begin = position;
+      let depth = 1;
+      while (position < tokens.length) {
+        const token = tokens[position++];
+        if (token.type === "punct" && token.value === "(") depth++;
+        if (token.type === "punct" && token.value === ")" && --depth === 0) {
+          return tokens.slice(begin, position - 1);
+        }
+      }
+      throw new Error("Unbalanced parentheses in SQL");
+    },
+    // Consumes tokens up to (not including) one of the given keywords at depth zero. Keywords
+    // following SET are skipped, so `ON DELETE SET NULL` does not end a clause.
+    until: (words) => {
+      const begin = position;
+      let depth = 0;
+      while (position < tokens.length) {
+        const token = tokens[position];
+        if (token.type === "punct" && (token.value === "(" || token.value === "[")) depth++;
+        if (token.type === "punct" && (token.value === ")" || token.value === "]")) depth--;
+        if (
+          depth === 0 &&
+          position > begin &&
+          !isKeyword(tokens[position - 1], "set") &&
+          words.some((word) => isKeyword(token, word))
+        ) {
+          break;
+        }
+        position++;
+      }
+      return tokens.slice(begin, position);
+    },
+    rest: () => {
+      const rest = tokens.slice(position);
+      position = tokens.length;
+      return rest;
+    },
+    source: (range) =>
+      range.length ? sql.slice(range[0].start, range[range.length - 1].end) : "",
+  };
+
+  return cursor;
+}
+
+/**
+ * The function `readIdentifier` returns the name an identifier token refers to: unquoted words are
+ * folded to lower case like PostgreSQL does, quoted identifiers are kept as written.
+ * @param token - A "word" or "ident" token.
+ * @returns the identifier name.
+ */
+function readIdentifier(token) {
+  if (!token) throw new Error("Unexpected end of SQL statement");
+  if (token.type === "ident") return token.value;
+  if (token.type === "word") return token.value.toLowerCase();
+  throw new Error(`Expected an identifier but found '${token.value}'`);
+}
+
+/**
+ * The function `parseDataType` converts the tokens of a column type to the data type, udt schema,
+ * udt name and maximum length reported by `information_schema.columns`.
+ * @param tokens - The type tokens, e.g. `character varying ( 255 )` or `public . status [ ]`.
+ * @param state - The state returned by `createState`, to find the schema of unqualified types.
+ * @returns an object with `dataType`, `udtSchema`, `udtName`, `maxLength`, `numericPrecision`,
+ * `numericScale`, `arrayDimensions` and `isSerial`.
+ */
+function parseDataType(tokens, state) {
+  const words = [];
+  let schema = null;
+  let modifiers = [];
+  let arrayDimensions = 0;
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token.type === "punct" && token.value === "(") {
+      const close = tokens.findIndex((t, index) => index > i && t.value === ")");
+      modifiers = tokens
+        .slice(i + 1, close)
+        .filter((t) => t.type === "number")
+        .map((t) => Number(t.value));
+      i = close;
+    } else if (token.type === "punct" && token.value === "[") {
+      arrayDimensions++;
+      while (i < tokens.length && tokens[i].value !== "]") i++;
+    } else if (token.type === "word" && token.value.toLowerCase() === "array") {
+      arrayDimensions = Math.max(arrayDimensions, 1);
+    } else if (token.type === "punct" && token.value === ".") {
+      schema = words.pop();
+      words.length = 0;
+    } else {
+      words.push(readIdentifier(token));
+    }
+  }
+
+  // Interval fields such as `interval day to second` do not change the type
+  const typeName = words[0] === "interval" ? "interval" : words.join(" ");
+  const builtin = BUILTIN_TYPES[typeName];
+  let dataType = builtin ? builtin[0] : "USER-DEFINED";
+  let udtName = builtin ? builtin[1] : words[words.length - 1];
+  const udtSchema = builtin ? "pg_catalog" : schema || findTypeSchema(state, udtName);
+  let maxLength = null;
+  let numericPrecision = null;
+  let numericScale = null;
+
+  if (dataType === "numeric" && modifiers.length) {
+    [numericPrecision, numericScale = 0] = modifiers;
+  } else if (dataType === "character varying" && modifiers.length) {
+    maxLength = modifiers[0];
+  } else if (dataType === "character") {
+    maxLength = modifiers.length ? modifiers[0] : 1;
+  } else if (typeName === "float" && modifiers.length && modifiers[0] <= 24) {
+    [dataType, udtName] = BUILTIN_TYPES.real;
+  }
+
+  if (arrayDimensions > 0) {
+    dataType = "ARRAY";
+    udtName = `_${udtName}`;
+  }
+
+  return {
+    dataType,
+    udtSchema,
+    udtName,
+    maxLength,
+    numericPrecision,
+    numericScale,
+    arrayDimensions,
+    isSerial: /^(small|big)?serial[248]?$/.test(typeName),
+  };
+}
+
+/**
+ * The function `findTypeSchema` finds the schema of a type referred to without schema, the way the
+ * search path does: the current schema of the search path, then `public`, then any schema defining
+ * a type of that name.
+ * @param state - The state returned by `createState`.
+ * @param name - The type name.
+ * @returns the schema name.
+ */
+function findTypeSchema(state, name) {
+  const collections = [state.enums, state.domains, state.composites];
+  const defines = (schema) => collections.some((types) => types.has(key({ schema, name })));
+  if (defines(state.searchPath)) return state.searchPath;
+  if (defines("public")) return "public";
+
+  for (const types of collections) {
+    for (const type of types.values()) {
+      if (type.name === name) return type.schema;
+    }
+  }
+  return state.searchPath;
+}
+
+/**
+ * The function `normalizeDefault` rewrites a default expression as written in DDL to the form
+ * PostgreSQL reports it in `information_schema.columns.column_default`, so the generated output
+ * matches the output of a live database.
+ * @param expression - The default expression source.
+ * @param column - The column the default belongs to.
+ * @returns the normalized default expression, or null for `DEFAULT NULL`.
+ */
+function normalizeDefault(expression, column) {
+  // Objects in the public schema are reported without schema qualifier
+  const value = expression
+    .trim()
+    .replace(/::"?public"?\./g, "::")
+    .replace(/^nextval\('"?public"?\./i, "nextval('")
+    .replace(/^([a-z_]+)\(\)$/i, (match) => match.toLowerCase());
+  const castType = {
+    "USER-DEFINED":
+      column.udtSchema && column.udtSchema !== "public"
+        ? `${column.udtSchema}.${column.udtName}`
+        : column.udtName,
+    character: "bpchar",
+  }[column.dataType] || column.dataType;
+
+  if (/^'(?:[^']|'')*'$/.test(value) && column.dataType === "ARRAY") {
+    const elementType = column.udtName.slice(1);
+    return `${value}::${getBuiltinDataType(elementType) || elementType}[]`;
+  }
+  if (/^'(?:[^']|'')*'$/.test(value)) {
+    return `${value}::${castType}`;
+  }
+  if (/^-\d*\.?\d+(?:[eE][-+]?\d+)?$/.test(value)) {
+    return `'${value}'::${castType}`;
+  }
+  if (/^null$/i.test(value)) {
+    return null;
+  }
+  if (/^(true|false)$/i.test(value)) {
+    return value.toLowerCase();
+  }
+  if (/^(current_date|current_timestamp|current_time|localtimestamp)$/i.test(value)) {
+    return value.toUpperCase();
+  }
+  return value;
+}
+
+/**
+ * The function `parseColumnDefinition` reads a column definition of a CREATE TABLE or ALTER TABLE
+ * ADD COLUMN statement.
+ * @param cursor - A cursor positioned at the column name.
+ * @param table - The table the column belongs to, used to name serial sequences.
+ * @param state - The state returned by `createState`.
+ * @returns a column of the model.
+ */
+function parseColumnDefinition(cursor, table, state) {
+  const name = readIdentifier(cursor.next());
+  const type = parseDataType(cursor.until(COLUMN_CONSTRAINT_KEYWORDS), state);
+  const column = {
+    name,
+    dataType: type.dataType,
+    udtSchema: type.udtSchema,
+    udtName: type.udtName,
+    isNullable: true,
+    defaultValue: null,
+    isIdentity: false,
+    identityGeneration: null,
+    generationExpression: null,
+    maxLength: type.maxLength,
+    numericPrecision: type.numericPrecision,
+    numericScale: type.numericScale,
+    arrayDimensions: type.arrayDimensions,
+    comment: null,
+  };
+
+  if (type.isSerial) {
+    const sequence = `${table.name}_${name}_seq`;
+    column.isNullable = false;
+    column.defaultValue = `nextval('${
+      table.schema === "public" ? sequence : `${table.schema}.${sequence}`
+    }'::regclass)`;
+  }
+
+  let constraintName = null;
+  while (!cursor.done()) {
+    if (cursor.accept("constraint")) {
+      constraintName = readIdentifier(cursor.next());
+      continue;
+    } else if (cursor.accept("check")) {
+      addCheck(table, constraintName, cursor.source(cursor.parenthesized()), [name]);
+    } else if (cursor.accept("not", "null")) {
+      column.isNullable = false;
+    } else if (cursor.accept("null")) {
+      column.isNullable = true;
+    } else if (cursor.accept("primary", "key")) {
+      column.isNullable = false;
+      setPrimaryKey(table, constraintName, [name]);
+    } else if (cursor.accept("references")) {
+      addForeignKey(table, constraintName, [name], parseReferences(cursor, state));
+    } else if (cursor.accept("default")) {
+      const expression = cursor.until(COLUMN_CONSTRAINT_KEYWORDS);
+      column.defaultValue = normalizeDefault(cursor.source(expression), column);
+    } else if (cursor.accept("generated")) {
+      const always = cursor.accept("always");
+      if (always && cursor.accept("as") && cursor.isPunct("(")) {
+        // GENERATED ALWAYS AS (expression) STORED
+        column.generationExpression = cursor.source(cursor.parenthesized());
+        cursor.accept("stored");
+        continue;
+      }
+      const clause = cursor.until(COLUMN_CONSTRAINT_KEYWORDS.filter((w) => w !== "default"));
+      const words = clause.map((t) => String(t.value).toLowerCase());
+      if (words.includes("identity")) {
+        column.isIdentity = true;
+        column.identityGeneration = always ? "ALWAYS" : "BY DEFAULT";
+        column.isNullable = false;
+      }
+    } else {
+      // unique, collate, ... do not change the generated schema
+      cursor.next();
+      cursor.until(COLUMN_CONSTRAINT_KEYWORDS);
+    }
+    constraintName = null;
+  }
+
+  return column;
+}
+
+/**
+ * The function `addCheck` adds a CHECK constraint to a table, naming it the way PostgreSQL does
+ * when no name is given.
+ * @param table - The table the constraint belongs to.
+ * @param name - The constraint name, or null.
+ * @param definition - The source of the check expression.
+ * @param [columns] - The columns the check references. Derived from the expression when omitted.
+ */
+function addCheck(table, name, definition, columns) {
+  if (!columns) {
+    try {
+      columns = getColumnReferences(parseExpression(definition)).filter((column) =>
+        table.columns.some((c) => c.name === column)
+      );
+    } catch (err) {
+      // Reported as untranslated when the schemas are generated
+      columns = [];
+    }
+  }
+
+  if (!name) {
+    const base = `${table.name}_${columns.length === 1 ? `${columns[0]}_` : ""}check`;
+    name = base;
+    for (let i = 1; table.checks.some((check) => check.name === name); i++) {
+      name = `${base}${i}`;
+    }
+  }
+
+  table.checks.push({ name, definition, columns });
+}
+
+/**
+ * The function `parseReferences` reads the REFERENCES clause of a foreign key, after the keyword.
+ * @param cursor - A cursor positioned at the referenced table.
+ * @param state - The state returned by `createState`.
+ * @returns an object `{ references: { schema, table, columns }, onDelete, onUpdate }`. The columns
+ * are null when the clause names none, which references the primary key.
+ */
+function parseReferences(cursor, state) {
+  const target = qualify(state, cursor.qualifiedName());
+  const columns = cursor.parenthesized();
+  const readAction = () => {
+    for (const action of ["cascade", "restrict", "no action", "set null", "set default"]) {
+      if (cursor.accept(...action.split(" "))) {
+        // `SET NULL (column)` limits the action to some columns
+        cursor.parenthesized();
+        return action;
+      }
+    }
+    throw new Error("Expected a referential action after ON DELETE or ON UPDATE");
+  };
+
+  const foreignKey = {
+    references: {
+      schema: target.schema,
+      table: target.name,
+      columns: columns ? splitTopLevel(columns).map((part) => readIdentifier(part[0])) : null,
+    },
+    onDelete: "no action",
+    onUpdate: "no action",
+  };
+  for (;;) {
+    if (cursor.accept("on", "delete")) {
+      foreignKey.onDelete = readAction();
+    } else if (cursor.accept("on", "update")) {
+      foreignKey.onUpdate = readAction();
+    } else if (cursor.accept("match")) {
+      cursor.next();
+    } else if (cursor.accept("not", "deferrable") || cursor.accept("deferrable")) {
+      continue;
+    } else if (cursor.accept("initially")) {
+      cursor.next();
+    } else {
+      return foreignKey;
+    }
+  }
+}
+
+/**
+ * The function `addForeignKey` adds a foreign key to a table, naming it the way PostgreSQL does
+ * when no name is given.
+ * @param table - The table the constraint belongs to.
+ * @param name - The constraint name, or null.
+ * @param columns - The referencing columns.
+ * @param reference - The referenced table and actions, see `parseReferences`.
+ */
+function addForeignKey(table, name, columns, reference) {
+  if (!name) {
+    const base = `${table.name}_${columns.join("_")}_fkey`;
+    name = base;
+    for (let i = 1; table.foreignKeys.some((foreignKey) => foreignKey.name === name); i++) {
+      name = `${base}${i}`;
+    }
+  }
+  table.foreignKeys.push({ name, columns, ...reference });
+}
+
+/**
+ * The function `setPrimaryKey` records the primary key of a table, named the way PostgreSQL does
+ * when no name is given, so it can be dropped by name.
+ * @param table - The table the constraint belongs to.
+ * @param name - The constraint name, or null.
+ * @param columns - The key columns.
+ */
+function setPrimaryKey(table, name, columns) {
+  table.primaryKey = columns;
+  table.primaryKeyName = name || `${table.name}_pkey`;
+}
+
+/**
+ * The function `applyTableConstraint` applies a table constraint of a CREATE TABLE or ALTER TABLE
+ * ADD statement. Primary keys make their columns NOT NULL, and checks and foreign keys are
+ * recorded; other constraints do not change the generated schema.
+ * @param table - The table the constraint belongs to.
+ * @param tokens - The tokens of the table constraint.
+ * @param sql - The SQL source the tokens were read from.
+ * @param state - The state returned by `createState`, to resolve referenced tables.
+ */
+function applyTableConstraint(table, tokens, sql, state) {
+  const cursor = createCursor(tokens, sql);
+  const name = cursor.accept("constraint") ? readIdentifier(cursor.next()) : null;
+  const readColumns = () =>
+    splitTopLevel(cursor.parenthesized() || []).map((part) => readIdentifier(part[0]));
+
+  if (cursor.accept("primary", "key")) {
+    setPrimaryKey(table, name, readColumns());
+    for (const columnName of table.primaryKey) {
+      getColumn(table, columnName).isNullable = false;
+    }
+  } else if (cursor.accept("check")) {
+    addCheck(table, name, cursor.source(cursor.parenthesized()));
+  } else if (cursor.accept("foreign", "key")) {
+    const columns = readColumns();
+    cursor.accept("references");
+    addForeignKey(table, name, columns, parseReferences(cursor, state));
+  }
+}
+
+/**
+ * The function `createState` creates the catalog that DDL statements are applied to.
+ * @returns an object holding tables, enum, domain and composite types keyed by qualified name.
+ */
+function createState() {
+  return {
+    searchPath: "public",
+    tables: new Map(),
+    enums: new Map(),
+    domains: new Map(),
+    composites: new Map(),
+  };
+}
+
+function qualify(state, { schema, name }) {
+  return { schema: schema || state.searchPath, name };
+}
+
+function key({ schema, name }) {
+  return `${schema}.${name}`;
+}
+
+function getTable(state, qualifiedName) {
+  return state.tables.get(key(qualify(state, qualifiedName)));
+}
+
+function getColumn(table, name) {
+  const column = table.columns.find((c) => c.name === name);
+  if (!column) {
+    throw new Error(`Column ${name} does not exist on table ${table.schema}.${table.name}`);
+  }
+  return column;
+}
+
+function applyCreateTable(state, cursor, kind) {
+  cursor.accept("if", "not", "exists");
+  const qualifiedName = qualify(state, cursor.qualifiedName());
+  const body = cursor.parenthesized();
+  // PARTITION OF and typed tables have no column list we can read
+  if (!body) return;
+
+  // Whether a foreign table accepts inserts depends on its wrapper, so it is treated as read-only
+  const table = {
+    ...qualifiedName,
+    kind,
+    isInsertable: kind === "table",
+    columns: [],
+    checks: [],
+    foreignKeys: [],
+    primaryKey: [],
+    primaryKeyName: null,
+    comment: null,
+  };
+  const constraints = [];
+
+  for (const element of splitTopLevel(body)) {
+    const elementCursor = createCursor(element, cursor.sql);
+    if (TABLE_CONSTRAINT_KEYWORDS.some((word) => elementCursor.is(word))) {
+      constraints.push(element);
+    } else {
+      table.columns.push(parseColumnDefinition(elementCursor, table, state));
+    }
+  }
+
+  // Table constraints may refer to columns defined after them
+  for (const element of constraints) applyTableConstraint(table, element, cursor.sql, state);
+  state.tables.set(key(table), table);
+}
+
+function applyAlterColumn(state, table, cursor) {
+  const column = getColumn(table, readIdentifier(cursor.next()));
+
+  if (cursor.accept("set", "data", "type") || cursor.accept("type")) {
+    const type = parseDataType(cursor.until(["collate", "using"]), state);
+    column.dataType = type.dataType;
+    column.udtSchema = type.udtSchema;
+    column.udtName = type.udtName;
+    column.maxLength = type.maxLength;
+    column.numericPrecision = type.numericPrecision;
+    column.numericScale = type.numericScale;
+    column.arrayDimensions = type.arrayDimensions;
+  } else if (cursor.accept("set", "default")) {
+    column.defaultValue = normalizeDefault(cursor.source(cursor.rest()), column);
+  } else if (cursor.accept("drop", "default")) {
+    column.defaultValue = null;
+  } else if (cursor.accept("set", "not", "null")) {
+    column.isNullable = false;
+  } else if (cursor.accept("drop", "not", "null")) {
+    column.isNullable = true;
+  } else if (cursor.accept("add", "generated")) {
+    column.isIdentity = true;
+    column.identityGeneration = cursor.is("always") ? "ALWAYS" : "BY DEFAULT";
+    column.isNullable = false;
+  } else if (cursor.accept("set", "generated")) {
+    column.identityGeneration = cursor.is("always") ? "ALWAYS" : "BY DEFAULT";
+  } else if (cursor.accept("drop", "identity")) {
+    column.isIdentity = false;
+    column.identityGeneration = null;
+  } else if (cursor.accept("set", "expression", "as")) {
+    column.generationExpression = cursor.source(cursor.parenthesized());
+  } else if (cursor.accept("drop", "expression")) {
+    column.generationExpression = null;
+  }
+}
+
+/**
+ * The function `getForeignKeysTo` returns the foreign keys of every table that reference a table.
+ */
+function getForeignKeysTo(state, schema, name) {
+  return Array.from(state.tables.values())
+    .flatMap((table) => table.foreignKeys)
+    .filter(
+      (foreignKey) =>
+        foreignKey.references.schema === schema && foreignKey.references.table === name
+    );
+}
+
+function applyAlterTable(state, cursor) {
+  cursor.accept("if", "exists");
+  cursor.accept("only");
+  const qualifiedName = qualify(state, cursor.qualifiedName());
+  cursor.acceptPunct("*");
+  const table = getTable(state, qualifiedName);
+
+  if (cursor.accept("rename", "to")) {
+    if (!table) return;
+    const previousName = table.name;
+    state.tables.delete(key(table));
+    table.name = readIdentifier(cursor.next());
+    state.tables.set(key(table), table);
+    // Foreign keys follow the table they reference
+    for (const foreignKey of getForeignKeysTo(state, table.schema, previousName)) {
+      foreignKey.references.table = table.name;
+    }
+    return;
+  }
+  // Tables we have no definition of (e.g. created by an extension) are left alone
+  if (!table) return;
+
+  for (const action of splitTopLevel(cursor.rest())) {
+    const actionCursor = createCursor(action, cursor.sql);
+
+    if (actionCursor.accept("add")) {
+      if (TABLE_CONSTRAINT_KEYWORDS.some((word) => actionCursor.is(word))) {
+        applyTableConstraint(table, action.slice(1), cursor.sql, state);
+        continue;
+      }
+      actionCursor.accept("column");
+      const ifNotExists = actionCursor.accept("if", "not", "exists");
+      const column = parseColumnDefinition(actionCursor, table, state);
+      if (ifNotExists && table.columns.some((c) => c.name === column.name)) continue;
+      table.columns.push(column);
+    } else if (actionCursor.accept("drop", "constraint")) {
+      actionCursor.accept("if", "exists");
+      const name = readIdentifier(actionCursor.next());
+      table.checks = table.checks.filter((check) => check.name !== name);
+      table.foreignKeys = table.foreignKeys.filter((foreignKey) => foreignKey.name !== name);
+      if (table.primaryKeyName === name) table.primaryKey = [];
+    } else if (actionCursor.accept("drop")) {
+      actionCursor.accept("column");
+      const ifExists = actionCursor.accept("if", "exists");
+      const name = readIdentifier(actionCursor.next());
+      if (ifExists && !table.columns.some((c) => c.name === name)) continue;
+      table.columns.splice(table.columns.indexOf(getColumn(table, name)), 1);
+      // Dropping a column drops the constraints that reference it
+      table.checks = table.checks.filter((check) => !check.columns.includes(name));
+      table.foreignKeys = table.foreignKeys.filter(
+        (foreignKey) => !foreignKey.columns.includes(name)
+      );
+      table.primaryKey = table.primaryKey.filter((column) => column !== name);
+    } else if (actionCursor.accept("alter")) {
+      actionCursor.accept("column");
+      applyAlterColumn(state, table, actionCursor);
+    } else if (actionCursor.accept("rename", "constraint")) {
+      const previousName = readIdentifier(actionCursor.next());
+      const constraint = [...table.checks, ...table.foreignKeys].find(
+        (c) => c.name === previousName
+      );
+      actionCursor.accept("to");
+      const name = readIdentifier(actionCursor.next());
+      if (constraint) constraint.name = name;
+      if (table.primaryKeyName === previousName) table.primaryKeyName = name;
+    } else if (actionCursor.accept("rename")) {
+      actionCursor.accept("column");
+      const column = getColumn(table, readIdentifier(actionCursor.next()));
+      const previousName = column.name;
+      actionCursor.accept("to");
+      column.name = readIdentifier(actionCursor.next());
+
+      const rename = (name) => (name === previousName ? column.name : name);
+      table.primaryKey = table.primaryKey.map(rename);
+      for (const foreignKey of table.foreignKeys) {
+        foreignKey.columns = foreignKey.columns.map(rename);
+      }
+      for (const foreignKey of getForeignKeysTo(state, table.schema, table.name)) {
+        if (foreignKey.references.columns) {
+          foreignKey.references.columns = foreignKey.references.columns.map(rename);
+        }
+      }
+      for (const check of table.checks) {
+        if (!check.columns.includes(previousName)) continue;
+        check.columns = check.columns.map(rename);
+        check.definition = check.definition.replace(
+          new RegExp(`\\b${previousName}\\b`, "g"),
+          column.name
+        );
+      }
+    }
+  }
+}
+
+function applyCreateType(state, cursor) {
+  const qualifiedName = qualify(state, cursor.qualifiedName());
+  if (cursor.accept("as", "enum")) {
+    const values = splitTopLevel(cursor.parenthesized() || []).map((part) => part[0].value);
+    state.enums.set(key(qualifiedName), { ...qualifiedName, values });
+  } else if (cursor.accept("as") && cursor.isPunct("(")) {
+    const composite = { ...qualifiedName, columns: [] };
+    for (const element of splitTopLevel(cursor.parenthesized())) {
+      composite.columns.push(parseAttributeDefinition(createCursor(element, cursor.sql), state));
+    }
+    state.composites.set(key(composite), composite);
+  }
+}
+
+/**
+ * The function `parseAttributeDefinition` reads an attribute of a composite type. Attributes can not
+ * have constraints, so they are always nullable and have no default.
+ * @param cursor - A cursor positioned at the attribute name.
+ * @param state - The state returned by `createState`.
+ * @returns a column of the model.
+ */
+function parseAttributeDefinition(cursor, state) {
+  const name = readIdentifier(cursor.next());
+  const type = parseDataType(cursor.until(["collate", "cascade", "restrict"]), state);
+  return {
+    name,
+    dataType: type.dataType,
+    udtSchema: type.udtSchema,
+    udtName: type.udtName,
+    isNullable: true,
+    defaultValue: null,
+    isIdentity: false,
+    identityGeneration: null,
+    generationExpression: null,
+    maxLength: type.maxLength,
+    numericPrecision: type.numericPrecision,
+    numericScale: type.numericScale,
+    arrayDimensions: type.arrayDimensions,
+    comment: null,
+  };
+}
+
+/**
+ * The function `renameType` updates the columns, attributes and domains using a renamed enum,
+ * domain or composite type.
+ */
+function renameType(state, schema, previousName, name) {
+  const users = [
+    ...[...state.tables.values(), ...state.composites.values()].flatMap((r) => r.columns),
+    ...state.domains.values(),
+  ];
+  for (const user of users) {
+    if (user.udtSchema !== schema) continue;
+    if (user.udtName === previousName) user.udtName = name;
+    if (user.udtName === `_${previousName}`) user.udtName = `_${name}`;
+  }
+}
+
+function applyAlterType(state, cursor) {
+  const qualifiedName = qualify(state, cursor.qualifiedName());
+  const enumType = state.enums.get(key(qualifiedName));
+  const composite = state.composites.get(key(qualifiedName));
+  const type = enumType || composite;
+  if (!type) return;
+
+  if (cursor.accept("rename", "to")) {
+    const collection = enumType ? state.enums : state.composites;
+    const previousName = type.name;
+    collection.delete(key(type));
+    type.name = readIdentifier(cursor.next());
+    collection.set(key(type), type);
+    renameType(state, type.schema, previousName, type.name);
+  } else if (enumType && cursor.accept("add", "value")) {
+    cursor.accept("if", "not", "exists");
+    const value = cursor.next().value;
+    if (enumType.values.includes(value)) return;
+    let index = enumType.values.length;
+    if (cursor.accept("before")) index = enumType.values.indexOf(cursor.next().value);
+    if (cursor.accept("after")) index = enumType.values.indexOf(cursor.next().value) + 1;
+    enumType.values.splice(index, 0, value);
+  } else if (enumType && cursor.accept("rename", "value")) {
+    const from = cursor.next().value;
+    cursor.accept("to");
+    enumType.values[enumType.values.indexOf(from)] = cursor.next().value;
+  } else if (composite && cursor.accept("rename", "attribute")) {
+    const column = getColumn(composite, readIdentifier(cursor.next()));
+    cursor.accept("to");
+    column.name = readIdentifier(cursor.next());
+  } else if (composite) {
+    for (const action of splitTopLevel(cursor.rest())) {
+      const actionCursor = createCursor(action, cursor.sql);
+      if (actionCursor.accept("add", "attribute")) {
+        composite.columns.push(parseAttributeDefinition(actionCursor, state));
+      } else if (actionCursor.accept("drop", "attribute")) {
+        const ifExists = actionCursor.accept("if", "exists");
+        const name = readIdentifier(actionCursor.next());
+        if (ifExists && !composite.columns.some((c) => c.name === name)) continue;
+        composite.columns.splice(composite.columns.indexOf(getColumn(composite, name)), 1);
+      } else if (actionCursor.accept("alter", "attribute")) {
+        const column = getColumn(composite, readIdentifier(actionCursor.next()));
+        if (!actionCursor.accept("set", "data", "type")) actionCursor.accept("type");
+        const type = parseDataType(
+          actionCursor.until(["collate", "cascade", "restrict"]),
+          state
+        );
+        column.dataType = type.dataType;
+        column.udtSchema = type.udtSchema;
+        column.udtName = type.udtName;
+        column.maxLength = type.maxLength;
+        column.numericPrecision = type.numericPrecision;
+        column.numericScale = type.numericScale;
+        column.arrayDimensions = type.arrayDimensions;
+      }
+    }
+  }
+}
+
+/**
+ * The function `addDomainCheck` adds a CHECK constraint to a domain, naming it the way PostgreSQL
+ * does when no name is given.
+ * @param domain - The domain the constraint belongs to.
+ * @param name - The constraint name, or null.
+ * @param definition - The source of the check expression, referring to the value as `VALUE`.
+ */
+function addDomainCheck(domain, name, definition) {
+  if (!name) {
+    const base = `${domain.name}_check`;
+    name = base;
+    for (let i = 1; domain.checks.some((check) => check.name === name); i++) {
+      name = `${base}${i}`;
+    }
+  }
+  domain.checks.push({ name, definition });
+}
+
+/**
+ * The function `applyDomainConstraints` reads the default and the constraints of a CREATE DOMAIN
+ * statement.
+ * @param domain - The domain the constraints belong to.
+ * @param cursor - A cursor positioned after the data type.
+ */
+function applyDomainConstraints(domain, cursor) {
+  let constraintName = null;
+  while (!cursor.done()) {
+    if (cursor.accept("constraint")) {
+      constraintName = readIdentifier(cursor.next());
+      continue;
+    } else if (cursor.accept("check")) {
+      addDomainCheck(domain, constraintName, cursor.source(cursor.parenthesized()));
+    } else if (cursor.accept("not", "null")) {
+      domain.notNull = true;
+    } else if (cursor.accept("null")) {
+      domain.notNull = false;
+    } else if (cursor.accept("default")) {
+      const expression = cursor.until(DOMAIN_CONSTRAINT_KEYWORDS);
+      domain.defaultValue = normalizeDefault(cursor.source(expression), domain);
+    } else {
+      // collate and NOT VALID do not change the generated schema
+      cursor.next();
+      cursor.until(DOMAIN_CONSTRAINT_KEYWORDS);
+    }
+    constraintName = null;
+  }
+}
+
+function applyCreateDomain(state, cursor) {
+  const qualifiedName = qualify(state, cursor.qualifiedName());
+  cursor.accept("as");
+  const type = parseDataType(cursor.until(DOMAIN_CONSTRAINT_KEYWORDS), state);
+  const domain = {
+    ...qualifiedName,
+    dataType: type.dataType,
+    udtSchema: type.udtSchema,
+    udtName: type.udtName,
+    maxLength: type.maxLength,
+    numericPrecision: type.numericPrecision,
+    numericScale: type.numericScale,
+    arrayDimensions: type.arrayDimensions,
+    notNull: false,
+    defaultValue: null,
+    checks: [],
+  };
+  applyDomainConstraints(domain, cursor);
+  state.domains.set(key(domain), domain);
+}
+
+function applyAlterDomain(state, cursor) {
+  const domain = state.domains.get(key(qualify(state, cursor.qualifiedName())));
+  if (!domain) return;
+
+  if (cursor.accept("set", "default")) {
+    domain.defaultValue = normalizeDefault(cursor.source(cursor.rest()), domain);
+  } else if (cursor.accept("drop", "default")) {
+    domain.defaultValue = null;
+  } else if (cursor.accept("set", "not", "null")) {
+    domain.notNull = true;
+  } else if (cursor.accept("drop", "not", "null")) {
+    domain.notNull = false;
+  } else if (cursor.accept("add")) {
+    applyDomainConstraints(domain, cursor);
+  } else if (cursor.accept("drop", "constraint")) {
+    cursor.accept("if", "exists");
+    const name = readIdentifier(cursor.next());
+    domain.checks = domain.checks.filter((check) => check.name !== name);
+  } else if (cursor.accept("rename", "constraint")) {
+    const check = domain.checks.find((c) => c.name === readIdentifier(cursor.next()));
+    cursor.accept("to");
+    if (check) check.name = readIdentifier(cursor.next());
+  } else if (cursor.accept("rename", "to")) {
+    const previousName = domain.name;
+    state.domains.delete(key(domain));
+    domain.name = readIdentifier(cursor.next());
+    state.domains.set(key(domain), domain);
+    renameType(state, domain.schema, previousName, domain.name);
+  }
+}
+
+/**
+ * The function `applyComment` reads a `COMMENT ON TABLE` or `COMMENT ON COLUMN` statement. Comments
+ * on tables, columns of tables and attributes of composite types are kept; setting a comment to
+ * NULL or to an empty string removes it, like PostgreSQL does.
+ * @param state - The state returned by `createState`.
+ * @param cursor - A cursor positioned after COMMENT ON.
+ */
+function applyComment(state, cursor) {
+  let target;
+  if (cursor.accept("table") || cursor.accept("foreign", "table")) {
+    target = getTable(state, cursor.qualifiedName());
+  } else if (cursor.accept("column")) {
+    const parts = [readIdentifier(cursor.next())];
+    while (cursor.acceptPunct(".")) parts.push(readIdentifier(cursor.next()));
+    const columnName = parts.pop();
+    const relationName = qualify(state, {
+      schema: parts.length > 1 ? parts[parts.length - 2] : null,
+      name: parts[parts.length - 1],
+    });
+    const relation =
+      state.tables.get(key(relationName)) || state.composites.get(key(relationName));
+    target = relation && relation.columns.find((column) => column.name === columnName);
+  }
+  if (!target || !cursor.accept("is")) return;
+
+  const value = cursor.next();
+  target.comment = value && value.type === "string" && value.value ? value.value : null;
+}
+
+function applyDrop(state, cursor, ...collections) {
+  cursor.accept("if", "exists");
+  for (const part of splitTopLevel(cursor.until(["cascade", "restrict"]))) {
+    const qualifiedName = qualify(state, createCursor(part, cursor.sql).qualifiedName());
+    for (const collection of collections) collection.delete(key(qualifiedName));
+  }
+}
+
+/**
+ * The function `applyStatement` applies a single DDL statement to the catalog state. Statements
+ * that do not affect tables or types are ignored.
+ * @param state - The state returned by `createState`.
+ * @param tokens - The tokens of the statement.
+ * @param sql - The SQL source the tokens were read from.
+ */
+function applyStatement(state, tokens, sql) {
+  const cursor = createCursor(tokens, sql);
+
+  if (cursor.accept("create")) {
+    cursor.accept("or", "replace");
+    cursor.accept("unlogged");
+    if (cursor.is("temp") || cursor.is("temporary")) return;
+    if (cursor.accept("table")) return applyCreateTable(state, cursor, "table");
+    if (cursor.accept("foreign", "table")) {
+      return applyCreateTable(state, cursor, "foreign table");
+    }
+    if (cursor.accept("type")) return applyCreateType(state, cursor);
+    if (cursor.accept("domain")) return applyCreateDomain(state, cursor);
+  } else if (cursor.accept("alter", "table")) {
+    return applyAlterTable(state, cursor);
+  } else if (cursor.accept("alter", "type")) {
+    return applyAlterType(state, cursor);
+  } else if (cursor.accept("alter", "domain")) {
+    return applyAlterDomain(state, cursor);
+  } else if (cursor.accept("comment", "on")) {
+    return applyComment(state, cursor);
+  } else if (cursor.accept("drop", "table") || cursor.accept("drop", "foreign", "table")) {
+    return applyDrop(state, cursor, state.tables);
+  } else if (cursor.accept("drop", "type")) {
+    return applyDrop(state, cursor, state.enums, state.composites);
+  } else if (cursor.accept("drop", "domain")) {
+    return applyDrop(state, cursor, state.domains);
+  } else if (cursor.accept("set", "search_path") || cursor.accept("set", "schema")) {
+    if (!cursor.accept("to")) cursor.acceptPunct("=");
+    const first = cursor.next();
+    if (first && first.type === "string" && first.value) {
+      state.searchPath = first.value;
+    } else if (first && first.type !== "string") {
+      state.searchPath = readIdentifier(first);
+    }
+  }
+}
+
+/**
+ * The function `getForeignKeys` returns the foreign keys of a table the way `introspect` reports
+ * them. Keys without a column list reference the primary key, and keys of tables or columns that
+ * were dropped since are left out.
+ * @param state - The state returned by `createState`.
+ * @param table - A table of the state.
+ * @returns an array of `{ name, columns, references: { schema, table, columns }, onDelete,
+ * onUpdate }` objects.
+ */
+function getForeignKeys(state, table) {
+  return table.foreignKeys
+    .map((foreignKey) => {
+      const target = state.tables.get(
+        key({ schema: foreignKey.references.schema, name: foreignKey.references.table })
+      );
+      const columns = target && (foreignKey.references.columns || target.primaryKey);
+      if (!columns || columns.length !== foreignKey.columns.length) return null;
+      if (!columns.every((name) => target.columns.some((column) => column.name === name))) {
+        return null;
+      }
+      return { ...foreignKey, references: { ...foreignKey.references, columns } };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * The function `parseSql` builds a model from SQL DDL, the same way `introspect` does from a live
+ * database.
+ * @param sql - The SQL source, or an array of sources applied in order.
+ * @param [options] - The introspection options.
+ * @param [options.schema=public] - A schema name, an array of schema names, or 'all' for every
+ * schema the SQL defines tables or composite types in.
+ * @param [options.tables=all] - A table name, an array of table names, or 'all'. Names can be
+ * qualified with a schema, as in `auth.users`.
+ * @param [options.include] - Globs of the table names to read when `tables` is 'all'.
+ * @param [options.exclude] - Globs of the table names to leave out when `tables` is 'all'.
+ * @returns a model of the shape `{ source, schemas, enums, domains, composites,
+ * tables: [{ schema, name, kind, isInsertable, comment, columns, checks, primaryKey, foreignKeys }]
+ * }`, where source is "SQL DDL" and the types are keyed by qualified name, like `auth.role`.
+ */
+function parseSql(sql, { schema = "public", tables = "all", include, exclude } = {}) {
+  const state = createState();
+
+  for (const source of [].concat(sql).map(blankCopyData)) {
+    for (const statement of splitStatements(tokenize(source))) {
+      applyStatement(state, statement, source);
+    }
+  }
+
+  const schemas =
+    schema === "all"
+      ? Array.from(
+          new Set(
+            [...state.tables.values(), ...state.composites.values()].map((table) => table.schema)
+          )
+        ).sort()
+      : [].concat(schema);
+
+  const enums = {};
+  for (const enumType of state.enums.values()) {
+    enums[key(enumType)] = enumType.values;
+  }
+
+  const domains = {};
+  for (const domain of state.domains.values()) {
+    domains[key(domain)] = {
+      schema: domain.schema,
+      name: domain.name,
+      dataType: domain.dataType,
+      udtSchema: domain.udtSchema,
+      udtName: domain.udtName,
+      maxLength: domain.maxLength,
+      numericPrecision: domain.numericPrecision,
+      numericScale: domain.numericScale,
+      arrayDimensions: domain.arrayDimensions,
+      notNull: domain.notNull,
+      defaultValue: domain.defaultValue,
+      checks: domain.checks,
+    };
+  }
+
+  const composites = {};
+  for (const composite of state.composites.values()) {
+    composites[key(composite)] = {
+      schema: composite.schema,
+      name: composite.name,
+      columns: composite.columns,
+    };
+  }
+
+  const modelTables = Array.from(state.tables.values())
+    .filter((table) => schemas.includes(table.schema))
+    .filter((table) => isTableSelected(table, tables, include, exclude))
+    .sort((a, b) => compareNames(a.schema, b.schema) || compareNames(a.name, b.name))
+    .map((table) => ({
+      schema: table.schema,
+      name: table.name,
+      kind: table.kind,
+      isInsertable: table.isInsertable,
+      comment: table.comment,
+      columns: table.columns,
+      checks: table.checks,
+      primaryKey: table.primaryKey,
+      foreignKeys: getForeignKeys(state, table),
+    }));
+
+  for (const name of tables === "all" ? [] : [].concat(tables)) {
+    if (!modelTables.some((table) => isTableSelected(table, name))) {
+      const qualified =
+        name.includes(".") || schemas.length !== 1 ? name : key({ schema: schemas[0], name });
+      throw new Error(`Table ${qualified} is not defined in the SQL files`);
+    }
+  }
+
+  const model = resolveDomains({
+    source: "SQL DDL",
+    schemas,
+    enums,
+    domains,
+    composites,
+    tables: modelTables,
+  });
+  model.composites = selectComposites(model.composites, schemas, model.tables);
+  return model;
+}
+
+/**
+ * The function `resolveSqlFiles` expands directories and simple `*` wildcards in file names to the
+ * matching `.sql` files, sorted by name so migrations are applied in order.
+ * @param patterns - An array of file paths, directories or wildcard patterns.
+ * @returns an array of file paths.
+ */
+function resolveSqlFiles(patterns) {
+  const files = [];
+
+  for (const pattern of [].concat(patterns)) {
+    if (fs.existsSync(pattern) && fs.statSync(pattern).isDirectory()) {
+      files.push(
+        ...fs
+          .readdirSync(pattern)
+          .filter((file) => file.endsWith(".sql"))
+          .sort()
+          .map((file) => path.join(pattern, file))
+      );
+    } else if (path.basename(pattern).includes("*")) {
+      const dir = path.dirname(pattern);
+      const matcher = new RegExp(
+        "^" +
+          path
+            .basename(pattern)
+            .split("*")
+            .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+            .join(".*") +
+          "$"
+      );
+      files.push(
+        ...fs
+          .readdirSync(dir)
+          .filter((file) => matcher.test(file))
+          .sort()
+          .map((file) => path.join(dir, file))
+      );
+    } else {
+      files.push(pattern);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * The function `introspectSql` reads SQL files and builds a model from them.
+ * @param options - The introspection options.
+ * @param options.files - An array of SQL file paths, directories or wildcard patterns.
+ * @param [options.schema=public] - A schema name, an array of schema names, or 'all'.
+ * @param [options.tables=all] - A table name, an array of table names, or 'all'.
+ * @param [options.include] - Globs of the table names to read when `tables` is 'all'.
+ * @param [options.exclude] - Globs of the table names to leave out when `tables` is 'all'.
+ * @returns a model, see `parseSql`.
+ */
+function introspectSql({ files, schema = "public", tables = "all", include, exclude }) {
+  const sources = resolveSqlFiles(files).map((file) => fs.readFileSync(file, "utf8"));
+  return parseSql(sources, { schema, tables, include, exclude });
+}
+
+module.exports = {
+  introspectSql,
+  parseSql,
+};
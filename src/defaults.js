@@ -0,0 +1,326 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/*
+ * The values the database gives the columns an insert leaves out. `getDefaultKind` tells where the
+ * value of a column comes from, which decides how the insert schemas treat the column:
+ *
+ *   literal              a constant default like `'draft'::text`, `0` or `'{}'::text[]`, applied
+ *                        with `.default(...)`, see `parseDefaultValue`
+ *   server               a default computed when the row is inserted, like `nextval(...)`,
+ *                        `now()` or `gen_random_uuid()`; the field is optional
+ *   identity-by-default  a `GENERATED BY DEFAULT AS IDENTITY` column; the field is optional
+ *   identity-always      a `GENERATED ALWAYS AS IDENTITY` column, which rejects values; left out
+ *   generated            a `GENERATED ALWAYS AS (...) STORED` column, which rejects values; left out
+ *
+ * Columns with a literal or server default are left out altogether with `excludeDefaults`.
+ */
+
+const { getBuiltinDataType } = require("./builtins.js");
+const { parseExpression, unwrapCasts } = require("./expression.js");
+const { quote } = require("./utils.js");
+
+/* The kinds of defaults returned by `getDefaultKind`. */
+const DEFAULT_KINDS = ["literal", "server", "identity-by-default", "identity-always", "generated"];
+
+/* Strings the date and time types read as the time of the insert, like `'now'::timestamp`. */
+const SPECIAL_TIME_VALUES = ["now", "today", "tomorrow", "yesterday"];
+
+/* The syntax of a number, after the currency symbol and group separators of money are removed. */
+const NUMBER_PATTERN = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?$/;
+
+/**
+ * The function `getDefaultKind` tells where the value of a column left out of an insert comes
+ * from.
+ * @param column - A column of the model.
+ * @returns one of `DEFAULT_KINDS`, or null when the column has no default.
+ */
+function getDefaultKind(column) {
+  if (column.generationExpression) return "generated";
+  // Models introspected by earlier versions have no identity generation
+  if (column.isIdentity) {
+    return column.identityGeneration === "ALWAYS" ? "identity-always" : "identity-by-default";
+  }
+  if (column.defaultValue === null || column.defaultValue === undefined) return null;
+
+  let node;
+  try {
+    node = parseExpression(column.defaultValue);
+  } catch (err) {
+    // Beyond the supported grammar, like `now() AT TIME ZONE 'utc'`, so not a constant either
+    return "server";
+  }
+  if (unwrapCasts(node).type === "null") return null;
+  return isConstant(node, column) ? "literal" : "server";
+}
+
+/**
+ * The function `isConstant` tells whether a default expression has the same value for every row:
+ * a literal, possibly cast, negated or in an array.
+ * @param node - The expression node, see `parseExpression`.
+ * @param column - The column of the default.
+ * @returns a boolean value.
+ */
+function isConstant(node, column) {
+  node = unwrapCasts(node);
+  switch (node.type) {
+    case "string":
+      return !(
+        /^(date|time|timestamp)/.test(column.dataType) &&
+        SPECIAL_TIME_VALUES.includes(node.value.trim().toLowerCase())
+      );
+    case "number":
+    case "boolean":
+    case "null":
+      return true;
+    case "unary":
+      return node.operator === "-" && isConstant(node.operand, column);
+    case "array":
+      return node.elements.every((element) => isConstant(element, column));
+    default:
+      return false;
+  }
+}
+
+/**
+ * The function `parseDefaultValue` converts a literal default to the JavaScript source of the same
+ * value, as it is passed to `.default(...)`. The expression is parsed, so the casts PostgreSQL adds
+ * to the literals it reports, like `'a'::character varying` or `'{1,2}'::integer[]`, are
+ * understood.
+ * @param value - The column default as reported by `information_schema.columns`.
+ * @param dataType - The data type of the column, like "integer", "text" or "ARRAY".
+ * @param enums - The enum types of the model, keyed by type name, with their values.
+ * @param [udtName] - The udt name of the column, used to find the element type of arrays.
+ * @param [representation=number] - How numbers are represented, see `getNumericRepresentation`.
+ * Bigints are returned as bigint literals and decimal strings as string literals, in arrays too.
+ * @returns a number or boolean, the source of any other value, like `'abc'` or
+ * `new Date('2024-01-01')`, or undefined when the default is not a literal of the data type.
+ * Such defaults are reported by `describeInsert`.
+ */
+function parseDefaultValue(value, dataType, enums, udtName, representation = "number") {
+  let node;
+  try {
+    node = unwrapCasts(parseExpression(value));
+  } catch (err) {
+    return undefined;
+  }
+  const text = node.type === "string" ? node.value : undefined;
+
+  switch (dataType) {
+    case "integer":
+    case "bigint":
+    case "numeric":
+    case "smallint":
+    case "double precision":
+    case "real":
+    case "money": {
+      // Written as 1 or -1, or reported as '-1'::integer and '$1,000.00'::money
+      const number =
+        node.type === "number"
+          ? node.text
+          : text && text.trim().replace(/^(-?)\$/, "$1").replace(/,/g, "");
+      if (!number || !NUMBER_PATTERN.test(number)) return undefined;
+      if (representation === "bigint") return `${number.replace(/\.0*$/, "")}n`;
+      if (representation === "string") return `'${number}'`;
+      return Number(number);
+    }
+    case "boolean":
+      if (node.type === "boolean") return node.value;
+      if (/^\s*(t|true|y|yes|on|1)\s*$/i.test(text)) return true;
+      if (/^\s*(f|false|n|no|off|0)\s*$/i.test(text)) return false;
+      return undefined;
+    case "date":
+      return /^\d{4}-\d{2}-\d{2}$/.test(text) ? `new Date('${text}')` : undefined;
+    case "timestamp with time zone":
+    case "timestamp without time zone": {
+      const timestamp = text && parseTimestamp(text, dataType === "timestamp with time zone");
+      return timestamp ? `new Date('${timestamp}')` : undefined;
+    }
+    case "json":
+    case "jsonb":
+      try {
+        return text === undefined ? undefined : JSON.stringify(JSON.parse(text));
+      } catch (err) {
+        // Not JSON, reported as an unparsed default
+        return undefined;
+      }
+    case "bytea":
+      if (/^\\x([0-9a-f]{2})*$/i.test(text)) {
+        const bytes = text.slice(2).match(/../g) || [];
+        return `new Uint8Array([${bytes.map((byte) => parseInt(byte, 16)).join(", ")}])`;
+      }
+      return undefined;
+    case "character varying":
+    case "character":
+    case "text":
+    case "time without time zone":
+    case "time with time zone":
+    case "interval":
+    case "inet":
+    case "cidr":
+    case "macaddr":
+    case "macaddr8":
+    case "bit":
+    case "bit varying":
+    case "xml":
+    case "tsvector":
+    case "tsquery":
+    case "uuid":
+      // Values of these types are strings, numbers written in DDL like `DEFAULT 1` included
+      if (node.type === "number") return quote(node.text);
+      return text === undefined ? undefined : quote(text);
+    case "ARRAY":
+      return parseArrayDefault(node, udtName, enums, representation);
+    default: {
+      // citext, ranges and enums, cast as `'value'::name` or `'value'::schema.name`
+      const isString = udtName === "citext" || /range$/.test(dataType) || enums[udtName];
+      return text !== undefined && isString ? quote(text) : undefined;
+    }
+  }
+}
+
+/**
+ * The function `parseTimestamp` converts a timestamp literal, as PostgreSQL reports it like
+ * `2024-01-01 10:00:00.5+02`, to an ISO 8601 string `new Date` parses. Timestamps with time zone
+ * are converted to UTC with a `+00:00` offset; the offset of timestamps without time zone is
+ * ignored, as PostgreSQL does.
+ * @param text - The timestamp literal.
+ * @param withTimeZone - Whether the column is a `timestamp with time zone`.
+ * @returns the ISO 8601 string, e.g. `2024-01-01T08:00:00.5+00:00`, the date alone when the
+ * literal has no time, or undefined when the text is not a timestamp literal.
+ */
+function parseTimestamp(text, withTimeZone) {
+  const match = text
+    .trim()
+    .match(/^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}:\d{2})(\.\d+)?)?(?:([+-])(\d{2}):?(\d{2})?)?$/);
+  if (!match) return undefined;
+  const [, date, time, fraction = "", sign, hours, minutes = "00"] = match;
+  if (!time) return date;
+  if (!withTimeZone) return `${date}T${time}${fraction}`;
+  if (!sign) return `${date}T${time}${fraction}+00:00`;
+
+  const offset = (sign === "-" ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+  const utc = new Date(Date.parse(`${date}T${time}Z`) - offset * 60000);
+  return `${utc.toISOString().slice(0, 19)}${fraction}+00:00`;
+}
+
+/**
+ * The function `parseArrayLiteral` parses the text of a PostgreSQL array literal like
+ * `{a,"b c",NULL,{1,2}}` into nested arrays of element strings, with null for NULL elements.
+ * @param text - The array literal, without the surrounding quotes.
+ * @returns the parsed elements, or undefined when the text is not an array literal.
+ */
+function parseArrayLiteral(text) {
+  let position = 0;
+
+  const parseArray = () => {
+    if (text[position] !== "{") return undefined;
+    position++;
+    const elements = [];
+    while (position < text.length && text[position] !== "}") {
+      if (text[position] === "{") {
+        elements.push(parseArray());
+      } else if (text[position] === '"') {
+        let element = "";
+        position++;
+        while (position < text.length && text[position] !== '"') {
+          if (text[position] === "\\") position++;
+          element += text[position++];
+        }
+        position++;
+        elements.push(element);
+      } else {
+        const end = text.slice(position).search(/[,}]/);
+        const element = text.slice(position, position + end).trim();
+        position += end;
+        elements.push(element.toUpperCase() === "NULL" ? null : element);
+      }
+      if (text[position] === ",") position++;
+    }
+    position++;
+    return elements;
+  };
+
+  const elements = parseArray();
+  return position === text.length && !JSON.stringify(elements).includes("undefined")
+    ? elements
+    : undefined;
+}
+
+/**
+ * The function `parseArrayDefault` converts the default of an array column to a JavaScript array.
+ * Both the literal form `'{a,b}'::text[]` and the constructor form `ARRAY['a'::text, 'b'::text]`
+ * are understood.
+ * @param node - The parsed default without its casts, see `parseExpression`.
+ * @param udtName - The udt name of the array type, e.g. "_text".
+ * @param enums - The enum types of the model, keyed by type name.
+ * @param [representation=number] - How the numbers of the elements are represented, see
+ * `getNumericRepresentation`, like the scalar values of `parseDefaultValue`.
+ * @returns the JavaScript source of the array, or undefined when the default can not be converted.
+ */
+function parseArrayDefault(node, udtName, enums, representation = "number") {
+  const elementUdtName = (udtName || "").replace(/^_/, "");
+  const elementType = enums[elementUdtName] ? "enum" : getBuiltinDataType(elementUdtName);
+
+  let elements;
+  if (node.type === "string") {
+    elements = parseArrayLiteral(node.value);
+  } else if (node.type === "array") {
+    // Element values of the constructor form are converted to the strings the literal form has
+    const toElements = (element) => {
+      element = unwrapCasts(element);
+      if (element.type === "array") return element.elements.map(toElements);
+      if (element.type === "null") return null;
+      if (element.type === "number") return element.text;
+      if (["string", "boolean"].includes(element.type)) return String(element.value);
+      throw new Error(`Unsupported array element ${element.type}`);
+    };
+    try {
+      elements = toElements(node);
+    } catch (err) {
+      return undefined;
+    }
+  }
+  if (!Array.isArray(elements)) return undefined;
+
+  const render = (element) => {
+    if (Array.isArray(element)) return `[${element.map(render).join(", ")}]`;
+    if (element === null) return "null";
+    switch (elementType) {
+      case "integer":
+      case "bigint":
+      case "numeric":
+      case "smallint":
+      case "real":
+      case "double precision":
+        if (!NUMBER_PATTERN.test(element)) throw new Error(`Invalid number ${element}`);
+        if (representation === "bigint") return `${element.replace(/\.0*$/, "")}n`;
+        if (representation === "string") return `'${element}'`;
+        return String(Number(element));
+      case "boolean":
+        return String(/^(t|true)$/i.test(element));
+      case "character varying":
+      case "character":
+      case "text":
+      case "uuid":
+      case "enum":
+        return quote(element);
+      default:
+        throw new Error(`Unsupported array element type ${elementType}`);
+    }
+  };
+
+  try {
+    return render(elements);
+  } catch (err) {
+    return undefined;
+  }
+}
+
+module.exports = {
+  DEFAULT_KINDS,
+  getDefaultKind,
+  parseDefaultValue,
+};
@@ -0,0 +1,1206 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/*
+ * The target independent description of the schemas generated for a model. `describeModel` decides
+ * which fields every schema has, with which type, default and optionality, and the emitters in
+ * `emitters/` render the descriptions as Zod, Valibot, TypeScript or JSON Schema.
+ *
+ * The type of a field is described by an object with a `kind`:
+ *
+ *   string      a string, with `checks` like a minimum length or a pattern
+ *   number      a JavaScript number, `integer` when the column only holds whole numbers
+ *   bigint      a JavaScript bigint
+ *   decimal     a decimal string of at most `precision` digits, `scale` of them after the point
+ *   boolean     a boolean
+ *   timestamp   a date and time, `withTimeZone` for `timestamp with time zone`
+ *   date        a date without time
+ *   time        a time of day, `withTimeZone` for `time with time zone`
+ *   uuid        a UUID string
+ *   json        a JSON value
+ *   inet        an IP address with an optional network prefix, for `inet` and `cidr`
+ *   bytes       a byte array
+ *   range       a range literal, `multirange` for multiranges
+ *   enum        one of the strings of `values`; the enum types of the database also have the
+ *               `name` exported by the module `modulePath`
+ *   array       an array of `element`, itself a type
+ *   composite   the schema of a composite type, `name` exported by the module `modulePath`
+ *   unknown     any value
+ *
+ * Every type also has the `column` it describes, a readable `label` and a `message` for error
+ * messages (see `getColumnMessages`), its `checks`, the `overrides` of the `types` and `columns`
+ * options, which replace or extend the type and its checks, and the `constraints` translated from
+ * CHECK constraints, which apply after the overrides. Checks and constraints have the shape described in `toConstraints`.
+ *
+ * The fields of a schema have a `key`, the `column` and `type` they describe, whether they are
+ * `nullable` or `optional`, their `default` when they have one, and the `description` taken from
+ * the comment of the column, see `parseComment`.
+ */
+
+const pluralize = require("pluralize");
+const {
+  camelCase,
+  compareNames,
+  capitalizeFirstLetter,
+  qualifiedName,
+  findColumnEntry,
+} = require("./utils.js");
+const { getCheckRefinements, mergeBounds } = require("./checks.js");
+const { parseComment } = require("./comments.js");
+const { getColumnMessages, withLabelSchemas } = require("./messages.js");
+const { getBuiltinDataType, getNumericRepresentation } = require("./builtins.js");
+const { getDefaultKind, parseDefaultValue } = require("./defaults.js");
+const { getFunctionRelations } = require("./domains.js");
+
+/* The orders the fields of the table schemas can be in, see `sortFields`. */
+const COLUMN_ORDERS = ["alphabetical", "ordinal"];
+
+/* The data types whose values are whole numbers. */
+const INTEGER_TYPES = ["integer", "bigint", "smallint", "oid"];
+
+/**
+ * The function `describeBuiltinType` describes the type of a column of a built-in data type.
+ * @param column - A column of the model.
+ * @param message - The function formatting the messages of the column, see `getColumnMessages`.
+ * @returns a type without the common properties, see `describeType`.
+ */
+function describeBuiltinType(column, message) {
+  const { dataType, udtName, maxLength } = column;
+  const required = { kind: "min", value: 1, message: message("required") };
+
+  if (dataType === "character" && maxLength) {
+    return {
+      kind: "string",
+      checks: [
+        { kind: "length", value: maxLength, message: message("length", { length: maxLength }) },
+      ],
+    };
+  } else if (dataType.startsWith("character varying") || dataType === "text" || udtName === "citext") {
+    return { kind: "string", checks: [required] };
+  } else if (
+    dataType === "integer" ||
+    dataType === "bigint" ||
+    dataType === "numeric" ||
+    dataType === "smallint" ||
+    dataType === "double precision" ||
+    dataType === "real" ||
+    dataType === "money" ||
+    dataType === "oid"
+  ) {
+    // Bounds come from the CHECK constraints of the column, see `getCheckRefinements`
+    const integer =
+      INTEGER_TYPES.includes(dataType) || (dataType === "numeric" && column.numericScale === 0);
+    return { kind: "number", integer };
+  } else if (dataType === "boolean") {
+    return { kind: "boolean" };
+  } else if (dataType === "timestamp with time zone" || dataType === "timestamp without time zone") {
+    return {
+      kind: "timestamp",
+      withTimeZone: dataType === "timestamp with time zone",
+      message: message("invalidDate"),
+    };
+  } else if (dataType === "date") {
+    return { kind: "date", message: message("invalidDate") };
+  } else if (dataType === "time without time zone" || dataType === "time with time zone") {
+    return {
+      kind: "time",
+      withTimeZone: dataType === "time with time zone",
+      message: message("invalidTime"),
+    };
+  } else if (dataType === "interval") {
+    return { kind: "string", checks: [required] };
+  } else if (dataType === "uuid") {
+    return { kind: "uuid", message: message("invalidUuid") };
+  } else if (dataType === "json" || dataType === "jsonb") {
+    return { kind: "json", message: message("invalidJson") };
+  } else if (dataType === "inet" || dataType === "cidr") {
+    return { kind: "inet", message: message("invalidIpAddress") };
+  } else if (dataType === "macaddr" || dataType === "macaddr8") {
+    const groups = dataType === "macaddr" ? 5 : 7;
+    return {
+      kind: "string",
+      checks: [
+        {
+          kind: "regex",
+          pattern: `^([0-9a-f]{2}[:-]?){${groups}}[0-9a-f]{2}$`,
+          flags: "i",
+          message: message("invalidMacAddress"),
+        },
+      ],
+    };
+  } else if (dataType === "bytea") {
+    return { kind: "bytes" };
+  } else if (dataType === "bit" || dataType === "bit varying") {
+    return {
+      kind: "string",
+      checks: [
+        { kind: "regex", pattern: "^[01]*$", flags: "", message: message("invalidBitString") },
+      ],
+    };
+  } else if (dataType === "xml" || dataType === "tsvector" || dataType === "tsquery") {
+    return { kind: "string" };
+  } else if (dataType.endsWith("range")) {
+    const multirange = dataType.endsWith("multirange");
+    return {
+      kind: "range",
+      multirange,
+      message: message(multirange ? "invalidMultirange" : "invalidRange"),
+    };
+  } else {
+    // Reported by `getUnsupportedTypes`
+    return { kind: "unknown" };
+  }
+}
+
+/**
+ * The function `describeDecimal` describes a `bigint`, `numeric` or `money` column represented as a
+ * decimal string, limited to the precision and scale of the column.
+ * @param column - A column of the model.
+ * @param message - The function formatting the messages of the column, see `getColumnMessages`.
+ * @returns a type without the common properties, see `describeType`.
+ */
+function describeDecimal(column, message) {
+  const [precision, scale] = {
+    // 9223372036854775807 has 19 digits
+    bigint: [19, 0],
+    money: [undefined, 2],
+  }[column.dataType] || [column.numericPrecision ?? undefined, column.numericScale ?? undefined];
+
+  let key = "invalidDecimal";
+  if (precision === undefined) key = scale === undefined ? "invalidNumber" : "invalidScale";
+  const values = { integerDigits: (precision ?? 0) - (scale ?? 0), scale: scale ?? 0 };
+  return { kind: "decimal", precision, scale, message: message(key, values) };
+}
+
+/**
+ * The function `withReferenceMessages` rewords the messages of the type of a foreign key column for
+ * the row it references, e.g. "Customer must be selected" instead of "Customer is required".
+ * @param type - A type without the common properties, see `describeType`.
+ * @param message - The function formatting the messages of the column, see `getColumnMessages`.
+ * @param foreignKey - The foreign key of the column, see `introspect`.
+ * @returns the type with the reworded messages.
+ */
+function withReferenceMessages(type, message, foreignKey) {
+  const entity = pluralize.singular(foreignKey.references.table).replace(/_/g, " ");
+  const required = message("required");
+  const checks = (type.checks || []).map((check) =>
+    check.message === required ? { ...check, message: message("selected") } : check
+  );
+  return {
+    ...type,
+    ...(type.message ? { message: message("invalidReference", { entity }) } : {}),
+    checks,
+  };
+}
+
+/**
+ * The function `describeType` describes the type of a column, without default or optional
+ * modifiers. See the top of this file for the shape of types.
+ * @param column - A column of the model.
+ * @param model - The model, for its enum, domain and composite types.
+ * @param options - The generation options, see `generate`.
+ * @param [refinement] - The translated CHECK constraints of the column, see `getCheckRefinements`.
+ * @param [relation] - The table or composite type of the column, for the column overrides.
+ * @param [messages] - The label and messages of the column, see `getColumnMessages`. Array
+ * elements have those of their array column.
+ * @returns the type.
+ */
+function describeType(
+  column,
+  model,
+  options,
+  refinement = { constraints: [] },
+  relation,
+  messages = getColumnMessages(column, relation, options)
+) {
+  const { dataType, udtName } = column;
+  const enums = getColumnEnums(column, model);
+  const typeKey = qualifiedName(column.udtSchema, udtName);
+  const representation = getNumericRepresentation(column, options.numericMode);
+  const { label, format: message } = messages;
+  const common = { column, label, checks: [], overrides: [], constraints: [] };
+
+  let type;
+  if (model.composites && model.composites[typeKey]) {
+    const composite = model.composites[typeKey];
+    type = {
+      kind: "composite",
+      name: getCompositeName(model, typeKey),
+      modulePath: getModulePath(model, composite.schema, "composites"),
+    };
+  } else if (enums[udtName]) {
+    type = {
+      kind: "enum",
+      values: enums[udtName],
+      name: getEnumName(model, typeKey),
+      modulePath: getModulePath(model, column.udtSchema, "enums"),
+    };
+  } else if (dataType === "ARRAY") {
+    const element = getElementColumn(column, model);
+    type = describeType(element, model, options, undefined, undefined, messages);
+    for (let i = 1; i < Math.max(column.arrayDimensions || 0, 1); i++) {
+      type = { ...common, kind: "array", element: type };
+    }
+    type = { kind: "array", element: type };
+  } else if (refinement.enumValues) {
+    // A string column restricted to a list of values by a CHECK constraint
+    type = { kind: "enum", values: refinement.enumValues };
+  } else if (representation === "bigint") {
+    type = { kind: "bigint" };
+  } else if (representation === "string") {
+    type = describeDecimal(column, message);
+  } else {
+    type = describeBuiltinType(column, message);
+  }
+
+  const foreignKey = ((relation && relation.foreignKeys) || []).find((fk) =>
+    fk.columns.includes(column.name)
+  );
+  if (foreignKey) {
+    type = withReferenceMessages(type, message, foreignKey);
+  }
+
+  const overrides = [
+    getTypeOverride(column, options),
+    relation && getDirectiveOverride(column),
+    relation && getColumnOverride(relation, column, options),
+  ].filter((override) => override !== undefined);
+  // The CHECK constraints are enforced by the database, so they apply to overridden types as well
+  const { checks, constraints } = mergeBounds(
+    type.checks || common.checks,
+    refinement.constraints,
+    overrides.length > 0
+  );
+  return { ...common, ...type, checks, overrides, constraints };
+}
+
+/**
+ * The function `getColumnEnums` returns the enum types a column uses, for itself or for its array
+ * elements, keyed by udt name. Enum types are looked up in the schema of the column type, so enums
+ * of the same name in different schemas are not confused.
+ * @param column - A column of the model.
+ * @param model - The model, for its enum types.
+ * @returns an object mapping udt names to enum values.
+ */
+function getColumnEnums(column, model) {
+  const enums = {};
+  for (const udtName of [column.udtName, column.udtName.replace(/^_/, "")]) {
+    const values = model.enums[qualifiedName(column.udtSchema, udtName)];
+    if (values) enums[udtName] = values;
+  }
+  return enums;
+}
+
+/**
+ * The function `getTypeOverride` looks up the type override of a column in `options.types`, by the
+ * name of its domain, its udt name or its data type, in that order. Domain and udt names can be
+ * qualified with their schema, which wins over the unqualified name.
+ * @param column - A column of the model.
+ * @param options - The generation options, see `generate`.
+ * @returns the override, or undefined when there is none.
+ */
+function getTypeOverride(column, options) {
+  const types = options.types || {};
+  const key = [
+    column.domainName && qualifiedName(column.domainSchema, column.domainName),
+    column.domainName,
+    qualifiedName(column.udtSchema, column.udtName),
+    column.udtName,
+    column.dataType,
+  ].find((name) => name && Object.prototype.hasOwnProperty.call(types, name));
+  return key === undefined ? undefined : types[key];
+}
+
+/**
+ * The function `getDirectiveOverride` returns the `@zod` directives of the comment of a column as
+ * an override of the Zod targets, e.g. `{ zod: ".email().max(280)" }` for
+ * `@zod.email @zod.max(280)`. They apply after the type overrides and before the column overrides.
+ * @param column - A column of the model.
+ * @returns the override, or undefined when the comment has no `@zod` directive.
+ */
+function getDirectiveOverride(column) {
+  const { zod } = parseComment(column.comment);
+  return zod.length ? { zod: zod.join("") } : undefined;
+}
+
+/**
+ * The function `getColumnOverride` looks up the override of a column in `options.columns`, keyed by
+ * `table.column` or `schema.table.column`, see `findColumnEntry`.
+ * @param relation - The table or composite type of the column.
+ * @param column - A column of the model.
+ * @param options - The generation options, see `generate`.
+ * @returns the override, or undefined when there is none.
+ */
+function getColumnOverride(relation, column, options) {
+  return findColumnEntry(options.columns || {}, relation, column);
+}
+
+/**
+ * The function `getDescription` returns the description of a table or column: its comment without
+ * the directives, or null.
+ */
+function getDescription(relation) {
+  return parseComment(relation.comment).description;
+}
+
+/**
+ * The function `getElementColumn` returns a column describing the elements of an array column.
+ * `information_schema` reports arrays as "ARRAY" with the udt name of the array type, which is the
+ * element udt name prefixed with an underscore.
+ * @param column - An array column of the model.
+ * @param model - The model, for its enum, domain and composite types.
+ * @returns a column of the element type, with the name of the array column.
+ */
+function getElementColumn(column, model) {
+  const udtName = column.udtName.replace(/^_/, "");
+  const domain = model.domains && model.domains[qualifiedName(column.udtSchema, udtName)];
+  if (domain) {
+    return {
+      ...column,
+      dataType: domain.dataType,
+      udtSchema: domain.udtSchema,
+      udtName: domain.udtName,
+      arrayDimensions: 0,
+    };
+  }
+  return {
+    ...column,
+    dataType: getBuiltinDataType(udtName) || "USER-DEFINED",
+    udtName,
+    arrayDimensions: 0,
+  };
+}
+
+/**
+ * The function `getModulePath` returns the path of a generated module relative to the output
+ * directory, without extension. When the model has several schemas every schema gets a directory
+ * of its own; shared files like `types.ts` stay at the root.
+ * @param model - The model returned by `introspect`.
+ * @param schema - The schema the module belongs to.
+ * @param name - The module name, e.g. "user" or "composites".
+ * @returns the module path, e.g. "auth/user".
+ */
+function getModulePath(model, schema, name) {
+  return model.schemas && model.schemas.length > 1 ? `${schema}/${name}` : name;
+}
+
+/**
+ * The function `getCompositeName` returns the camel case name the schema of a composite type is
+ * exported under, before the suffix of the target. Composite types with the same name in different
+ * schemas are told apart by the schema name.
+ */
+function getCompositeName(model, key) {
+  const composite = model.composites[key];
+  const clashes = Object.values(model.composites).some(
+    (other) => other !== composite && other.name === composite.name
+  );
+  return camelCase(clashes ? `${composite.schema}_${composite.name}` : composite.name);
+}
+
+/**
+ * The function `getEnumName` returns the camel case name the schema of an enum type is exported
+ * under, before the suffix of the target. Enum types with the same name in different schemas are
+ * told apart by the schema name.
+ */
+function getEnumName(model, key) {
+  const nameOf = (qualified) => qualified.slice(qualified.indexOf(".") + 1);
+  const clashes = Object.keys(model.enums).some(
+    (other) => other !== key && nameOf(other) === nameOf(key)
+  );
+  return camelCase(clashes ? key.replace(".", "_") : nameOf(key));
+}
+
+/**
+ * The function `describeIdentity` describes the type of an identity column: a number, bigint or
+ * decimal string depending on the numeric mode. Identity values are generated by the database, so
+ * the column overrides and CHECK constraints do not apply.
+ * @param column - An identity column of the model.
+ * @param table - The table of the column.
+ * @param options - The generation options, see `generate`.
+ * @returns the type.
+ */
+function describeIdentity(column, table, options) {
+  const { label, format: message } = getColumnMessages(column, table, options);
+  const representation = getNumericRepresentation(column, options.numericMode);
+  const type =
+    {
+      bigint: { kind: "bigint" },
+      string: describeDecimal(column, message),
+    }[representation] || { kind: "number", integer: true };
+  return { column, label, checks: [], overrides: [], constraints: [], ...type };
+}
+
+/**
+ * The function `isPermitted` tells whether the role a model was introspected for may use a column
+ * in a statement, see the `role` option of `introspect`. Without a role every column is permitted.
+ * @param table - A table of the model returned by `introspect`.
+ * @param column - A column of the table.
+ * @param privilege - "select", "insert" or "update".
+ * @returns a boolean value.
+ */
+function isPermitted(table, column, privilege) {
+  return !table.privileges || table.privileges[privilege].includes(column.name);
+}
+
+/**
+ * The function `describeSelect` describes the schema of the rows read from a relation. Every
+ * column the role of the model may read is included, nullable columns are nullable and defaults
+ * are not applied.
+ * @param table - A table of the model returned by `introspect`.
+ * @param model - The model returned by `introspect`.
+ * @param options - The generation options, see `generate`.
+ * @returns an object with the `fields` of the schema, in the order of `options.columnOrder`.
+ */
+function describeSelect(table, model, options) {
+  const columns = table.columns.filter((column) => isPermitted(table, column, "select"));
+  const fields = columns.map((column) => ({
+    key: camelCase(column.name),
+    column,
+    type: describeType(column, model, options, undefined, table),
+    nullable: column.isNullable,
+    optional: false,
+    description: getDescription(column),
+  }));
+
+  return { fields: sortFields(fields, options) };
+}
+
+/**
+ * The function `sortFields` orders the fields of a table schema by key, or keeps them in the order
+ * of the columns in the table when `options.columnOrder` is "ordinal".
+ * @param fields - The fields, in column order.
+ * @param options - The generation options, see `generate`.
+ * @returns the sorted fields.
+ */
+function sortFields(fields, options) {
+  if (options.columnOrder === "ordinal") return fields;
+  return fields.sort((a, b) => compareNames(a.key, b.key));
+}
+
+/**
+ * The function `describeInsert` describes the insert and update schemas of a table or an updatable
+ * view. Columns the database computes itself are left out, columns it can fill in are optional or
+ * have a default, depending on the kind of their default (see `getDefaultKind`). Updates change any
+ * of the insert fields of the row identified by its primary key, or by its identity column when it
+ * has none. With the privileges of a role, the columns it may not insert are left out and those it
+ * may not update are omitted from the update schema.
+ * @param table - A table of the model returned by `introspect`.
+ * @param model - The model returned by `introspect`.
+ * @param options - The generation options, see `generate`.
+ * @returns an object with the `fields` of the insert schema sorted by `sortFields`, the `identity`
+ * field or null, the `update` schema with the required `keys` fields identifying the row and the
+ * keys of the insert fields to `omit`, the
+ * `objectChecks` on several columns (see `getCheckRefinements`) with the `key` and `message` of
+ * the issue they report, the `untranslated` checks, the `columns` that were included, the
+ * `skipped` columns with the `reason` they were left out, "generated", "identity-always",
+ * "privilege", "default" or "nullable", and the `unparsedDefaults`, the literal defaults that could not be
+ * converted, whose fields are optional.
+ */
+function describeInsert(table, model, options) {
+  const { includeNullable, excludeDefaults } = options;
+  const fields = [];
+  const columns = [];
+  const skipped = [];
+  const unparsedDefaults = [];
+  let identity = null;
+  const checks = getCheckRefinements(table, options);
+
+  table.columns.forEach((column) => {
+    const { name, dataType, isNullable, defaultValue } = column;
+    const defaultKind = getDefaultKind(column);
+
+    // The database rejects values for these columns
+    if (defaultKind === "generated" || defaultKind === "identity-always") {
+      skipped.push({ column: name, reason: defaultKind });
+      return;
+    }
+    if (!isPermitted(table, column, "insert")) {
+      skipped.push({ column: name, reason: "privilege" });
+      return;
+    }
+    if (excludeDefaults && (defaultKind === "literal" || defaultKind === "server")) {
+      skipped.push({ column: name, reason: "default" });
+      return;
+    }
+
+    if (!isNullable || includeNullable) {
+      const field = {
+        key: camelCase(name),
+        column,
+        type: describeType(column, model, options, checks.columns[name], table),
+        nullable: false,
+        optional: isNullable,
+        description: getDescription(column),
+      };
+
+      if (defaultKind === "literal") {
+        // The numbers of array defaults are represented like the elements of the array type
+        const valueColumn = dataType === "ARRAY" ? getElementColumn(column, model) : column;
+        const parsedDefault = parseDefaultValue(
+          defaultValue,
+          dataType,
+          getColumnEnums(column, model),
+          column.udtName,
+          getNumericRepresentation(valueColumn, options.numericMode)
+        );
+        if (parsedDefault !== undefined && !Number.isNaN(parsedDefault)) {
+          field.default = parsedDefault;
+        } else {
+          field.optional = true;
+          unparsedDefaults.push({ column: name, dataType, default: defaultValue });
+        }
+      } else if (defaultKind === "server") {
+        field.optional = true;
+      }
+
+      columns.push(column);
+      if (defaultKind === "identity-by-default") {
+        identity = {
+          key: field.key,
+          column,
+          type: describeIdentity(column, table, options),
+          nullable: false,
+          optional: true,
+          description: field.description,
+        };
+      } else {
+        fields.push(field);
+      }
+    } else {
+      skipped.push({ column: name, reason: "nullable" });
+    }
+  });
+
+  sortFields(fields, options);
+
+  // Checks on several columns can only run when all of them are part of the schema
+  const objectChecks = checks.objectChecks.filter((check) => {
+    const included = check.columns.every((name) =>
+      columns.some((column) => column.name === name)
+    );
+    if (!included) {
+      checks.untranslated.push({
+        name: check.name,
+        definition: table.checks.find((c) => c.name === check.name).definition,
+        reason: "references columns that are not part of the schema",
+      });
+    }
+    return included;
+  });
+
+  // Rows are updated by primary key; tables without one by their identity column, if any
+  const primaryKey = (table.primaryKey || []).length
+    ? table.primaryKey.map((name) => table.columns.find((column) => column.name === name))
+    : table.columns.filter((column) => column.isIdentity);
+  // Keys identify rows that exist, so they have the type of the select schema
+  const keys = primaryKey.map((column) => ({
+    key: camelCase(column.name),
+    column,
+    type: describeType(column, model, options, undefined, table),
+    nullable: false,
+    optional: false,
+    description: getDescription(column),
+  }));
+
+  const omit = [identity, ...fields]
+    .filter((field) => field && !isPermitted(table, field.column, "update"))
+    .map((field) => field.key);
+
+  return {
+    fields,
+    identity,
+    update: { keys, omit },
+    objectChecks: objectChecks.map((check) => ({
+      ...check,
+      key: camelCase(check.columns[0]),
+      message: getColumnMessages(
+        table.columns.find((column) => column.name === check.columns[0]),
+        table,
+        options
+      ).format("invalid"),
+    })),
+    untranslated: checks.untranslated,
+    columns,
+    skipped,
+    unparsedDefaults,
+  };
+}
+
+/* The input kinds of the form fields by type kind, see `describeForm`. Other types are "text". */
+const INPUT_KINDS = {
+  enum: "select",
+  boolean: "checkbox",
+  number: "number",
+  bigint: "number",
+  decimal: "number",
+  date: "date",
+  timestamp: "date",
+};
+
+/**
+ * The function `describeForm` describes the metadata forms need to render the insert fields of a
+ * table generically. Fields are required when the column is NOT NULL and the database does not
+ * fill it in, whether or not it has a literal default, which is the initial value of the field.
+ * Array fields have the input of their elements and accept `multiple` values.
+ * @param insert - The insert description returned by `describeInsert`.
+ * @returns an object with the `fields` in the order of the insert fields, each with its `key`,
+ * `label`, `input` kind ("text", "number", "date", "select" or "checkbox"), whether it is
+ * `required` and `multiple`, the `maxLength` of `character_maximum_length` or null, the enum
+ * `options` or null, its `default` as returned by `parseDefaultValue` and its `type`.
+ */
+function describeForm(insert) {
+  const fields = insert.fields.map((field) => {
+    let { type } = field;
+    while (type.kind === "array") type = type.element;
+    return {
+      key: field.key,
+      label: field.type.label,
+      input: INPUT_KINDS[type.kind] || "text",
+      required: !field.optional && !field.nullable,
+      multiple: field.type.kind === "array",
+      maxLength: type.kind === "string" ? type.column.maxLength || null : null,
+      options: type.kind === "enum" ? type.values : null,
+      default: field.default,
+      type: field.type,
+    };
+  });
+  return { fields };
+}
+
+/**
+ * The function `describeTable` describes the schemas of a relation of the model. Every relation gets
+ * a select schema of its rows; tables get insert and update schemas, and so do views,
+ * materialized views and foreign tables when they are automatically updatable.
+ * @param table - A table of the model returned by `introspect`.
+ * @param model - The model returned by `introspect`.
+ * @param options - The generation options, see `generate`.
+ * @returns an object with the `schema`, `table` and `kind` of the relation, the singular camel case
+ * `name` its schemas are named after, the `modulePath` of its file (see `getModulePath`), the
+ * `select` description, the `insert` description or null, the `references` of its foreign key columns (see
+ * `describeReferences`), the `form` metadata of the insert fields with `options.forms` (see
+ * `describeForm`) or null, the `description` of the table, the `columns` that were included and
+ * the `diagnostics` described by `getDiagnostics`. Columns with a `@skip` directive are left out.
+ */
+function describeTable(table, model, options) {
+  table = withoutSkippedColumns(table);
+  const name = pluralize.singular(camelCase(table.name));
+  const isTable = !table.kind || table.kind === "table";
+
+  const select = describeSelect(table, model, options);
+  const insert = isTable || table.isInsertable ? describeInsert(table, model, options) : null;
+
+  return {
+    schema: table.schema,
+    table: table.name,
+    kind: table.kind || "table",
+    name,
+    modulePath: getModulePath(model, table.schema, name),
+    select,
+    insert,
+    references: describeReferences(table),
+    form: options.forms && insert ? describeForm(insert) : null,
+    description: getDescription(table),
+    columns: isTable ? insert.columns : table.columns,
+    diagnostics: getDiagnostics(select.fields, insert),
+  };
+}
+
+/**
+ * The function `getDiagnostics` collects what could not be generated as the database defines it,
+ * for reports and warnings.
+ * @param fields - The fields of the select schema, which has every column.
+ * @param [insert] - The insert description returned by `describeInsert`, if any.
+ * @returns an object with the `skipped` columns of the insert schema, the `unsupportedTypes` (see
+ * `getUnsupportedTypes`), the `unparsedDefaults` and the `untranslatedChecks` with the `name` of
+ * the constraint and the `reason`.
+ */
+function getDiagnostics(fields, insert) {
+  return {
+    skipped: insert ? insert.skipped : [],
+    unsupportedTypes: getUnsupportedTypes(fields),
+    unparsedDefaults: insert ? insert.unparsedDefaults : [],
+    untranslatedChecks: insert
+      ? insert.untranslated.map(({ name, reason }) => ({ name, reason }))
+      : [],
+  };
+}
+
+/**
+ * The function `getUnsupportedTypes` lists the fields whose type, or array element type, is a data
+ * type pgtozod has no schema for and that is not replaced by an override. Such fields accept any
+ * value.
+ * @param fields - The fields of a schema.
+ * @returns an array of objects with the `column` name and its `dataType`, the udt name for types
+ * that are not built in.
+ */
+function getUnsupportedTypes(fields) {
+  const isUnsupported = (type) =>
+    !type.overrides.length &&
+    (type.kind === "unknown" || (type.kind === "array" && isUnsupported(type.element)));
+  const elementOf = (type) => (type.kind === "array" ? elementOf(type.element) : type);
+
+  return fields
+    .filter((field) => isUnsupported(field.type))
+    .map((field) => {
+      const { column } = elementOf(field.type);
+      const dataType = column.dataType === "USER-DEFINED" ? column.udtName : column.dataType;
+      return { column: field.column.name, dataType };
+    });
+}
+
+/**
+ * The function `describeReferences` describes the columns of a table that reference another table,
+ * with one entry per column of its foreign keys.
+ * @param table - A table of the model returned by `introspect`.
+ * @returns an array of objects with the `key` and `column` name of the referencing column, the
+ * `constraint` name, the `schema`, `table` and `foreignColumn` it references and the `onDelete`
+ * and `onUpdate` actions.
+ */
+function describeReferences(table) {
+  return (table.foreignKeys || []).flatMap((foreignKey) =>
+    foreignKey.columns.map((column, index) => ({
+      key: camelCase(column),
+      column,
+      constraint: foreignKey.name,
+      schema: foreignKey.references.schema,
+      table: foreignKey.references.table,
+      foreignColumn: foreignKey.references.columns[index],
+      onDelete: foreignKey.onDelete,
+      onUpdate: foreignKey.onUpdate,
+    }))
+  );
+}
+
+/**
+ * The function `getRelationEdges` lists the foreign keys connecting a table to the other tables of
+ * the model, in both directions, and names the relations they stand for. A foreign key of the
+ * table is a "one" relation named after its column without the `_id` suffix, e.g. `customer`; a
+ * foreign key referencing the table is a "many" relation named after the plural of the referencing
+ * table without the name of this one, e.g. `items` for `order_items` on `orders`. Relations of the
+ * same name are told apart by their columns, e.g. `messagesBySender`.
+ * @param table - A table of the model.
+ * @param model - The model returned by `introspect`.
+ * @returns an array of `{ id, kind, name, foreignKey, owner, target }` objects, where `id` is
+ * unique to the foreign key, `owner` is the key of the table holding it and `target` the key of
+ * the table at the other end.
+ */
+function getRelationEdges(table, model) {
+  const key = qualifiedName(table.schema, table.name);
+  const edges = [];
+
+  for (const foreignKey of table.foreignKeys || []) {
+    const idColumn = foreignKey.columns.length === 1 && foreignKey.columns[0].match(/^(.+)_id$/i);
+    edges.push({
+      id: `${key}.${foreignKey.name}`,
+      kind: "one",
+      name: camelCase(idColumn ? idColumn[1] : pluralize.singular(foreignKey.references.table)),
+      foreignKey,
+      owner: key,
+      target: qualifiedName(foreignKey.references.schema, foreignKey.references.table),
+    });
+  }
+
+  const prefix = `${pluralize.singular(table.name)}_`;
+  for (const other of model.tables) {
+    const otherKey = qualifiedName(other.schema, other.name);
+    for (const foreignKey of other.foreignKeys || []) {
+      if (qualifiedName(foreignKey.references.schema, foreignKey.references.table) !== key) {
+        continue;
+      }
+      const name = other.name.startsWith(prefix) ? other.name.slice(prefix.length) : other.name;
+      edges.push({
+        id: `${otherKey}.${foreignKey.name}`,
+        kind: "many",
+        name: camelCase(pluralize(name || other.name)),
+        foreignKey,
+        owner: otherKey,
+        target: otherKey,
+      });
+    }
+  }
+
+  const names = edges.map((edge) => edge.name);
+  return edges.map((edge) => {
+    if (names.indexOf(edge.name) === names.lastIndexOf(edge.name)) return edge;
+    const columns = edge.foreignKey.columns.join("_").replace(/_id$/i, "");
+    return { ...edge, name: `${edge.name}By${capitalizeFirstLetter(camelCase(columns))}` };
+  });
+}
+
+/**
+ * The function `describeRelations` describes the schemas composing the insert schema of a table
+ * with the insert schemas of the tables it is related to by foreign keys, like an order with its
+ * items. Every table gets one composed schema per relation. The related schemas are composed with
+ * their own relations up to `options.relations` levels deep, except the foreign key they were
+ * reached through, and the foreign key columns are left out of the side holding them since the
+ * database fills them in. Only tables with an insert schema that are part of the model are
+ * related. The schemas are placed in a `relations` module per database schema, which imports the
+ * table modules, so table modules never import each other.
+ * @param model - The model returned by `introspect`.
+ * @param tables - The tables of the model described by `describeTable`.
+ * @param options - The generation options, see `generate`.
+ * @returns an array of `{ modulePath, tables }` objects sorted by module path, where every table
+ * is a target (see below) with its `relations`. A relation has a `name`, a `kind` ("one" or
+ * "many"), whether it is `optional` because its columns are nullable, its `target` with the
+ * `schema`, `table`, camel case `name`, `modulePath` and `hasObjectChecks` of the related table,
+ * the keys to `omit` from the target, the keys to omit from the table holding the relation as
+ * `ownerOmit`, and the nested `relations` of the target.
+ */
+function describeRelations(model, tables, options) {
+  const depth = options.relations || 0;
+  if (depth < 1) return [];
+
+  const described = new Map(
+    tables
+      .filter((table) => table.insert)
+      .map((table) => [qualifiedName(table.schema, table.table), table])
+  );
+  const raw = new Map(
+    model.tables.map((table) => [qualifiedName(table.schema, table.name), table])
+  );
+  const keysOf = (table) =>
+    [table.insert.identity, ...table.insert.fields].filter(Boolean).map((field) => field.key);
+  const toTarget = (table) => ({
+    schema: table.schema,
+    table: table.table,
+    name: table.name,
+    modulePath: table.modulePath,
+    hasObjectChecks: table.insert.objectChecks.length > 0,
+  });
+
+  const describeRelation = (edge, remaining) => {
+    const target = described.get(edge.target);
+    const owner = described.get(edge.owner);
+    if (!target || !owner) return null;
+
+    const columns = edge.foreignKey.columns.map(camelCase);
+    const omitted = columns.filter((key) => keysOf(owner).includes(key));
+    const ownerColumns = raw.get(edge.owner).columns;
+    return {
+      name: edge.name,
+      kind: edge.kind,
+      optional:
+        edge.kind === "one" &&
+        edge.foreignKey.columns.every((name) =>
+          ownerColumns.some((column) => column.name === name && column.isNullable)
+        ),
+      target: toTarget(target),
+      omit: edge.kind === "many" ? omitted : [],
+      ownerOmit: edge.kind === "one" ? omitted : [],
+      relations:
+        remaining > 1
+          ? getRelationEdges(raw.get(edge.target), model)
+              .filter((other) => other.id !== edge.id)
+              .map((other) => describeRelation(other, remaining - 1))
+              .filter(Boolean)
+          : [],
+    };
+  };
+
+  const modules = new Map();
+  for (const [key, table] of described) {
+    const relations = getRelationEdges(raw.get(key), model)
+      .map((edge) => describeRelation(edge, depth))
+      .filter(Boolean);
+    if (!relations.length) continue;
+
+    const modulePath = getModulePath(model, table.schema, "relations");
+    if (!modules.has(modulePath)) modules.set(modulePath, []);
+    modules.get(modulePath).push({ ...toTarget(table), relations });
+  }
+
+  return Array.from(modules.keys())
+    .sort()
+    .map((modulePath) => ({ modulePath, tables: modules.get(modulePath) }));
+}
+
+/**
+ * The function `describeComposites` describes the schemas of the composite types of a model, grouped
+ * by the module they are exported from. Composite types can use other composite types, so they are
+ * listed after the types of the same module they use. Attributes of a composite type can always be
+ * null.
+ * @param model - The model returned by `introspect`.
+ * @param options - The generation options, see `generate`.
+ * @returns an array of `{ modulePath, composites }` objects sorted by module path, where every
+ * composite is an object with the `key`, `schema` and `name` of the type, its `fields` and the
+ * `unsupportedTypes` and `untranslatedChecks` of its `diagnostics`, see `getDiagnostics`.
+ */
+function describeComposites(model, options) {
+  const composites = model.composites || {};
+  const modulePaths = new Set(
+    Object.values(composites).map((composite) =>
+      getModulePath(model, composite.schema, "composites")
+    )
+  );
+
+  return Array.from(modulePaths)
+    .sort()
+    .map((modulePath) => {
+      const declared = [];
+      const isInModule = (key) =>
+        getModulePath(model, composites[key].schema, "composites") === modulePath;
+
+      const declare = (key, chain = []) => {
+        if (declared.some((composite) => composite.key === key) || chain.includes(key)) return;
+        const composite = composites[key];
+        // Declare the composite types of the same module used by the attributes first
+        for (const column of composite.columns) {
+          const usedKey = qualifiedName(column.udtSchema, column.udtName.replace(/^_/, ""));
+          if (composites[usedKey] && isInModule(usedKey)) declare(usedKey, [...chain, key]);
+        }
+
+        const checks = getCheckRefinements(composite, options);
+        const fields = composite.columns.map((column) => ({
+          key: camelCase(column.name),
+          column,
+          type: describeType(column, model, options, checks.columns[column.name], composite),
+          nullable: column.isNullable,
+          optional: column.isNullable,
+          description: getDescription(column),
+        }));
+
+        declared.push({
+          key,
+          schema: composite.schema,
+          name: getCompositeName(model, key),
+          fields,
+          diagnostics: {
+            unsupportedTypes: getUnsupportedTypes(fields),
+            untranslatedChecks: checks.untranslated.map(({ name, reason }) => ({ name, reason })),
+          },
+        });
+      };
+
+      Object.keys(composites)
+        .filter(isInModule)
+        .sort(compareNames)
+        .forEach((key) => declare(key));
+
+      return { modulePath, composites: declared };
+    });
+}
+
+/**
+ * The function `getFunctionName` returns the camel case name the schemas of a function are
+ * exported under, before the suffix of the target. Functions with the same name in different
+ * schemas are told apart by the schema name.
+ */
+function getFunctionName(model, fn) {
+  const clashes = model.functions.some(
+    (other) => other.schema !== fn.schema && other.name === fn.name
+  );
+  return camelCase(clashes ? `${fn.schema}_${fn.name}` : fn.name);
+}
+
+/**
+ * The function `describeFunctionFields` describes the fields of the arguments or the result of a
+ * function, with the CHECK constraints of their domain types.
+ * @param fn - A function of the model, see `getFunctions`.
+ * @param relation - The `args` or the `result` of the function.
+ * @param model - The model returned by `introspect`.
+ * @param options - The generation options, see `generate`.
+ * @param toField - Returns the `nullable` and `optional` modifiers of the field of a column.
+ * @returns an object with the `fields` and the `untranslated` checks.
+ */
+function describeFunctionFields(fn, relation, model, options, toField) {
+  // Column overrides are keyed by `function.argument`, like those of tables
+  relation = { ...relation, schema: fn.schema, name: fn.name };
+  const checks = getCheckRefinements(relation, options);
+  const fields = relation.columns.map((column) => ({
+    key: camelCase(column.name),
+    column,
+    type: describeType(column, model, options, checks.columns[column.name], relation),
+    ...toField(column),
+    description: getDescription(column),
+  }));
+  return { fields, untranslated: checks.untranslated };
+}
+
+/**
+ * The function `describeFunctions` describes the argument and result schemas of the functions and
+ * procedures of a model, grouped by the `functions` module of their schema. Arguments are required
+ * unless they have a default, and the columns of results can be null, except those of tables
+ * declared NOT NULL. Overloaded functions can not be told apart by name, so they are skipped.
+ * @param model - The model returned by `introspect`.
+ * @param options - The generation options, see `generate`.
+ * @returns an array of `{ modulePath, functions, skipped }` objects sorted by module path. Every
+ * function is an object with the `key`, `schema`, `kind` and camel case `name` of the function,
+ * its `description`, the `args` with their `fields`, the `result` with its `fields`, whether it is
+ * a set (`isSet`) and whether it is a row (`isRow`) or the value of its only field, or null when
+ * nothing is returned, and the `unsupportedTypes` and `untranslatedChecks` of its `diagnostics`.
+ * The skipped functions have their qualified name as `function`, their `signature` and the
+ * `reason` they were skipped, "overloaded".
+ */
+function describeFunctions(model, options) {
+  const functions = model.functions || [];
+  const modules = new Map();
+  const moduleOf = (fn) => {
+    const modulePath = getModulePath(model, fn.schema, "functions");
+    if (!modules.has(modulePath)) modules.set(modulePath, { functions: [], skipped: [] });
+    return modules.get(modulePath);
+  };
+
+  const sorted = [...functions].sort(
+    (a, b) => compareNames(a.schema, b.schema) || compareNames(a.name, b.name)
+  );
+  for (const fn of sorted) {
+    const key = qualifiedName(fn.schema, fn.name);
+    const overloads = functions.filter(
+      (other) => other.schema === fn.schema && other.name === fn.name
+    );
+    if (overloads.length > 1) {
+      moduleOf(fn).skipped.push({ function: key, signature: fn.signature, reason: "overloaded" });
+      continue;
+    }
+
+    const args = describeFunctionFields(fn, fn.args, model, options, (column) => ({
+      nullable: false,
+      optional: Boolean(column.hasDefault),
+    }));
+    const result =
+      fn.result &&
+      describeFunctionFields(fn, fn.result, model, options, (column) => ({
+        nullable: column.isNullable,
+        optional: false,
+      }));
+    const untranslated = [...args.untranslated, ...(result ? result.untranslated : [])];
+
+    moduleOf(fn).functions.push({
+      key,
+      schema: fn.schema,
+      kind: fn.kind,
+      name: getFunctionName(model, fn),
+      description: getDescription(fn),
+      args: { fields: args.fields },
+      result: result && { isSet: fn.result.isSet, isRow: fn.result.isRow, fields: result.fields },
+      diagnostics: {
+        unsupportedTypes: getUnsupportedTypes([...args.fields, ...(result ? result.fields : [])]),
+        untranslatedChecks: untranslated.map(({ name, reason }) => ({ name, reason })),
+      },
+    });
+  }
+
+  return Array.from(modules.keys())
+    .sort()
+    .map((modulePath) => ({ modulePath, ...modules.get(modulePath) }));
+}
+
+/**
+ * The function `describeEnums` describes the enum types of a model, grouped by the module they are
+ * exported from: those of the generated schemas and those of other schemas used by their tables,
+ * functions and composite types.
+ * @param model - The model returned by `introspect`.
+ * @returns an array of `{ modulePath, enums }` objects sorted by module path, where every enum is
+ * an object with the `key`, `schema` and `name` of the type and its `values`.
+ */
+function describeEnums(model) {
+  const enums = model.enums || {};
+  const schemaOf = (key) => key.slice(0, key.indexOf("."));
+  const used = new Set(
+    Object.keys(enums).filter((key) => (model.schemas || []).includes(schemaOf(key)))
+  );
+  const columns = [
+    ...model.tables.flatMap((table) => table.columns),
+    ...Object.values(model.composites || {}).flatMap((composite) => composite.columns),
+    ...getFunctionRelations(model).flatMap((relation) => relation.columns),
+  ];
+  for (const column of columns) {
+    const key = qualifiedName(column.udtSchema, column.udtName.replace(/^_/, ""));
+    if (enums[key]) used.add(key);
+  }
+
+  const modules = new Map();
+  for (const key of Array.from(used).sort(compareNames)) {
+    const modulePath = getModulePath(model, schemaOf(key), "enums");
+    if (!modules.has(modulePath)) modules.set(modulePath, []);
+    modules
+      .get(modulePath)
+      .push({ key, schema: schemaOf(key), name: getEnumName(model, key), values: enums[key] });
+  }
+
+  return Array.from(modules.keys())
+    .sort()
+    .map((modulePath) => ({ modulePath, enums: modules.get(modulePath) }));
+}
+
+/**
+ * The function `withoutSkippedColumns` leaves the columns with a `@skip` directive out of a table
+ * or composite type, with the checks and keys using them. A primary key using a skipped column no
+ * longer identifies the rows, so it is dropped as a whole.
+ * @param relation - A table or composite type of the model.
+ * @returns the relation, or a copy of it without the skipped columns.
+ */
+function withoutSkippedColumns(relation) {
+  const skipped = relation.columns
+    .filter((column) => parseComment(column.comment).skip)
+    .map((column) => column.name);
+  if (!skipped.length) return relation;
+
+  const uses = (names) => (names || []).some((name) => skipped.includes(name));
+  return {
+    ...relation,
+    columns: relation.columns.filter((column) => !skipped.includes(column.name)),
+    checks: (relation.checks || []).filter((check) => !uses(check.columns)),
+    primaryKey: uses(relation.primaryKey) ? [] : relation.primaryKey,
+    foreignKeys: (relation.foreignKeys || []).filter((fk) => !uses(fk.columns)),
+  };
+}
+
+/**
+ * The function `omitSkipped` leaves the tables and functions with a `@skip` directive out of a
+ * model, and the columns with one out of its tables and composite types.
+ * @param model - The model returned by `introspect`.
+ * @returns a copy of the model.
+ */
+function omitSkipped(model) {
+  const composites = {};
+  for (const [key, composite] of Object.entries(model.composites || {})) {
+    composites[key] = withoutSkippedColumns(composite);
+  }
+  const isSkipped = (relation) => parseComment(relation.comment).skip;
+  return {
+    ...model,
+    tables: model.tables.filter((table) => !isSkipped(table)).map(withoutSkippedColumns),
+    composites,
+    ...(model.functions ? { functions: model.functions.filter((fn) => !isSkipped(fn)) } : {}),
+  };
+}
+
+/**
+ * The function `describeModel` describes every schema generated for a model. Tables and columns
+ * with a `@skip` directive in their comment are left out.
+ * @param model - The model returned by `introspect`.
+ * @param options - The generation options, see `generate`.
+ * @returns an object with the `schemas` of the model, the `tables` described by `describeTable`,
+ * the `enums` modules described by `describeEnums`, the `composites` modules described by
+ * `describeComposites`, the `functions` modules described by `describeFunctions` and the
+ * `relations` modules described by `describeRelations`.
+ */
+function describeModel(model, options) {
+  model = omitSkipped(model);
+  options = withLabelSchemas(model, options);
+  const tables = model.tables.map((table) => describeTable(table, model, options));
+  return {
+    schemas: model.schemas || [],
+    tables,
+    enums: describeEnums(model),
+    composites: describeComposites(model, options),
+    functions: describeFunctions(model, options),
+    relations: describeRelations(model, tables, options),
+  };
+}
+
+module.exports = {
+  COLUMN_ORDERS,
+  describeModel,
+  describeTable,
+  describeEnums,
+  describeComposites,
+  describeFunctions,
+  describeRelations,
+  describeType,
+  getModulePath,
+  parseDefaultValue,
+};
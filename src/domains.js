@@ -0,0 +1,129 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+const { qualifiedName } = require("./utils.js");
+
+/**
+ * The function `resolveDomain` follows a domain and the domains it is based on down to the base
+ * type, collecting their NOT NULL, default and CHECK constraints.
+ * @param domains - The domains of the model, keyed by qualified name.
+ * @param key - The qualified name of the domain to resolve.
+ * @returns an object with the base `dataType`, `udtSchema`, `udtName`, `maxLength`, `numericPrecision`,
+ * `numericScale` and `arrayDimensions`, `notNull`, `defaultValue` and the `checks` of the whole
+ * chain.
+ */
+function resolveDomain(domains, key) {
+  const resolved = { notNull: false, defaultValue: null, checks: [] };
+  const seen = new Set();
+  let domain = domains[key];
+
+  while (domain && !seen.has(domain)) {
+    seen.add(domain);
+    resolved.dataType = domain.dataType;
+    resolved.udtSchema = domain.udtSchema;
+    resolved.udtName = domain.udtName;
+    resolved.maxLength = resolved.maxLength || domain.maxLength;
+    resolved.numericPrecision = resolved.numericPrecision || domain.numericPrecision;
+    if (resolved.numericScale == null) resolved.numericScale = domain.numericScale;
+    resolved.arrayDimensions = resolved.arrayDimensions || domain.arrayDimensions;
+    resolved.notNull = resolved.notNull || domain.notNull;
+    // The default of the outermost domain wins
+    if (resolved.defaultValue === null) resolved.defaultValue = domain.defaultValue;
+    resolved.checks.push(...domain.checks.map((check) => ({ ...check, domain: domain.name })));
+    domain = domains[qualifiedName(domain.udtSchema, domain.udtName)];
+  }
+
+  return resolved;
+}
+
+/**
+ * The function `getFunctionRelations` returns the arguments and results of the functions of a
+ * model, which have `columns` and `checks` like the relations of the model.
+ * @param model - A model with `functions`, see `getFunctions`.
+ * @returns an array of the `args` and the `result` of every function that returns something.
+ */
+function getFunctionRelations(model) {
+  return (model.functions || []).flatMap((fn) => (fn.result ? [fn.args, fn.result] : [fn.args]));
+}
+
+/**
+ * The function `resolveDomains` replaces the domain types of the columns of the model's tables,
+ * composite types and functions with their base types. A NOT NULL domain makes the column not
+ * nullable, a domain default applies when the column has none, and the CHECK constraints of the
+ * domain are added to the checks of the table. The model is changed in place.
+ * @param model - A model with `domains`, `tables`, `composites` and optionally `functions`.
+ * @returns the model.
+ */
+function resolveDomains(model) {
+  const domains = model.domains || {};
+  const relations = [
+    ...model.tables,
+    ...Object.values(model.composites || {}),
+    ...getFunctionRelations(model),
+  ];
+
+  for (const relation of relations) {
+    for (const column of relation.columns) {
+      const key = column.domainName
+        ? qualifiedName(column.domainSchema, column.domainName)
+        : qualifiedName(column.udtSchema, column.udtName);
+      if (!domains[key]) continue;
+
+      const domain = resolveDomain(domains, key);
+      column.domainSchema = domains[key].schema;
+      column.domainName = domains[key].name;
+      column.dataType = domain.dataType;
+      column.udtSchema = domain.udtSchema;
+      column.udtName = domain.udtName;
+      column.maxLength = column.maxLength || domain.maxLength;
+      column.numericPrecision = column.numericPrecision || domain.numericPrecision;
+      if (column.numericScale == null) column.numericScale = domain.numericScale;
+      column.arrayDimensions = column.arrayDimensions || domain.arrayDimensions || 0;
+      if (domain.notNull) column.isNullable = false;
+      if (column.defaultValue === null) column.defaultValue = domain.defaultValue;
+
+      relation.checks = relation.checks || [];
+      for (const check of domain.checks) {
+        relation.checks.push({
+          name: check.name,
+          definition: check.definition,
+          columns: [column.name],
+          domain: check.domain,
+        });
+      }
+    }
+  }
+
+  return model;
+}
+
+/**
+ * The function `selectComposites` returns the composite types the generated schemas need: those of
+ * the selected schemas and those of other schemas used by their tables, functions and composite
+ * types.
+ * @param composites - The composite types, keyed by qualified name.
+ * @param schemas - The selected schemas.
+ * @param tables - The selected tables, and the arguments and results of the functions, see
+ * `getFunctionRelations`.
+ * @returns the needed composite types, keyed by qualified name.
+ */
+function selectComposites(composites, schemas, tables) {
+  const selected = {};
+  const add = (key) => {
+    if (selected[key] || !composites[key]) return;
+    selected[key] = composites[key];
+    composites[key].columns.forEach(use);
+  };
+  const use = (column) =>
+    add(qualifiedName(column.udtSchema, column.udtName.replace(/^_/, "")));
+
+  for (const [key, composite] of Object.entries(composites)) {
+    if (schemas.includes(composite.schema)) add(key);
+  }
+  for (const table of tables) table.columns.forEach(use);
+  return selected;
+}
+
+module.exports = { resolveDomains, selectComposites, getFunctionRelations };
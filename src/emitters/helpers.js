@@ -0,0 +1,321 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/*
+ * Helpers shared by the emitters: overrides, imports between generated modules, default values,
+ * foreign key and form metadata, descriptions, file headers, the messages module and the regular
+ * expressions of the types that have no built-in validation in every target.
+ */
+
+const path = require("path");
+const { quote, compareNames, capitalizeFirstLetter } = require("../utils.js");
+const { CUSTOM_START, CUSTOM_END } = require("../output.js");
+
+/* A time of day like `13:45:00`, as accepted by `time` columns. */
+const TIME_PATTERN = "([01]\\d|2[0-3]):[0-5]\\d(:[0-5]\\d(\\.\\d{1,6})?)?|24:00(:00(\\.0{1,6})?)?";
+
+/* A date and time without time zone, as accepted by `timestamp` columns in ISO 8601 format. */
+const LOCAL_DATETIME_PATTERN = "^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}(:\\d{2}(\\.\\d{1,6})?)?$";
+
+/* An IPv4 or IPv6 address with an optional network prefix length, for `inet` and `cidr`. */
+const INET_PATTERN =
+  "^(((25[0-5]|2[0-4]\\d|1?\\d?\\d)\\.){3}(25[0-5]|2[0-4]\\d|1?\\d?\\d)(/(3[0-2]|[12]?\\d))?" +
+  "|[0-9a-fA-F.]*:[0-9a-fA-F:.]*(/(12[0-8]|1[01]\\d|[1-9]?\\d))?)$";
+
+const RANGE = "empty|[\\[(][^,\\[\\]()]*,[^,\\[\\]()]*[\\])]";
+
+/**
+ * The function `getTimePattern` returns the regular expression of a time of day, optionally
+ * followed by a UTC offset like `+02` or `-05:30`.
+ */
+function getTimePattern(withTimeZone) {
+  return `^(${TIME_PATTERN})${withTimeZone ? "([+-]\\d{2}(:?\\d{2})?|Z)?" : ""}$`;
+}
+
+/**
+ * The function `getRangePattern` returns the case insensitive regular expression of a range literal
+ * like `[1,10)` or `empty`, or of a multirange literal like `{[1,3), [5,7)}`.
+ */
+function getRangePattern(multirange) {
+  return multirange
+    ? `^\\{\\s*((${RANGE})\\s*(,\\s*(${RANGE})\\s*)*)?\\}$`
+    : `^(${RANGE})$`;
+}
+
+/**
+ * The function `getDecimalPattern` returns the regular expression of a decimal string that fits a
+ * precision and scale. Leading zeros before and trailing zeros after the decimal point do not count.
+ * @param type - A decimal type, see `describeType`.
+ */
+function getDecimalPattern({ precision, scale }) {
+  const integerDigits =
+    precision === undefined ? "\\d*" : `\\d{0,${Math.max(precision - (scale ?? 0), 0)}}`;
+  const fraction = scale === undefined ? "(\\.\\d*)?" : scale ? `(\\.\\d{0,${scale}}0*)?` : "(\\.0*)?";
+  return `^[-+]?(?=\\.?\\d)0*${integerDigits}${fraction}$`;
+}
+
+/**
+ * The function `selectOverride` picks the override of a type or column that applies to an emitter.
+ * Plain strings and functions are Zod 3 source and only apply to the zod3 target, since Zod 4 moved
+ * and removed methods; an object of overrides keyed by target name, like
+ * `{ zod: "z.string().email()", "json-schema": '{"format":"email"}' }`, applies to every target it
+ * has a key for.
+ * @param override - The override from the `types` or `columns` option.
+ * @param emitter - The emitter, see `getEmitter`.
+ * @returns the override, or undefined when none applies.
+ */
+function selectOverride(override, emitter) {
+  if (typeof override === "string" || typeof override === "function") {
+    return emitter.overrideKeys.includes("zod3") ? override : undefined;
+  }
+  const key = emitter.overrideKeys.find((name) =>
+    Object.prototype.hasOwnProperty.call(override, name)
+  );
+  return key === undefined ? undefined : override[key];
+}
+
+/**
+ * The function `applyOverrides` applies the overrides of a type to its source. Overrides starting
+ * with a dot are methods appended to the type, other strings replace it, and functions are called
+ * with the column and the type and return the new type.
+ * @param source - The generated type source.
+ * @param overrides - The overrides that apply to the target, see `selectOverride`.
+ * @param column - The column the type is generated for.
+ * @returns the type source.
+ */
+function applyOverrides(source, overrides, column) {
+  for (const override of overrides) {
+    if (typeof override === "function") source = override(column, source);
+    else source = override.startsWith(".") ? source + override : override;
+  }
+  return source;
+}
+
+/**
+ * The function `relativeModulePath` returns the import path of a generated module from another one.
+ * @param from - The path of the importing module relative to the output directory, see
+ * `getModulePath`.
+ * @param to - The path of the imported module.
+ * @returns a relative path like "./types" or "../billing/composites".
+ */
+function relativeModulePath(from, to) {
+  const relativePath = path.posix.relative(path.posix.dirname(from), to);
+  return relativePath.startsWith(".") ? relativePath : `./${relativePath}`;
+}
+
+/**
+ * The function `addImport` records a name a generated file imports from another module.
+ * @param imports - A map of module paths to sets of imported names.
+ * @param source - The module path relative to the output directory, see `getModulePath`.
+ * @param name - The imported name.
+ */
+function addImport(imports, source, name) {
+  if (!imports.has(source)) imports.set(source, new Set());
+  imports.get(source).add(name);
+}
+
+/**
+ * The function `renderBarrel` renders an index module re-exporting other modules, for the targets
+ * that emit TypeScript.
+ * @param modules - The re-exported modules as `{ modulePath, namespace }` objects, see
+ * `getIndexFiles`. Modules with a namespace are re-exported under it.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderBarrel(modules, context) {
+  return modules
+    .map(({ modulePath, namespace }) => {
+      const from = relativeModulePath(context.modulePath, modulePath);
+      return namespace ? `export * as ${namespace} from '${from}';\n` : `export * from '${from}';\n`;
+    })
+    .join("");
+}
+
+/**
+ * The function `renderReferences` renders the foreign key metadata of a table as a constant, for
+ * the targets that emit TypeScript, e.g. `export const orderReferences = { customerId: { schema:
+ * 'public', table: 'customers', column: 'id', onDelete: 'cascade', onUpdate: 'no action' } }`.
+ * @param table - A relation described by `describeTable`.
+ * @returns the source of the constant, or an empty string when the table has no foreign keys.
+ */
+function renderReferences(table) {
+  if (!table.references.length) return ``;
+
+  let source = `export const ${table.name}References = {\n`;
+  for (const reference of table.references) {
+    const properties = [
+      `schema: ${quote(reference.schema)}`,
+      `table: ${quote(reference.table)}`,
+      `column: ${quote(reference.foreignColumn)}`,
+      `onDelete: ${quote(reference.onDelete)}`,
+      `onUpdate: ${quote(reference.onUpdate)}`,
+    ];
+    source += `  ${reference.key}: { ${properties.join(", ")} },\n`;
+  }
+  return source + `} as const;\n`;
+}
+
+/**
+ * The function `renderForm` renders the form metadata of a table as constants, for the targets that
+ * emit TypeScript: the insert fields with their label, input kind, required flag, maximum length
+ * and enum options, e.g. `export const orderFormFields = { status: { label: 'Status', input:
+ * 'select', ... } } as const`, and the initial values of the fields with a default, e.g. `export
+ * const orderInitialValues: Partial<OrderInsert> = { status: 'draft' }`.
+ * @param table - A relation described by `describeTable`, with its `form`.
+ * @param [renderDefault] - Returns the value of a default in the target, like `getIsoDefault` for
+ * the targets with ISO 8601 dates. By default the value returned by `parseDefaultValue`.
+ * @returns the source of the constants, or an empty string when the table has no form.
+ */
+function renderForm(table, renderDefault = (value) => value) {
+  if (!table.form) return ``;
+  const { name, form } = table;
+  const object = (entries) => (entries.length ? `{\n${entries.join("")}}` : `{}`);
+
+  const fields = form.fields.map((field) => {
+    const properties = [
+      `label: ${quote(field.label)}`,
+      `input: ${quote(field.input)}`,
+      `required: ${field.required}`,
+      `multiple: ${field.multiple}`,
+      `maxLength: ${field.maxLength}`,
+      `options: ${field.options ? `[${field.options.map(quote).join(", ")}]` : null}`,
+    ];
+    return `  ${field.key}: { ${properties.join(", ")} },\n`;
+  });
+  const initialValues = form.fields
+    .filter((field) => field.default !== undefined)
+    .map((field) => `  ${field.key}: ${renderDefault(field.default, field.type)},\n`);
+
+  const typeName = `${capitalizeFirstLetter(name)}Insert`;
+  return (
+    `export const ${name}FormFields = ${object(fields)} as const;\n` +
+    `\nexport const ${name}InitialValues: Partial<${typeName}> = ${object(initialValues)};\n`
+  );
+}
+
+/**
+ * The function `renderDocComment` renders the description of a table or column as a JSDoc comment,
+ * placed above the key or the export it describes.
+ * @param description - The description, or null.
+ * @param [indent] - The indentation of the described line.
+ * @returns the comment followed by a line break, or an empty string without a description.
+ */
+function renderDocComment(description, indent = "") {
+  if (!description) return ``;
+  const lines = description.replace(/\*\//g, "*\\/").split("\n");
+  if (lines.length === 1) return `${indent}/** ${lines[0]} */\n`;
+  const body = lines.map((line) => `${indent} *${line ? ` ${line}` : ""}\n`).join("");
+  return `${indent}/**\n${body}${indent} */\n`;
+}
+
+/**
+ * The function `renderCommentHeader` renders the header of a generated TypeScript file as line
+ * comments, see `stampContents`.
+ * @param header - The `text` and `hash` of the header.
+ * @param contents - The generated contents.
+ * @returns the contents with the header.
+ */
+function renderCommentHeader(header, contents) {
+  return (
+    `// ${header.text}.\n` +
+    `// Changes outside ${CUSTOM_START} / ${CUSTOM_END} regions are lost when the file is regenerated.\n` +
+    `// ${header.hash}\n\n` +
+    contents
+  );
+}
+
+/**
+ * The function `renderMessageModule` renders the `messages` module of the `messageKeys` option, for
+ * the targets that emit TypeScript. It exports the message templates and the labels of the columns,
+ * which an application can replace with those of another language, and the `formatMessage`
+ * function turning the messages of the schemas into text.
+ * @param catalog - The `messages` and `labels` returned by `getMessageCatalog`.
+ * @returns the file contents.
+ */
+function renderMessageModule(catalog) {
+  const entries = (object, renderKey) =>
+    Object.keys(object)
+      .map((key) => `  ${renderKey(key)}: ${quote(object[key])},\n`)
+      .join("");
+  const labelKeys = Object.keys(catalog.labels).sort(compareNames);
+  const labels = Object.fromEntries(labelKeys.map((key) => [key, catalog.labels[key]]));
+
+  let source = `/** The message templates, keyed by message key. */\n`;
+  source += `export const messages: Record<string, string> = {\n`;
+  source += entries(catalog.messages, (key) => key);
+  source += `};\n\n`;
+  source += `/** The labels of the columns used in messages, keyed by \`table.column\`. */\n`;
+  source += `export const labels: Record<string, string> = {\n`;
+  source += entries(labels, quote);
+  source += `};\n\n`;
+  source += `/**
+ * Formats a message of the generated schemas, the JSON of its key, the key of its label and its
+ * values, with the given templates and labels. Templates and labels missing from them are taken
+ * from \`messages\` and \`labels\`, and other messages are returned unchanged.
+ */
+export function formatMessage(
+  message: string,
+  templates: Record<string, string> = messages,
+  columnLabels: Record<string, string> = labels
+): string {
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(message);
+  } catch {
+    return message;
+  }
+  if (parsed === null || typeof parsed !== 'object') return message;
+  const { key, label, ...values } = parsed as Record<string, unknown>;
+  const template = typeof key === 'string' ? templates[key] ?? messages[key] : undefined;
+  if (template === undefined) return message;
+  return template.replace(/\\{(\\w+)\\}/g, (placeholder: string, name: string) => {
+    if (name === 'label') return columnLabels[String(label)] ?? labels[String(label)] ?? String(label);
+    return name in values ? String(values[name]) : placeholder;
+  });
+}
+`;
+  return source;
+}
+
+/**
+ * The function `getIsoDefault` converts the default of a date or time column, which
+ * `parseDefaultValue` returns as a `Date`, for targets that represent dates and times as ISO 8601
+ * strings. Literal timestamps with time zone are in UTC.
+ * @param value - The default value source.
+ * @param type - The type of the column, see `describeType`.
+ * @returns the default value source; a function for the current date and time.
+ */
+function getIsoDefault(value, type) {
+  if (!["timestamp", "date"].includes(type.kind) || typeof value !== "string") return value;
+  if (value === "new Date()") {
+    return type.kind === "date"
+      ? "() => new Date().toISOString().slice(0, 10)"
+      : "() => new Date().toISOString()";
+  }
+  const literal = value.match(/^new Date\('(.*)'\)$/);
+  if (!literal || type.kind === "date") return literal ? `'${literal[1]}'` : value;
+  // Literal timestamps with time zone are in UTC already, see `parseTimestamp`
+  const [date, time = "00:00:00"] = literal[1].replace(/\+00:00$/, "").split("T");
+  return `'${date}T${time}${type.withTimeZone ? "Z" : ""}'`;
+}
+
+module.exports = {
+  LOCAL_DATETIME_PATTERN,
+  INET_PATTERN,
+  getTimePattern,
+  getRangePattern,
+  getDecimalPattern,
+  selectOverride,
+  applyOverrides,
+  relativeModulePath,
+  addImport,
+  renderBarrel,
+  renderReferences,
+  renderForm,
+  renderDocComment,
+  renderCommentHeader,
+  renderMessageModule,
+  getIsoDefault,
+};
@@ -0,0 +1,94 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/*
+ * The emitters render the schemas described by `describeModel` for a target. An emitter is an
+ * object with:
+ *
+ *   name               the target name, e.g. "valibot"
+ *   extension          the extension of the generated files, e.g. ".ts"
+ *   renderTable        a function `(table, context)` returning the file of a relation, see
+ *                      `describeTable`
+ *   renderComposites   a function `(composites, context)` returning the file of the composite
+ *                      types of a module, see `describeComposites`
+ *   renderEnums        optionally, a function `(enums, context)` returning the file of the enum
+ *                      types of a module, see `describeEnums`. Without it enum types are inlined
+ *                      from their `values`
+ *   renderFunctions    optionally, a function `(functions, context)` returning the file of the
+ *                      argument and result schemas of the functions of a module, see
+ *                      `describeFunctions`. Without it functions are not generated
+ *   renderRelations    optionally, a function `(tables, context)` returning the file of the
+ *                      relation schemas of a module, see `describeRelations`. Without it the
+ *                      `relations` option has no effect
+ *   renderIndex        optionally, a function `(modules, context)` returning an index module
+ *                      re-exporting the other ones, see `getIndexFiles`
+ *   renderMessages     optionally, a function `(catalog, context)` returning the module formatting
+ *                      the messages of the `messageKeys` option, see `getMessageCatalog`. Without
+ *                      it no such module is generated
+ *   files              optionally, a function `(context)` returning shared files as `{ path,
+ *                      contents }` objects, like the `types.ts` of Zod 3
+ *   renderHeader       optionally, a function `(header, contents)` returning the contents of a
+ *                      file with the header naming its version, source and `hash`, see
+ *                      `stampContents`. Without it files have no header
+ *   overrideKeys       optionally, the keys of the `types` and `columns` overrides that apply to
+ *                      the target, by default its name
+ *
+ * The context has the generation `options`, the `modulePath` of the file being rendered, and the
+ * functions `relativePath(modulePath)`, which returns the import path of another module, and
+ * `getOverrides(type)`, which returns the overrides of a type that apply to the target.
+ */
+
+const { zod3, zod4 } = require("./zod.js");
+const valibot = require("./valibot.js");
+const typescript = require("./typescript.js");
+const jsonSchema = require("./json-schema.js");
+
+/* The built-in emitters, keyed by target name. */
+const EMITTERS = {
+  zod3,
+  zod4,
+  valibot,
+  typescript,
+  "json-schema": jsonSchema,
+};
+
+/* The target used when none is given. */
+const DEFAULT_TARGET = "zod3";
+
+/**
+ * The function `getEmitter` returns the emitter of a target. Emitters passed in take precedence
+ * over the built-in ones of the same name.
+ * @param [target=zod3] - The target name.
+ * @param [emitters] - Additional emitters keyed by target name, e.g. from the configuration file.
+ * @returns the emitter. Throws when the target is unknown or the emitter is incomplete.
+ */
+function getEmitter(target = DEFAULT_TARGET, emitters = {}) {
+  const available = { ...EMITTERS, ...emitters };
+  const emitter = available[target];
+  if (!emitter) {
+    throw new Error(
+      `Unknown target ${target}, expected one of ${Object.keys(available).join(", ")}`
+    );
+  }
+  for (const key of ["renderTable", "renderComposites"]) {
+    if (typeof emitter[key] !== "function") {
+      throw new Error(`The emitter of target ${target} must have a ${key} function`);
+    }
+  }
+
+  return {
+    extension: ".ts",
+    files: () => [],
+    ...emitter,
+    name: emitter.name || target,
+    overrideKeys: emitter.overrideKeys || [emitter.name || target],
+  };
+}
+
+module.exports = {
+  EMITTERS,
+  DEFAULT_TARGET,
+  getEmitter,
+};
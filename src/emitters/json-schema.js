@@ -0,0 +1,415 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/*
+ * The JSON Schema emitter. Every module is a draft 2020-12 document whose `$defs` hold the schemas
+ * of the relation, and enum and composite types are referenced across modules with `$ref`. Values
+ * are described as they are sent in JSON: dates and times are ISO 8601 strings and `bytea` is
+ * base64.
+ * Checks that need code, like CHECK constraints on several columns, are not represented.
+ */
+
+const { capitalizeFirstLetter } = require("../utils.js");
+const {
+  LOCAL_DATETIME_PATTERN,
+  INET_PATTERN,
+  getTimePattern,
+  getRangePattern,
+  getDecimalPattern,
+  getIsoDefault,
+} = require("./helpers.js");
+
+const SCHEMA_DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+/**
+ * The function `toCaseInsensitive` rewrites a regular expression to match letters in either case,
+ * since JSON Schema patterns have no flags, e.g. `^empty$` becomes `^[eE][mM][pP][tT][yY]$` and
+ * `[0-9a-f]` becomes `[0-9a-fA-F]`.
+ */
+function toCaseInsensitive(pattern) {
+  const isLetter = (char) => /^[a-z]$/i.test(char || "");
+  const swapCase = (char) =>
+    char === char.toLowerCase() ? char.toUpperCase() : char.toLowerCase();
+
+  let result = ``;
+  let classLetters = null;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\") {
+      result += char + (pattern[++i] || "");
+    } else if (classLetters !== null) {
+      if (char === "]") {
+        result += classLetters + char;
+        classLetters = null;
+      } else if (isLetter(char) && pattern[i + 1] === "-" && isLetter(pattern[i + 2])) {
+        classLetters += `${swapCase(char)}-${swapCase(pattern[i + 2])}`;
+        result += pattern.slice(i, i + 3);
+        i += 2;
+      } else {
+        if (isLetter(char)) classLetters += swapCase(char);
+        result += char;
+      }
+    } else if (char === "[") {
+      classLetters = "";
+      result += pattern[i + 1] === "^" ? pattern[i++] + "^" : char;
+    } else {
+      result += isLetter(char) ? `[${char.toLowerCase()}${char.toUpperCase()}]` : char;
+    }
+  }
+  return result;
+}
+
+/**
+ * The function `toPattern` returns the JSON Schema pattern of a regular expression and its flags.
+ */
+function toPattern(pattern, flags = "") {
+  return flags.includes("i") ? toCaseInsensitive(pattern) : pattern;
+}
+
+/**
+ * The function `addPattern` adds a pattern to a schema, in an `allOf` when it already has one.
+ */
+function addPattern(schema, pattern) {
+  if (schema.pattern === undefined) {
+    schema.pattern = pattern;
+  } else {
+    schema.allOf = [...(schema.allOf || []), { pattern }];
+  }
+}
+
+/**
+ * The function `addCheck` adds a check or constraint of a type to its schema. Bounds that are
+ * already set keep the stricter value. Checks that need code are not represented.
+ * @param schema - The schema of the type.
+ * @param check - A check, see `toConstraints`.
+ * @param type - The type the check applies to, see `describeType`.
+ */
+function addCheck(schema, check, type) {
+  const isNumber = type.kind === "number" || type.kind === "bigint";
+  const set = (key, value, stricter) => {
+    schema[key] = schema[key] === undefined ? value : stricter(schema[key], value);
+  };
+  const value = Number(check.value);
+  switch (check.kind) {
+    case "min":
+      set(isNumber ? "minimum" : "minLength", value, Math.max);
+      break;
+    case "max":
+      set(isNumber ? "maximum" : "maxLength", value, Math.min);
+      break;
+    case "gt":
+      set("exclusiveMinimum", value, Math.max);
+      break;
+    case "lt":
+      set("exclusiveMaximum", value, Math.min);
+      break;
+    case "length":
+      set("minLength", value, Math.max);
+      set("maxLength", value, Math.min);
+      break;
+    case "regex":
+      addPattern(schema, toPattern(check.pattern, check.flags));
+      break;
+    default:
+      // Refinements are JavaScript expressions
+      break;
+  }
+}
+
+/**
+ * The function `renderRef` returns a reference to the schema of an enum or composite type, which
+ * is defined in the `$defs` of its module.
+ */
+function renderRef(type, context) {
+  const module =
+    type.modulePath === context.modulePath ? "" : `${context.relativePath(type.modulePath)}.json`;
+  return { $ref: `${module}#/$defs/${capitalizeFirstLetter(type.name)}` };
+}
+
+/**
+ * The function `renderBaseType` returns the schema of a type, without its checks and overrides.
+ * @param type - A type, see `describeType`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the schema.
+ */
+function renderBaseType(type, context) {
+  const string = (extra) => ({ type: "string", ...extra });
+
+  switch (type.kind) {
+    case "composite":
+      return renderRef(type, context);
+    case "enum":
+      return type.name ? renderRef(type, context) : string({ enum: [...type.values] });
+    case "array":
+      return { type: "array", items: renderType(type.element, context) };
+    case "number":
+      return { type: type.integer ? "integer" : "number" };
+    case "bigint":
+      return { type: "integer" };
+    case "decimal":
+      return string({ pattern: getDecimalPattern(type) });
+    case "boolean":
+      return { type: "boolean" };
+    case "timestamp":
+      return type.withTimeZone
+        ? string({ format: "date-time" })
+        : string({ pattern: LOCAL_DATETIME_PATTERN });
+    case "date":
+      return string({ format: "date" });
+    case "time":
+      return string({ pattern: getTimePattern(type.withTimeZone) });
+    case "uuid":
+      return string({ format: "uuid" });
+    case "inet":
+      return string({ pattern: INET_PATTERN });
+    case "bytes":
+      return string({ contentEncoding: "base64" });
+    case "range":
+      return string({ pattern: toPattern(getRangePattern(type.multirange), "i") });
+    case "string":
+      return string();
+    default:
+      // JSON values and unsupported types accept any value
+      return {};
+  }
+}
+
+/**
+ * The function `applyOverrides` applies the overrides of a type to its schema. Strings are JSON
+ * and objects are schemas replacing it, and functions are called with the column and the schema
+ * and return the new schema.
+ */
+function applyOverrides(schema, overrides, column) {
+  for (const override of overrides) {
+    if (typeof override === "function") {
+      schema = override(column, schema);
+    } else if (typeof override === "string") {
+      try {
+        schema = JSON.parse(override);
+      } catch (err) {
+        throw new Error(`Invalid JSON Schema override for column ${column.name}: ${err.message}`);
+      }
+    } else {
+      schema = override;
+    }
+  }
+  return schema;
+}
+
+/**
+ * The function `renderType` returns the schema of a type with its checks, overrides and
+ * constraints.
+ * @param type - A type, see `describeType`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the schema.
+ */
+function renderType(type, context) {
+  let schema = renderBaseType(type, context);
+  for (const check of type.checks) addCheck(schema, check, type);
+  schema = { ...applyOverrides(schema, context.getOverrides(type), type.column) };
+  for (const check of type.constraints) addCheck(schema, check, type);
+  return schema;
+}
+
+/**
+ * The function `toJsonValue` converts the source of a default value to its JSON value.
+ * @param value - The default value source, see `parseDefaultValue`.
+ * @param type - The type of the column, see `describeType`.
+ * @returns the value, or undefined when the default has no JSON value, like the current time.
+ */
+function toJsonValue(value, type) {
+  value = getIsoDefault(value, type);
+  if (typeof value !== "string") return value;
+  if (type.kind === "json") return JSON.parse(value);
+
+  // String literals become JSON strings and bigint literals, also those in arrays, numbers
+  const json = value.replace(/'((?:[^'\\]|\\.)*)'|(-?\d+)n\b/g, (_, string, bigint) =>
+    string === undefined ? bigint : JSON.stringify(string.replace(/\\(.)/g, "$1"))
+  );
+  try {
+    return JSON.parse(json);
+  } catch (err) {
+    // Functions and values like `new Uint8Array([1])`
+    return undefined;
+  }
+}
+
+/**
+ * The function `renderField` returns the schema of a field: nullable fields also accept null, the
+ * description of the field is its `description` keyword and its default the `default` keyword.
+ * @param field - A field, see `describeTable`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the schema.
+ */
+function renderField(field, context) {
+  let schema = renderType(field.type, context);
+  if (field.nullable) {
+    if (typeof schema.type === "string") {
+      schema.type = [schema.type, "null"];
+      if (schema.enum) schema.enum = [...schema.enum, null];
+    } else if (Object.keys(schema).length) {
+      schema = { anyOf: [schema, { type: "null" }] };
+    }
+  }
+  if (field.description) schema = { description: field.description, ...schema };
+  const defaultValue =
+    field.default === undefined ? undefined : toJsonValue(field.default, field.type);
+  if (defaultValue !== undefined) schema.default = defaultValue;
+  return schema;
+}
+
+/**
+ * The function `renderObject` returns the schema of an object with the given fields, see
+ * `renderField`. Fields that are optional or have a default are not required.
+ * @param fields - The fields, see `describeTable`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the schema.
+ */
+function renderObject(fields, context) {
+  const properties = {};
+  const required = [];
+
+  for (const field of fields) {
+    properties[field.key] = renderField(field, context);
+    if (!field.optional && field.default === undefined) required.push(field.key);
+  }
+
+  return { type: "object", properties, ...(required.length ? { required } : {}) };
+}
+
+/**
+ * The function `renderDocument` renders a module as a JSON Schema document.
+ */
+function renderDocument(modulePath, defs) {
+  const document = { $schema: SCHEMA_DIALECT, $id: `${modulePath}.json`, $defs: defs };
+  return `${JSON.stringify(document, null, 2)}\n`;
+}
+
+/**
+ * The function `renderTable` renders the schemas of a relation as `$defs` named like the types of
+ * the other targets: `UserSelect` for its rows, `UserInsert` and `UserUpdate` for tables and
+ * updatable views. The comment of the relation is the `description` of its schemas. The
+ * properties of foreign key columns have a `$comment` naming the column they reference; relation
+ * schemas are not generated, since the foreign key columns can not be left out of a referenced
+ * schema.
+ * @param table - A relation described by `describeTable`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderTable(table, context) {
+  const name = capitalizeFirstLetter(table.name);
+  const description = table.description ? { description: table.description } : {};
+  const defs = {};
+
+  if (table.select) {
+    defs[`${name}Select`] = { ...description, ...renderObject(table.select.fields, context) };
+  }
+  if (table.insert) {
+    const { fields, identity, update, objectChecks, untranslated } = table.insert;
+    const skipped = [...objectChecks, ...untranslated].map((check) => check.name).join(", ");
+    const insert = {
+      ...description,
+      ...(skipped ? { $comment: `CHECK constraints not represented: ${skipped}` } : {}),
+      ...renderObject(identity ? [identity, ...fields] : fields, context),
+    };
+    for (const reference of table.references) {
+      const property = insert.properties[reference.key];
+      if (!property) continue;
+      const { schema, table: foreignTable, foreignColumn, onDelete } = reference;
+      property.$comment = `References ${schema}.${foreignTable}.${foreignColumn}, on delete ${onDelete}`;
+    }
+    defs[`${name}Insert`] = insert;
+
+    // Updates can leave out any property but the key, and have none the role may not update
+    const { required, ...partial } = insert;
+    const keys = renderObject(update.keys, context);
+    const properties = { ...insert.properties };
+    for (const key of update.omit) delete properties[key];
+    defs[`${name}Update`] = {
+      ...partial,
+      properties: { ...properties, ...keys.properties },
+      ...(keys.required ? { required: keys.required } : {}),
+    };
+  }
+
+  return renderDocument(table.modulePath, defs);
+}
+
+/**
+ * The function `renderComposites` renders the schemas of the composite types of a module.
+ * @param composites - The composite types described by `describeComposites`, in declaration order.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderComposites(composites, context) {
+  const defs = {};
+  for (const composite of composites) {
+    defs[capitalizeFirstLetter(composite.name)] = renderObject(composite.fields, context);
+  }
+  return renderDocument(context.modulePath, defs);
+}
+
+/**
+ * The function `renderFunctions` renders the argument and result schemas of the functions of a
+ * module as `$defs` named like the types of the other targets, e.g. `CreateOrderArgs` and
+ * `CreateOrderResult`. The result of a function returning a set is an array, and functions
+ * returning nothing have no result schema.
+ * @param functions - The functions described by `describeFunctions`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderFunctions(functions, context) {
+  const defs = {};
+  for (const fn of functions) {
+    const name = capitalizeFirstLetter(fn.name);
+    const description = fn.description ? { description: fn.description } : {};
+    defs[`${name}Args`] = { ...description, ...renderObject(fn.args.fields, context) };
+
+    if (fn.result) {
+      const { isSet, isRow, fields } = fn.result;
+      const result = isRow ? renderObject(fields, context) : renderField(fields[0], context);
+      defs[`${name}Result`] = isSet ? { type: "array", items: result } : result;
+    }
+  }
+  return renderDocument(context.modulePath, defs);
+}
+
+/**
+ * The function `renderEnums` renders the schemas of the enum types of a module.
+ * @param enums - The enum types described by `describeEnums`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderEnums(enums, context) {
+  const defs = {};
+  for (const { name, values } of enums) {
+    defs[capitalizeFirstLetter(name)] = { type: "string", enum: [...values] };
+  }
+  return renderDocument(context.modulePath, defs);
+}
+
+/**
+ * The function `renderHeader` adds the header of a generated file as the `$comment` of the
+ * document, since JSON has no comments. JSON files can not have custom regions, see
+ * `stampContents`.
+ * @param header - The `text` and `hash` of the header.
+ * @param contents - The generated document.
+ * @returns the document with the header.
+ */
+function renderHeader(header, contents) {
+  const document = JSON.parse(contents);
+  const comment = `${header.text}. Changes are lost when the file is regenerated. ${header.hash}`;
+  return `${JSON.stringify({ $comment: comment, ...document }, null, 2)}\n`;
+}
+
+module.exports = {
+  name: "json-schema",
+  extension: ".json",
+  renderTable,
+  renderComposites,
+  renderEnums,
+  renderFunctions,
+  renderHeader,
+};
@@ -0,0 +1,300 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/*
+ * The TypeScript emitter. It renders plain interfaces of the rows as `node-postgres` returns them,
+ * without runtime validation: CHECK constraints are not represented.
+ */
+
+const { capitalizeFirstLetter, quote } = require("../utils.js");
+const {
+  applyOverrides,
+  relativeModulePath,
+  addImport,
+  renderBarrel,
+  renderReferences,
+  renderForm,
+  renderDocComment,
+  renderCommentHeader,
+} = require("./helpers.js");
+
+/**
+ * The function `renderBaseType` renders a type as a TypeScript type, without its overrides.
+ * @param type - A type, see `describeType`.
+ * @param imports - The imports of the file, see `addImport`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the TypeScript type source.
+ */
+function renderBaseType(type, imports, context) {
+  switch (type.kind) {
+    case "composite":
+      addImport(imports, type.modulePath, capitalizeFirstLetter(type.name));
+      return capitalizeFirstLetter(type.name);
+    case "enum":
+      if (type.name) {
+        addImport(imports, type.modulePath, capitalizeFirstLetter(type.name));
+        return capitalizeFirstLetter(type.name);
+      }
+      return type.values.map(quote).join(" | ");
+    case "array": {
+      const element = renderType(type.element, imports, context);
+      return /[\s|&]/.test(element) ? `(${element})[]` : `${element}[]`;
+    }
+    case "number":
+    case "bigint":
+    case "boolean":
+      return type.kind;
+    case "timestamp":
+    case "date":
+      return "Date";
+    case "bytes":
+      return "Uint8Array";
+    case "json":
+    case "unknown":
+      return "unknown";
+    default:
+      // Decimals, times, ranges and other types read as strings
+      return "string";
+  }
+}
+
+/**
+ * The function `renderType` renders a type as a TypeScript type and records the enum and composite
+ * types it imports. Overrides are TypeScript types replacing the generated one.
+ */
+function renderType(type, imports, context) {
+  const source = renderBaseType(type, imports, context);
+  return applyOverrides(source, context.getOverrides(type), type.column);
+}
+
+/**
+ * The function `renderValue` renders the type of a field, with null when it is nullable.
+ */
+function renderValue(field, imports, context) {
+  const type = renderType(field.type, imports, context);
+  return field.nullable ? `${type} | null` : type;
+}
+
+/**
+ * The function `renderField` renders a property of an interface, with the description of the field
+ * as a JSDoc comment. Fields with a default are optional.
+ * @param field - A field, see `describeTable`.
+ * @param imports - The imports of the file, see `addImport`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the source of the property.
+ */
+function renderField(field, imports, context) {
+  const optional = field.optional || field.default !== undefined;
+  const property = `${field.key}${optional ? "?" : ""}: ${renderValue(field, imports, context)};`;
+  return `${renderDocComment(field.description, "  ")}  ${property}`;
+}
+
+/**
+ * The function `renderInterface` renders an interface with the given fields.
+ */
+function renderInterface(name, fields, imports, context, parent) {
+  let source = `export interface ${name}${parent ? ` extends ${parent}` : ""} {\n`;
+  source += fields.map((field) => `${renderField(field, imports, context)}\n`).join("");
+  return source + `}\n`;
+}
+
+/**
+ * The function `renderImports` renders the type imports of a generated file.
+ * @param imports - A map of module paths to sets of imported names.
+ * @param modulePath - The path of the module being rendered, see `getModulePath`.
+ * @returns the import statements followed by a blank line, if any.
+ */
+function renderImports(imports, modulePath) {
+  let source = ``;
+  for (const module of Array.from(imports.keys()).sort()) {
+    if (module === modulePath) continue;
+    const names = Array.from(imports.get(module)).sort().join(", ");
+    source += `import type { ${names} } from '${relativeModulePath(modulePath, module)}';\n`;
+  }
+  return source && source + `\n`;
+}
+
+/**
+ * The function `renderTable` renders the interfaces of a relation: its rows, and the insert and
+ * update values of tables and updatable views. Updates can leave out any column but the key.
+ * @param table - A relation described by `describeTable`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderTable(table, context) {
+  const imports = new Map();
+  const name = capitalizeFirstLetter(table.name);
+  const doc = renderDocComment(table.description);
+  const interfaces = [];
+
+  if (table.select) {
+    interfaces.push(doc + renderInterface(`${name}Select`, table.select.fields, imports, context));
+  }
+  if (table.insert) {
+    const { fields, identity, update } = table.insert;
+    interfaces.push(
+      doc +
+        renderInterface(`${name}Insert`, identity ? [identity, ...fields] : fields, imports, context)
+    );
+    // Columns the role may not update are omitted
+    const updatable = update.omit.length
+      ? `Omit<${name}Insert, ${update.omit.map(quote).join(" | ")}>`
+      : `${name}Insert`;
+    interfaces.push(
+      update.keys.length
+        ? renderInterface(`${name}Update`, update.keys, imports, context, `Partial<${updatable}>`)
+        : `export type ${name}Update = Partial<${updatable}>;\n`
+    );
+  }
+
+  if (table.references.length) {
+    interfaces.push(renderReferences(table));
+  }
+  if (table.form) {
+    interfaces.push(renderForm(table));
+  }
+
+  return renderImports(imports, table.modulePath) + interfaces.join("\n");
+}
+
+/**
+ * The function `renderComposed` renders the insert interface of a table composed with the types
+ * of related tables: without the omitted keys and intersected with the relations.
+ * @param target - The table, see `describeRelations`.
+ * @param omit - The keys left out of the insert interface.
+ * @param relations - The relations the type is extended with.
+ * @param imports - The imports of the file, see `addImport`.
+ * @param [indent] - The indentation of the line the type starts on.
+ * @returns the TypeScript type source.
+ */
+function renderComposed(target, omit, relations, imports, indent = "") {
+  let source = `${capitalizeFirstLetter(target.name)}Insert`;
+  addImport(imports, target.modulePath, source);
+
+  if (omit.length) {
+    source = `Omit<${source}, ${Array.from(new Set(omit), quote).join(" | ")}>`;
+  }
+  if (relations.length) {
+    source += ` & {\n`;
+    for (const relation of relations) {
+      const type = renderRelated(relation, imports, `${indent}  `);
+      source += relation.optional
+        ? `${indent}  ${relation.name}?: ${type} | null;\n`
+        : `${indent}  ${relation.name}: ${type};\n`;
+    }
+    source += `${indent}}`;
+  }
+  return source;
+}
+
+/**
+ * The function `renderRelated` renders the type of a relation: the composed type of the related
+ * table without the keys of the foreign keys it holds, in an array for "many" relations.
+ */
+function renderRelated(relation, imports, indent) {
+  const omit = [...relation.omit, ...relation.relations.flatMap((nested) => nested.ownerOmit)];
+  const source = renderComposed(relation.target, omit, relation.relations, imports, indent);
+  if (relation.kind !== "many") return source;
+  return /^\w+$/.test(source) ? `${source}[]` : `Array<${source}>`;
+}
+
+/**
+ * The function `renderRelations` renders the types of the tables of a module composed with each
+ * of their relations, e.g. `OrderWithItems` for the orders with their items.
+ * @param tables - The tables described by `describeRelations`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderRelations(tables, context) {
+  const imports = new Map();
+  const types = [];
+
+  for (const table of tables) {
+    for (const relation of table.relations) {
+      const name = capitalizeFirstLetter(`${table.name}With${capitalizeFirstLetter(relation.name)}`);
+      const source = renderComposed(table, relation.ownerOmit, [relation], imports);
+      types.push(`export type ${name} = ${source};\n`);
+    }
+  }
+
+  return renderImports(imports, context.modulePath) + types.join("\n");
+}
+
+/**
+ * The function `renderComposites` renders the interfaces of the composite types of a module.
+ * @param composites - The composite types described by `describeComposites`, in declaration order.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderComposites(composites, context) {
+  const imports = new Map();
+  const interfaces = composites.map((composite) =>
+    renderInterface(capitalizeFirstLetter(composite.name), composite.fields, imports, context)
+  );
+
+  return renderImports(imports, context.modulePath) + interfaces.join("\n");
+}
+
+/**
+ * The function `renderFunctions` renders the argument and result types of the functions of a
+ * module, e.g. `CreateOrderArgs` and `CreateOrderResult`. The rows of a function returning a set
+ * of rows are named like `CreateOrderResultRow`, and functions returning nothing have no result
+ * type.
+ * @param functions - The functions described by `describeFunctions`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderFunctions(functions, context) {
+  const imports = new Map();
+  const types = [];
+
+  for (const fn of functions) {
+    const name = capitalizeFirstLetter(fn.name);
+    const doc = renderDocComment(fn.description);
+    types.push(doc + renderInterface(`${name}Args`, fn.args.fields, imports, context));
+
+    if (!fn.result) continue;
+    const { isSet, isRow, fields } = fn.result;
+    if (isRow && isSet) {
+      types.push(renderInterface(`${name}ResultRow`, fields, imports, context));
+      types.push(`export type ${name}Result = ${name}ResultRow[];\n`);
+    } else if (isRow) {
+      types.push(renderInterface(`${name}Result`, fields, imports, context));
+    } else {
+      const value = renderValue(fields[0], imports, context);
+      const type = isSet ? (/[\s|&]/.test(value) ? `(${value})[]` : `${value}[]`) : value;
+      types.push(`export type ${name}Result = ${type};\n`);
+    }
+  }
+
+  return renderImports(imports, context.modulePath) + types.join("\n");
+}
+
+/**
+ * The function `renderEnums` renders the enum types of a module as union types.
+ * @param enums - The enum types described by `describeEnums`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderEnums(enums, context) {
+  return enums
+    .map(
+      ({ name, values }) =>
+        `export type ${capitalizeFirstLetter(name)} = ${values.map(quote).join(" | ")};\n`
+    )
+    .join("\n");
+}
+
+module.exports = {
+  name: "typescript",
+  extension: ".ts",
+  renderTable,
+  renderComposites,
+  renderEnums,
+  renderFunctions,
+  renderRelations,
+  renderIndex: renderBarrel,
+  renderHeader: renderCommentHeader,
+};
@@ -0,0 +1,455 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/*
+ * The Valibot emitter. Checks are actions in a `v.pipe()`, dates and times are ISO 8601 strings like
+ * with Zod 4, and checks on several columns are forwarded to the first column they reference.
+ */
+
+const { capitalizeFirstLetter, quote, toRegExpLiteral } = require("../utils.js");
+const {
+  LOCAL_DATETIME_PATTERN,
+  INET_PATTERN,
+  getTimePattern,
+  getRangePattern,
+  getDecimalPattern,
+  applyOverrides,
+  relativeModulePath,
+  addImport,
+  renderBarrel,
+  renderReferences,
+  renderForm,
+  renderDocComment,
+  renderCommentHeader,
+  renderMessageModule,
+  getIsoDefault,
+} = require("./helpers.js");
+
+/**
+ * The function `renderAction` renders a check or constraint of a type as a Valibot action.
+ * @param check - A check, see `toConstraints`.
+ * @param type - The type the check applies to, see `describeType`.
+ * @returns the action source, e.g. `v.minLength(1, 'Name is required')`.
+ */
+function renderAction(check, type) {
+  const message = quote(check.message);
+  const isNumber = type.kind === "number" || type.kind === "bigint";
+  const value = type.kind === "bigint" ? `${check.value}n` : check.value;
+  switch (check.kind) {
+    case "min":
+      return `v.${isNumber ? "minValue" : "minLength"}(${value}, ${message})`;
+    case "max":
+      return `v.${isNumber ? "maxValue" : "maxLength"}(${value}, ${message})`;
+    case "gt":
+      return `v.gtValue(${value}, ${message})`;
+    case "lt":
+      return `v.ltValue(${value}, ${message})`;
+    case "length":
+      return `v.length(${value}, ${message})`;
+    case "regex":
+      return `v.regex(${toRegExpLiteral(check.pattern, check.flags)}, ${message})`;
+    case "refine":
+      return `v.check((value) => ${check.test}, ${message})`;
+    default:
+      throw new Error(`Unknown check ${check.kind}`);
+  }
+}
+
+/**
+ * The function `renderBaseType` renders a type as a Valibot schema and the actions that validate
+ * its format, without its checks and overrides.
+ * @param type - A type, see `describeType`.
+ * @param imports - The imports of the file, see `addImport`.
+ * @param context - The emitter context, see `generate`.
+ * @returns an object `{ schema, actions }` of sources.
+ */
+function renderBaseType(type, imports, context) {
+  const message = quote(type.message);
+  const string = (action) => ({ schema: "v.string()", actions: [action] });
+  const regex = (pattern, flags) => string(`v.regex(${toRegExpLiteral(pattern, flags)}, ${message})`);
+
+  switch (type.kind) {
+    case "composite":
+      addImport(imports, type.modulePath, `${type.name}Schema`);
+      return { schema: `${type.name}Schema`, actions: [] };
+    case "enum":
+      if (type.name) {
+        addImport(imports, type.modulePath, `${type.name}Schema`);
+        return { schema: `${type.name}Schema`, actions: [] };
+      }
+      return { schema: `v.picklist([${type.values.map(quote).join(", ")}])`, actions: [] };
+    case "array":
+      return { schema: `v.array(${renderType(type.element, imports, context)})`, actions: [] };
+    case "string":
+      return { schema: "v.string()", actions: [] };
+    case "number":
+      return { schema: "v.number()", actions: type.integer ? ["v.integer()"] : [] };
+    case "bigint":
+      return { schema: "v.bigint()", actions: [] };
+    case "decimal":
+      return regex(getDecimalPattern(type));
+    case "boolean":
+      return { schema: "v.boolean()", actions: [] };
+    case "timestamp":
+      return type.withTimeZone
+        ? string(`v.isoTimestamp(${message})`)
+        : regex(LOCAL_DATETIME_PATTERN);
+    case "date":
+      return string(`v.isoDate(${message})`);
+    case "time":
+      return regex(getTimePattern(type.withTimeZone));
+    case "uuid":
+      return string(`v.uuid(${message})`);
+    case "inet":
+      return regex(INET_PATTERN);
+    case "bytes":
+      return { schema: "v.instance(Uint8Array)", actions: [] };
+    case "range":
+      return regex(getRangePattern(type.multirange), "i");
+    default:
+      // JSON values and unsupported types
+      return { schema: "v.unknown()", actions: [] };
+  }
+}
+
+/**
+ * The function `pipe` renders a schema followed by actions.
+ */
+function pipe(schema, actions) {
+  return actions.length ? `v.pipe(${[schema, ...actions].join(", ")})` : schema;
+}
+
+/**
+ * The function `renderType` renders a type as a Valibot schema, and records the enum and composite
+ * type schemas it imports. Overrides replace the schema with its format and checks, the CHECK
+ * constraints are piped after them.
+ * @param type - A type, see `describeType`.
+ * @param imports - The imports of the file, see `addImport`.
+ * @param context - The emitter context, see `generate`.
+ * @param [metadata] - Metadata actions piped last, like `v.description()`.
+ * @returns the Valibot schema source.
+ */
+function renderType(type, imports, context, metadata = []) {
+  const { schema, actions } = renderBaseType(type, imports, context);
+  const checks = type.checks.map((check) => renderAction(check, type));
+  const constraints = type.constraints.map((check) => renderAction(check, type));
+
+  const overrides = context.getOverrides(type);
+  if (!overrides.length) {
+    return pipe(schema, [...actions, ...checks, ...constraints, ...metadata]);
+  }
+  const source = applyOverrides(pipe(schema, [...actions, ...checks]), overrides, type.column);
+  return pipe(source, [...constraints, ...metadata]);
+}
+
+/**
+ * The function `renderValue` renders the schema of a field, with its default, optional and
+ * nullable modifiers and its description as `v.description()`.
+ * @param field - A field, see `describeTable`.
+ * @param imports - The imports of the file, see `addImport`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the Valibot schema source.
+ */
+function renderValue(field, imports, context) {
+  const metadata = field.description ? [`v.description(${quote(field.description)})`] : [];
+  let source = renderType(field.type, imports, context, metadata);
+  if (field.default !== undefined) {
+    source = `v.optional(${source}, ${getIsoDefault(field.default, field.type)})`;
+  } else if (field.nullable && field.optional) {
+    source = `v.nullish(${source})`;
+  } else if (field.nullable) {
+    source = `v.nullable(${source})`;
+  } else if (field.optional) {
+    source = `v.optional(${source})`;
+  }
+  return source;
+}
+
+/**
+ * The function `renderField` renders a field of an object schema, with the description of the
+ * field as a JSDoc comment on the key, see `renderValue`.
+ * @returns the source of the object entry.
+ */
+function renderField(field, imports, context) {
+  const source = renderValue(field, imports, context);
+  return `${renderDocComment(field.description, "  ")}  ${field.key}: ${source},`;
+}
+
+/**
+ * The function `renderObject` renders an object schema with the given fields.
+ */
+function renderObject(fields, imports, context) {
+  if (!fields.length) return `v.object({})`;
+  const entries = fields.map((field) => renderField(field, imports, context));
+  return `v.object({\n${entries.join("\n")}\n})`;
+}
+
+/**
+ * The function `renderImports` renders the import statements of a generated file.
+ * @param imports - A map of module paths to sets of imported names.
+ * @param modulePath - The path of the module being rendered, see `getModulePath`.
+ * @returns the import statements followed by a blank line.
+ */
+function renderImports(imports, modulePath) {
+  let source = `import * as v from 'valibot';\n`;
+  for (const module of Array.from(imports.keys()).sort()) {
+    if (module === modulePath) continue;
+    const names = Array.from(imports.get(module)).sort().join(", ");
+    source += `import { ${names} } from '${relativeModulePath(modulePath, module)}';\n`;
+  }
+  return source + `\n`;
+}
+
+/**
+ * The function `renderSelect` renders the schema of the rows read from a relation.
+ */
+function renderSelect(table, imports, context) {
+  const { name } = table;
+
+  let schema = renderDocComment(table.description);
+  schema += `export const ${name}SelectSchema = v.object({\n`;
+  schema += table.select.fields.map((field) => renderField(field, imports, context)).join("\n");
+  schema += `\n});\n`;
+  schema += `\nexport type ${capitalizeFirstLetter(name)}Select = v.InferOutput<typeof ${name}SelectSchema>;\n`;
+
+  return schema;
+}
+
+/**
+ * The function `renderInsert` renders the insert and update schemas of a table or an updatable
+ * view. Checks on several columns are piped after the object, and the update schema spreads the
+ * entries of the unchecked one made partial, without the fields the role may not update, and
+ * requires the key columns. The unchecked object is
+ * exported for the relation schemas.
+ */
+function renderInsert(table, imports, context) {
+  const { name, insert } = table;
+  const { objectChecks } = insert;
+
+  let schema = ``;
+  const entries = insert.fields.map((field) => renderField(field, imports, context));
+  if (insert.identity) {
+    entries.unshift(renderField(insert.identity, imports, context));
+  }
+
+  for (const check of insert.untranslated) {
+    schema += `// CHECK constraint ${check.name} was not translated (${check.reason}):\n//   ${check.definition}\n`;
+  }
+  if (insert.untranslated.length) schema += `\n`;
+
+  const objectName = objectChecks.length ? `${name}InsertObject` : `${name}InsertSchema`;
+  const checks = objectChecks.map(
+    (check) =>
+      `  // ${check.name}\n` +
+      `  v.forward(v.check((data) => !(${check.violation}), ${quote(check.message)}), [${quote(check.key)}])`
+  );
+  const withChecks = (source) =>
+    checks.length
+      ? `v.pipe(\n  ${source.replace(/\n/g, "\n  ")},\n${checks.join(",\n")}\n)`
+      : source;
+
+  schema += renderDocComment(table.description);
+  schema += `export const ${objectName} = v.object({\n`;
+  schema += entries.join("\n");
+  schema += `\n});\n`;
+
+  if (objectChecks.length) {
+    schema += `\n${renderDocComment(table.description)}`;
+    schema += `export const ${name}InsertSchema = ${withChecks(objectName)};\n`;
+  }
+
+  const { omit } = insert.update;
+  let update = omit.length
+    ? `v.partial(v.omit(${objectName}, [${omit.map(quote).join(", ")}]))`
+    : `v.partial(${objectName})`;
+  if (insert.update.keys.length) {
+    update = `v.object({\n  ...${update}.entries,\n`;
+    for (const field of insert.update.keys) {
+      update += `${renderField(field, imports, context)}\n`;
+    }
+    update += `})`;
+  }
+  schema += `\nexport const ${name}UpdateSchema = ${withChecks(update)};\n`;
+
+  const typeName = capitalizeFirstLetter(name);
+  schema += `\nexport type ${typeName}Insert = v.InferOutput<typeof ${name}InsertSchema>;\n`;
+  schema += `\nexport type ${typeName}Update = v.InferOutput<typeof ${name}UpdateSchema>;\n`;
+
+  return schema;
+}
+
+/**
+ * The function `renderTable` renders the schemas of a relation.
+ * @param table - A relation described by `describeTable`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderTable(table, context) {
+  const imports = new Map();
+  let schema = ``;
+
+  if (table.select) {
+    schema += renderSelect(table, imports, context);
+  }
+  if (table.insert) {
+    schema += (schema ? "\n" : "") + renderInsert(table, imports, context);
+  }
+  if (table.references.length) {
+    schema += `\n${renderReferences(table)}`;
+  }
+  if (table.form) {
+    schema += `\n${renderForm(table, getIsoDefault)}`;
+  }
+
+  return renderImports(imports, table.modulePath) + schema;
+}
+
+/**
+ * The function `renderComposed` renders the insert object of a table composed with the schemas of
+ * related tables: without the omitted keys and with the entries of the relations. The checks on
+ * several columns are not applied, since they are piped after the object.
+ * @param target - The table, see `describeRelations`.
+ * @param omit - The keys left out of the insert object.
+ * @param relations - The relations the object is extended with.
+ * @param imports - The imports of the file, see `addImport`.
+ * @param [indent] - The indentation of the line the schema starts on.
+ * @returns the Valibot schema source.
+ */
+function renderComposed(target, omit, relations, imports, indent = "") {
+  const { name, modulePath, hasObjectChecks } = target;
+  let source = hasObjectChecks ? `${name}InsertObject` : `${name}InsertSchema`;
+  addImport(imports, modulePath, source);
+
+  if (omit.length) {
+    source = `v.omit(${source}, [${Array.from(new Set(omit), quote).join(", ")}])`;
+  }
+  if (relations.length) {
+    let entries = `${indent}  ...${source}.entries,\n`;
+    for (const relation of relations) {
+      const related = renderRelated(relation, imports, `${indent}  `);
+      entries += `${indent}  ${relation.name}: ${related},\n`;
+    }
+    source = `v.object({\n${entries}${indent}})`;
+  }
+  return source;
+}
+
+/**
+ * The function `renderRelated` renders the schema of a relation: the composed schema of the related
+ * table without the keys of the foreign keys it holds, in an array for "many" relations.
+ */
+function renderRelated(relation, imports, indent) {
+  const omit = [...relation.omit, ...relation.relations.flatMap((nested) => nested.ownerOmit)];
+  const source = renderComposed(relation.target, omit, relation.relations, imports, indent);
+  if (relation.kind === "many") return `v.array(${source})`;
+  return relation.optional ? `v.nullish(${source})` : source;
+}
+
+/**
+ * The function `renderRelations` renders the schemas of the tables of a module composed with each
+ * of their relations, e.g. `orderWithItemsSchema` for the orders with their items.
+ * @param tables - The tables described by `describeRelations`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderRelations(tables, context) {
+  const imports = new Map();
+  let schema = ``;
+
+  for (const table of tables) {
+    for (const relation of table.relations) {
+      const name = `${table.name}With${capitalizeFirstLetter(relation.name)}`;
+      const source = renderComposed(table, relation.ownerOmit, [relation], imports);
+      schema += `export const ${name}Schema = ${source};\n`;
+      schema += `\nexport type ${capitalizeFirstLetter(name)} = v.InferOutput<typeof ${name}Schema>;\n\n`;
+    }
+  }
+
+  return renderImports(imports, context.modulePath) + schema.trimEnd() + `\n`;
+}
+
+/**
+ * The function `renderComposites` renders the schemas of the composite types of a module.
+ * @param composites - The composite types described by `describeComposites`, in declaration order.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderComposites(composites, context) {
+  const imports = new Map();
+  let schema = ``;
+
+  for (const composite of composites) {
+    const schemaName = `${composite.name}Schema`;
+    schema += `export const ${schemaName} = v.object({\n`;
+    schema += composite.fields.map((field) => renderField(field, imports, context)).join("\n");
+    schema += `\n});\n`;
+    schema += `\nexport type ${capitalizeFirstLetter(composite.name)} = v.InferOutput<typeof ${schemaName}>;\n\n`;
+  }
+
+  return renderImports(imports, context.modulePath) + schema.trimEnd() + `\n`;
+}
+
+/**
+ * The function `renderFunctions` renders the argument and result schemas of the functions of a
+ * module, e.g. `createOrderArgsSchema` and `createOrderResultSchema`. The result of a function
+ * returning a set is an array, and functions returning nothing have no result schema.
+ * @param functions - The functions described by `describeFunctions`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderFunctions(functions, context) {
+  const imports = new Map();
+  let schema = ``;
+
+  for (const fn of functions) {
+    const typeName = capitalizeFirstLetter(fn.name);
+    const args = renderObject(fn.args.fields, imports, context);
+    schema += renderDocComment(fn.description);
+    schema += `export const ${fn.name}ArgsSchema = ${args};\n`;
+    schema += `\nexport type ${typeName}Args = v.InferOutput<typeof ${fn.name}ArgsSchema>;\n\n`;
+
+    if (fn.result) {
+      const { isSet, isRow, fields } = fn.result;
+      let result = isRow
+        ? renderObject(fields, imports, context)
+        : renderValue(fields[0], imports, context);
+      if (isSet) result = `v.array(${result})`;
+      schema += `export const ${fn.name}ResultSchema = ${result};\n`;
+      schema += `\nexport type ${typeName}Result = v.InferOutput<typeof ${fn.name}ResultSchema>;\n\n`;
+    }
+  }
+
+  return renderImports(imports, context.modulePath) + schema.trimEnd() + `\n`;
+}
+
+/**
+ * The function `renderEnums` renders the schemas and union types of the enum types of a module.
+ * @param enums - The enum types described by `describeEnums`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderEnums(enums, context) {
+  let schema = `import * as v from 'valibot';\n\n`;
+
+  for (const { name, values } of enums) {
+    schema += `export const ${name}Schema = v.picklist([${values.map(quote).join(", ")}]);\n`;
+    schema += `\nexport type ${capitalizeFirstLetter(name)} = v.InferOutput<typeof ${name}Schema>;\n\n`;
+  }
+
+  return schema.trimEnd() + `\n`;
+}
+
+module.exports = {
+  name: "valibot",
+  extension: ".ts",
+  renderTable,
+  renderComposites,
+  renderEnums,
+  renderFunctions,
+  renderRelations,
+  renderIndex: renderBarrel,
+  renderMessages: renderMessageModule,
+  renderHeader: renderCommentHeader,
+};
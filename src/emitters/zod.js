@@ -0,0 +1,529 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/*
+ * The Zod emitters. Zod 3 is the default target: dates and times are `Date` objects, and the types
+ * Zod 3 can not validate on its own use the helpers of `types.ts`, which is written next to the
+ * schemas. Zod 4 uses its built-in string formats instead, like `z.uuid()` and `z.iso.date()`, so
+ * dates and times are ISO 8601 strings and no helpers are needed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { capitalizeFirstLetter, quote, toRegExpLiteral } = require("../utils.js");
+const { hasCustomMessages } = require("../messages.js");
+const {
+  INET_PATTERN,
+  getTimePattern,
+  getRangePattern,
+  getDecimalPattern,
+  applyOverrides,
+  relativeModulePath,
+  addImport,
+  renderBarrel,
+  renderReferences,
+  renderForm,
+  renderDocComment,
+  renderCommentHeader,
+  renderMessageModule,
+  getIsoDefault,
+} = require("./helpers.js");
+
+const typesFilePath = path.resolve(__dirname, "..", "types.ts.txt");
+
+/* The custom types exported by `types.ts`. */
+const CUSTOM_TYPES = [
+  "zodUtcDate",
+  "zodDateOnly",
+  "zodUUID",
+  "zodJson",
+  "zodTime",
+  "zodInet",
+  "zodRange",
+  "zodDecimal",
+];
+
+/**
+ * The function `renderCheck` renders a check or constraint of a type as a Zod method.
+ * @param check - A check, see `toConstraints`.
+ * @param type - The type the check applies to, see `describeType`.
+ * @returns the method source, e.g. `.min(1, 'Name is required')`.
+ */
+function renderCheck(check, type) {
+  const message = quote(check.message);
+  switch (check.kind) {
+    case "regex":
+      return `.regex(${toRegExpLiteral(check.pattern, check.flags)}, ${message})`;
+    case "refine":
+      return `.refine((value) => ${check.test}, ${message})`;
+    default:
+      return `.${check.kind}(${type.kind === "bigint" ? `${check.value}n` : check.value}, ${message})`;
+  }
+}
+
+/**
+ * The function `renderZod4Type` renders the types whose Zod 4 schema differs from the Zod 3 one.
+ * @param type - A type, see `describeType`.
+ * @returns the Zod type source, or undefined for the other types.
+ */
+function renderZod4Type(type) {
+  const message = quote(type.message);
+  switch (type.kind) {
+    case "number":
+      return type.integer ? "z.int()" : "z.number()";
+    case "decimal":
+      return `z.string().regex(${toRegExpLiteral(getDecimalPattern(type))}, ${message})`;
+    case "timestamp":
+      return `z.iso.datetime({ ${type.withTimeZone ? "offset" : "local"}: true, error: ${message} })`;
+    case "date":
+      return `z.iso.date(${message})`;
+    case "time":
+      return type.withTimeZone
+        ? `z.string().regex(${toRegExpLiteral(getTimePattern(true))}, ${message})`
+        : `z.iso.time(${message})`;
+    case "uuid":
+      return `z.uuid(${message})`;
+    case "json":
+      return "z.json()";
+    case "inet":
+      return `z.union([z.ipv4(), z.ipv6(), z.cidrv4(), z.cidrv6()], { error: ${message} })`;
+    case "range":
+      return `z.string().regex(${toRegExpLiteral(getRangePattern(type.multirange), "i")}, ${message})`;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * The function `renderBaseType` renders a type as a Zod 3 schema, without its checks and overrides.
+ * Zod 4 uses the same schemas for the types `renderZod4Type` does not render.
+ * @param type - A type, see `describeType`.
+ * @param imports - The imports of the file, see `addImport`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the Zod type source.
+ */
+function renderBaseType(type, imports, context) {
+  // The helpers of `types.ts` have messages of their own, replaced by the custom ones
+  const message = hasCustomMessages(context.options) ? quote(type.message) : undefined;
+  const helper = (name, ...args) => {
+    args = [quote(type.label), ...args, message];
+    while (args[args.length - 1] === undefined) args.pop();
+    return `${name}(${args.map(String).join(", ")})`;
+  };
+
+  switch (type.kind) {
+    case "composite":
+      addImport(imports, type.modulePath, `${type.name}Schema`);
+      return `${type.name}Schema`;
+    case "enum":
+      if (type.name) {
+        addImport(imports, type.modulePath, `${type.name}Schema`);
+        return `${type.name}Schema`;
+      }
+      return `z.enum([${type.values.map(quote).join(", ")}])`;
+    case "array":
+      return `z.array(${renderType(type.element, imports, context)})`;
+    case "string":
+      return "z.string()";
+    case "number":
+      return "z.number()";
+    case "bigint":
+      return "z.bigint()";
+    case "decimal":
+      return helper("zodDecimal", type.precision, type.scale);
+    case "boolean":
+      return "z.boolean()";
+    case "timestamp":
+      return type.withTimeZone ? helper("zodUtcDate") : "z.date()";
+    case "date":
+      return helper("zodDateOnly");
+    case "time":
+      return helper("zodTime", type.withTimeZone || undefined);
+    case "uuid":
+      return helper("zodUUID");
+    case "json":
+      return helper("zodJson");
+    case "inet":
+      return helper("zodInet");
+    case "bytes":
+      return "z.instanceof(Uint8Array)";
+    case "range":
+      return helper("zodRange", type.multirange || undefined);
+    default:
+      return "z.unknown()";
+  }
+
+}
+
+/**
+ * The function `renderType` renders a type as a Zod schema, and records the custom types and
+ * enum and composite type schemas it imports.
+ * @param type - A type, see `describeType`.
+ * @param imports - The imports of the file, see `addImport`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the Zod type source.
+ */
+function renderType(type, imports, context) {
+  const isZod4 = context.version === 4;
+
+  let source = (isZod4 && renderZod4Type(type)) || renderBaseType(type, imports, context);
+  source += type.checks.map((check) => renderCheck(check, type)).join("");
+  source = applyOverrides(source, context.getOverrides(type), type.column);
+  source += type.constraints.map((check) => renderCheck(check, type)).join("");
+
+  for (const customType of isZod4 ? [] : CUSTOM_TYPES) {
+    if (source.includes(`${customType}(`)) addImport(imports, "types", customType);
+  }
+  return source;
+}
+
+/**
+ * The function `renderValue` renders the schema of a field, with its default, optional and
+ * nullable modifiers and its description as `.describe()`.
+ * @param field - A field, see `describeTable`.
+ * @param imports - The imports of the file, see `addImport`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the Zod schema source.
+ */
+function renderValue(field, imports, context) {
+  let source = renderType(field.type, imports, context);
+  if (field.default !== undefined) {
+    const value =
+      context.version === 4 ? getIsoDefault(field.default, field.type) : field.default;
+    source += `.default(${value})`;
+  }
+  if (field.nullable && field.optional) {
+    source += `.nullish()`;
+  } else if (field.nullable) {
+    source += `.nullable()`;
+  } else if (field.optional) {
+    source += `.optional()`;
+  }
+  if (field.description) {
+    source += `.describe(${quote(field.description)})`;
+  }
+  return source;
+}
+
+/**
+ * The function `renderField` renders a field of an object schema, with the description of the
+ * field as a JSDoc comment on the key, see `renderValue`.
+ * @returns the source of the object entry.
+ */
+function renderField(field, imports, context) {
+  const source = renderValue(field, imports, context);
+  return `${renderDocComment(field.description, "  ")}  ${field.key}: ${source},`;
+}
+
+/**
+ * The function `renderObject` renders an object schema with the given fields.
+ */
+function renderObject(fields, imports, context) {
+  if (!fields.length) return `z.object({})`;
+  const entries = fields.map((field) => renderField(field, imports, context));
+  return `z.object({\n${entries.join("\n")}\n})`;
+}
+
+/**
+ * The function `renderImports` renders the import statements of a generated file, the `types.ts`
+ * helpers of Zod 3 first. Modules are only imported when something is imported from them.
+ * @param imports - A map of module paths to sets of imported names.
+ * @param context - The emitter context, see `generate`. Imports are relative to its module path.
+ * @returns the import statements followed by a blank line.
+ */
+function renderImports(imports, context) {
+  const { modulePath } = context;
+  const names = (module) => Array.from(imports.get(module) || []).sort().join(", ");
+
+  let source = `import { z } from 'zod';\n`;
+  if (names("types")) {
+    source += `import { ${names("types")} } from '${relativeModulePath(modulePath, "types")}';\n`;
+  }
+  for (const module of Array.from(imports.keys()).sort()) {
+    if (module === "types" || module === modulePath) continue;
+    source += `import { ${names(module)} } from '${relativeModulePath(modulePath, module)}';\n`;
+  }
+  return source + `\n`;
+}
+
+/**
+ * The function `renderSelect` renders the schema of the rows read from a relation.
+ */
+function renderSelect(table, imports, context) {
+  const { name } = table;
+
+  let schema = renderDocComment(table.description);
+  schema += `export const ${name}SelectSchema = z.object({\n`;
+  schema += table.select.fields.map((field) => renderField(field, imports, context)).join("\n");
+  schema += `\n});\n`;
+  schema += `\nexport type ${capitalizeFirstLetter(name)}Select = z.infer<typeof ${name}SelectSchema>;\n`;
+
+  return schema;
+}
+
+/**
+ * The function `renderInsert` renders the insert and update schemas of a table or an updatable
+ * view. Checks on several columns refine the object, and the update schema makes the unrefined
+ * one partial, without the fields the role may not update, and requires the key columns. Zod 4
+ * keeps the defaults of partial fields, so its update object is rendered again without them. The
+ * unrefined object and the refinement are exported for the relation schemas.
+ */
+function renderInsert(table, imports, context) {
+  const { name, insert } = table;
+  const { objectChecks } = insert;
+
+  let schema = ``;
+  const entries = insert.fields.map((field) => renderField(field, imports, context));
+  if (insert.identity) {
+    entries.unshift(renderField(insert.identity, imports, context));
+  }
+
+  for (const check of insert.untranslated) {
+    schema += `// CHECK constraint ${check.name} was not translated (${check.reason}):\n//   ${check.definition}\n`;
+  }
+  if (insert.untranslated.length) schema += `\n`;
+
+  const objectName = objectChecks.length ? `${name}InsertObject` : `${name}InsertSchema`;
+  const refine = objectChecks.length ? `.superRefine(${name}CheckConstraints)` : "";
+
+  schema += renderDocComment(table.description);
+  schema += `export const ${objectName} = z.object({\n`;
+  schema += entries.join("\n");
+  schema += `\n});\n`;
+
+  if (objectChecks.length) {
+    schema += `\n${renderDocComment(table.description)}`;
+    schema += `export const ${name}InsertSchema = ${objectName}${refine};\n`;
+  }
+
+  const { omit } = insert.update;
+  const fields = [insert.identity, ...insert.fields].filter(Boolean);
+  let update = omit.length
+    ? `${objectName}.omit({ ${omit.map((key) => `${key}: true`).join(", ")} }).partial()`
+    : `${objectName}.partial()`;
+  if (context.version === 4 && fields.some((field) => field.default !== undefined)) {
+    // Zod 4 keeps the defaults of partial fields, which would overwrite the values of the row
+    const updatable = fields
+      .filter((field) => !omit.includes(field.key))
+      .map((field) => ({ ...field, default: undefined }));
+    update = `${renderObject(updatable, imports, context)}.partial()`;
+  }
+  if (insert.update.keys.length) {
+    const keys = insert.update.keys.map((field) => renderField(field, imports, context));
+    update += `.extend({\n${keys.join("\n")}\n})`;
+  }
+  schema += `\nexport const ${name}UpdateSchema = ${update}${refine};\n`;
+
+  if (objectChecks.length) {
+    schema += `\nexport function ${name}CheckConstraints(data: Partial<z.infer<typeof ${objectName}>>, ctx: z.RefinementCtx) {\n`;
+    for (const check of objectChecks) {
+      schema += `  // ${check.name}\n`;
+      schema += `  if (${check.violation}) {\n`;
+      const code = context.version === 4 ? "'custom'" : "z.ZodIssueCode.custom";
+      schema += `    ctx.addIssue({ code: ${code}, path: [${quote(check.key)}], message: ${quote(check.message)} });\n`;
+      schema += `  }\n`;
+    }
+    schema += `}\n`;
+  }
+
+  const typeName = capitalizeFirstLetter(name);
+  schema += `\nexport type ${typeName}Insert = z.infer<typeof ${name}InsertSchema>;\n`;
+  schema += `\nexport type ${typeName}Update = z.infer<typeof ${name}UpdateSchema>;\n`;
+
+  return schema;
+}
+
+/**
+ * The function `renderTable` renders the schemas of a relation.
+ * @param table - A relation described by `describeTable`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderTable(table, context) {
+  const imports = new Map();
+  let schema = ``;
+
+  if (table.select) {
+    schema += renderSelect(table, imports, context);
+  }
+  if (table.insert) {
+    schema += (schema ? "\n" : "") + renderInsert(table, imports, context);
+  }
+  if (table.references.length) {
+    schema += `\n${renderReferences(table)}`;
+  }
+  if (table.form) {
+    schema += `\n${renderForm(table, context.version === 4 ? getIsoDefault : undefined)}`;
+  }
+
+  return renderImports(imports, context) + schema;
+}
+
+/**
+ * The function `renderComposed` renders the insert schema of a table composed with the schemas of
+ * related tables: without the omitted keys, extended with the relations, and refined with the
+ * checks on several columns of the table.
+ * @param target - The table, see `describeRelations`.
+ * @param omit - The keys left out of the insert schema.
+ * @param relations - The relations the schema is extended with.
+ * @param imports - The imports of the file, see `addImport`.
+ * @param [indent] - The indentation of the line the schema starts on.
+ * @returns the Zod schema source.
+ */
+function renderComposed(target, omit, relations, imports, indent = "") {
+  const { name, modulePath, hasObjectChecks } = target;
+  let source = hasObjectChecks ? `${name}InsertObject` : `${name}InsertSchema`;
+  addImport(imports, modulePath, source);
+
+  if (omit.length) {
+    source += `.omit({ ${Array.from(new Set(omit), (key) => `${key}: true`).join(", ")} })`;
+  }
+  if (relations.length) {
+    source += `.extend({\n`;
+    for (const relation of relations) {
+      const related = renderRelated(relation, imports, `${indent}  `);
+      source += `${indent}  ${relation.name}: ${related},\n`;
+    }
+    source += `${indent}})`;
+  }
+  if (hasObjectChecks) {
+    addImport(imports, modulePath, `${name}CheckConstraints`);
+    source += `.superRefine(${name}CheckConstraints)`;
+  }
+  return source;
+}
+
+/**
+ * The function `renderRelated` renders the schema of a relation: the composed schema of the related
+ * table without the keys of the foreign keys it holds, in an array for "many" relations.
+ */
+function renderRelated(relation, imports, indent) {
+  const omit = [...relation.omit, ...relation.relations.flatMap((nested) => nested.ownerOmit)];
+  const source = renderComposed(relation.target, omit, relation.relations, imports, indent);
+  if (relation.kind === "many") return `z.array(${source})`;
+  return relation.optional ? `${source}.nullish()` : source;
+}
+
+/**
+ * The function `renderRelations` renders the schemas of the tables of a module composed with each
+ * of their relations, e.g. `orderWithItemsSchema` for the orders with their items.
+ * @param tables - The tables described by `describeRelations`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderRelations(tables, context) {
+  const imports = new Map();
+  let schema = ``;
+
+  for (const table of tables) {
+    for (const relation of table.relations) {
+      const name = `${table.name}With${capitalizeFirstLetter(relation.name)}`;
+      const source = renderComposed(table, relation.ownerOmit, [relation], imports);
+      schema += `export const ${name}Schema = ${source};\n`;
+      schema += `\nexport type ${capitalizeFirstLetter(name)} = z.infer<typeof ${name}Schema>;\n\n`;
+    }
+  }
+
+  return renderImports(imports, context) + schema.trimEnd() + `\n`;
+}
+
+/**
+ * The function `renderComposites` renders the schemas of the composite types of a module.
+ * @param composites - The composite types described by `describeComposites`, in declaration order.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderComposites(composites, context) {
+  const imports = new Map();
+  let schema = ``;
+
+  for (const composite of composites) {
+    const schemaName = `${composite.name}Schema`;
+    schema += `export const ${schemaName} = z.object({\n`;
+    schema += composite.fields.map((field) => renderField(field, imports, context)).join("\n");
+    schema += `\n});\n`;
+    schema += `\nexport type ${capitalizeFirstLetter(composite.name)} = z.infer<typeof ${schemaName}>;\n\n`;
+  }
+
+  return renderImports(imports, context) + schema.trimEnd() + `\n`;
+}
+
+/**
+ * The function `renderFunctions` renders the argument and result schemas of the functions of a
+ * module, e.g. `createOrderArgsSchema` and `createOrderResultSchema`. The result of a function
+ * returning a set is an array, and functions returning nothing have no result schema.
+ * @param functions - The functions described by `describeFunctions`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderFunctions(functions, context) {
+  const imports = new Map();
+  let schema = ``;
+
+  for (const fn of functions) {
+    const typeName = capitalizeFirstLetter(fn.name);
+    const args = renderObject(fn.args.fields, imports, context);
+    schema += renderDocComment(fn.description);
+    schema += `export const ${fn.name}ArgsSchema = ${args};\n`;
+    schema += `\nexport type ${typeName}Args = z.infer<typeof ${fn.name}ArgsSchema>;\n\n`;
+
+    if (fn.result) {
+      const { isSet, isRow, fields } = fn.result;
+      let result = isRow
+        ? renderObject(fields, imports, context)
+        : renderValue(fields[0], imports, context);
+      if (isSet) result = `z.array(${result})`;
+      schema += `export const ${fn.name}ResultSchema = ${result};\n`;
+      schema += `\nexport type ${typeName}Result = z.infer<typeof ${fn.name}ResultSchema>;\n\n`;
+    }
+  }
+
+  return renderImports(imports, context) + schema.trimEnd() + `\n`;
+}
+
+/**
+ * The function `renderEnums` renders the schemas and union types of the enum types of a module.
+ * @param enums - The enum types described by `describeEnums`.
+ * @param context - The emitter context, see `generate`.
+ * @returns the file contents.
+ */
+function renderEnums(enums, context) {
+  let schema = `import { z } from 'zod';\n\n`;
+
+  for (const { name, values } of enums) {
+    schema += `export const ${name}Schema = z.enum([${values.map(quote).join(", ")}]);\n`;
+    schema += `\nexport type ${capitalizeFirstLetter(name)} = z.infer<typeof ${name}Schema>;\n\n`;
+  }
+
+  return schema.trimEnd() + `\n`;
+}
+
+/**
+ * The function `createZodEmitter` returns the emitter of a Zod major version.
+ * @param version - 3 or 4.
+ */
+function createZodEmitter(version) {
+  const withVersion = (render) => (value, context) => render(value, { ...context, version });
+  return {
+    name: `zod${version}`,
+    extension: ".ts",
+    overrideKeys: [`zod${version}`, "zod"],
+    renderTable: withVersion(renderTable),
+    renderComposites: withVersion(renderComposites),
+    renderEnums,
+    renderFunctions: withVersion(renderFunctions),
+    renderRelations: withVersion(renderRelations),
+    renderIndex: renderBarrel,
+    renderMessages: renderMessageModule,
+    renderHeader: renderCommentHeader,
+    files: () =>
+      version === 3 ? [{ path: "types.ts", contents: fs.readFileSync(typesFilePath, "utf8") }] : [],
+  };
+}
+
+module.exports = {
+  zod3: createZodEmitter(3),
+  zod4: createZodEmitter(4),
+};
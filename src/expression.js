@@ -0,0 +1,346 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/*
+ * A small parser for SQL value expressions as they appear in CHECK constraints and column defaults,
+ * either as written in DDL or as deparsed by PostgreSQL (`pg_get_constraintdef`, `pg_get_expr`).
+ * Only the subset of the grammar needed to translate those expressions is supported.
+ */
+
+const { tokenize } = require("./lexer.js");
+
+/* Words that continue a multi word type name after a cast, e.g. `::character varying`. */
+const TYPE_NAME_WORDS = ["varying", "precision", "with", "without", "time", "zone"];
+
+/* Niladic functions that are written without parentheses. */
+const SQL_VALUE_FUNCTIONS = [
+  "current_date",
+  "current_time",
+  "current_timestamp",
+  "localtime",
+  "localtimestamp",
+  "current_user",
+  "session_user",
+  "current_role",
+];
+
+/* Binding power of binary operators, higher binds tighter. */
+const BINARY_PRECEDENCE = {
+  or: 1,
+  and: 2,
+  "=": 5,
+  "<>": 5,
+  "!=": 5,
+  "<": 5,
+  ">": 5,
+  "<=": 5,
+  ">=": 5,
+  like: 6,
+  ilike: 6,
+  "~": 7,
+  "~*": 7,
+  "!~": 7,
+  "!~*": 7,
+  "||": 7,
+  "+": 8,
+  "-": 8,
+  "*": 9,
+  "/": 9,
+  "%": 9,
+};
+
+/**
+ * The function `mergeOperators` joins adjacent punctuation tokens into operators, so `<`, `=`
+ * becomes `<=`. Parentheses, brackets, commas and dots are never merged.
+ * @param tokens - The tokens returned by `tokenize`.
+ * @returns a new token array.
+ */
+function mergeOperators(tokens) {
+  const merged = [];
+  const isOperatorChar = (token) =>
+    token.type === "punct" && /^[<>=!~*|+\-/%^&#@]$/.test(token.value);
+
+  for (const token of tokens) {
+    const previous = merged[merged.length - 1];
+    if (
+      previous &&
+      isOperatorChar(token) &&
+      previous.type === "punct" &&
+      /^[<>=!~*|+\-/%^&#@]+$/.test(previous.value) &&
+      previous.end === token.start
+    ) {
+      merged[merged.length - 1] = {
+        ...previous,
+        value: previous.value + token.value,
+        end: token.end,
+      };
+    } else {
+      merged.push(token);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * The function `parseExpression` parses a SQL value expression into a tree of nodes. Node types are
+ * "number", "string", "boolean", "null", "column", "function", "cast", "array", "binary", "unary",
+ * "isNull", "between", "in", "any" and "keyword". Number nodes keep the `text` they were written
+ * as, which has all the digits of numbers too large for a JavaScript number.
+ * @param sql - The expression source.
+ * @returns the root node of the expression.
+ */
+function parseExpression(sql) {
+  const tokens = mergeOperators(tokenize(sql));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const isWord = (word, offset = 0) => {
+    const token = tokens[position + offset];
+    return token && token.type === "word" && token.value.toLowerCase() === word;
+  };
+  const isPunct = (value) => {
+    const token = tokens[position];
+    return token && token.type === "punct" && token.value === value;
+  };
+  const expectPunct = (value) => {
+    if (!isPunct(value)) {
+      const token = peek();
+      throw new Error(
+        `Expected '${value}' but found '${token ? token.value : "end of expression"}'`
+      );
+    }
+    return next();
+  };
+
+  const parseList = (close) => {
+    const items = [];
+    if (isPunct(close)) {
+      next();
+      return items;
+    }
+    do {
+      items.push(parseBinary(0));
+    } while (isPunct(",") && next());
+    expectPunct(close);
+    return items;
+  };
+
+  const parseTypeName = () => {
+    const parts = [next().value.toLowerCase()];
+    while (isPunct(".")) {
+      next();
+      parts.length = 0;
+      parts.push(next().value.toLowerCase());
+    }
+    while (TYPE_NAME_WORDS.some((word) => isWord(word))) {
+      parts.push(next().value.toLowerCase());
+    }
+    if (isPunct("(")) {
+      next();
+      while (!isPunct(")")) next();
+      next();
+    }
+    let dataType = parts.join(" ");
+    while (isPunct("[")) {
+      next();
+      expectPunct("]");
+      dataType += "[]";
+    }
+    return dataType;
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    if (!token) throw new Error("Unexpected end of expression");
+
+    if (token.type === "number") {
+      return { type: "number", value: Number(token.value), text: token.value };
+    }
+    if (token.type === "string") return { type: "string", value: token.value };
+    if (token.type === "ident") return { type: "column", name: token.value };
+
+    if (token.type === "punct" && token.value === "(") {
+      const expression = parseBinary(0);
+      expectPunct(")");
+      return expression;
+    }
+    if (token.type === "punct" && (token.value === "-" || token.value === "+")) {
+      const operand = parseUnary();
+      if (token.value === "+") return operand;
+      if (operand.type === "number") {
+        return { type: "number", value: -operand.value, text: `-${operand.text}` };
+      }
+      return { type: "unary", operator: "-", operand };
+    }
+
+    if (token.type !== "word") {
+      throw new Error(`Unexpected '${token.value}' in expression`);
+    }
+
+    const word = token.value.toLowerCase();
+    if (word === "true" || word === "false") return { type: "boolean", value: word === "true" };
+    if (word === "null") return { type: "null" };
+    if (word === "not") return { type: "unary", operator: "not", operand: parseBinary(3) };
+    if (word === "array" && isPunct("[")) {
+      next();
+      return { type: "array", elements: parseList("]") };
+    }
+    if (SQL_VALUE_FUNCTIONS.includes(word)) return { type: "keyword", value: word };
+
+    let name = token.type === "word" ? word : token.value;
+    // Schema qualified function names and table qualified column names
+    while (isPunct(".")) {
+      next();
+      const part = next();
+      name = part.type === "ident" ? part.value : part.value.toLowerCase();
+    }
+    if (isPunct("(")) {
+      next();
+      return { type: "function", name, args: parseList(")") };
+    }
+    return { type: "column", name };
+  };
+
+  const parseUnary = () => {
+    let expression = parsePrimary();
+    // Casts bind tighter than any operator
+    while (isPunct("::") || isPunct("[")) {
+      if (isPunct("::")) {
+        next();
+        expression = { type: "cast", expression, dataType: parseTypeName() };
+      } else {
+        next();
+        const index = parseBinary(0);
+        expectPunct("]");
+        expression = { type: "function", name: "subscript", args: [expression, index] };
+      }
+    }
+    return expression;
+  };
+
+  const parseBinary = (minPrecedence) => {
+    let left = parseUnary();
+
+    for (;;) {
+      const token = peek();
+      if (!token) break;
+      const negated =
+        isWord("not") &&
+        ["between", "in", "like", "ilike"].some((word) => isWord(word, 1));
+
+      if (isWord("is") && minPrecedence <= 4) {
+        next();
+        const isNot = isWord("not") && next();
+        if (isWord("null")) {
+          next();
+          left = { type: "isNull", expression: left, negated: Boolean(isNot) };
+          continue;
+        }
+        if (isWord("true") || isWord("false")) {
+          const value = next().value.toLowerCase() === "true";
+          left = {
+            type: "binary",
+            operator: isNot ? "<>" : "=",
+            left,
+            right: { type: "boolean", value },
+          };
+          continue;
+        }
+        throw new Error("Unsupported IS expression");
+      }
+
+      if ((isWord("between") || (negated && isWord("between", 1))) && minPrecedence <= 6) {
+        if (negated) next();
+        next();
+        const low = parseBinary(7);
+        if (!isWord("and")) throw new Error("Expected AND in BETWEEN expression");
+        next();
+        const high = parseBinary(7);
+        left = { type: "between", expression: left, low, high, negated };
+        continue;
+      }
+
+      if ((isWord("in") || (negated && isWord("in", 1))) && minPrecedence <= 6) {
+        if (negated) next();
+        next();
+        expectPunct("(");
+        left = { type: "in", expression: left, list: parseList(")"), negated };
+        continue;
+      }
+
+      let operator = null;
+      if (token.type === "punct" && BINARY_PRECEDENCE[token.value]) operator = token.value;
+      if (token.type === "word" && BINARY_PRECEDENCE[token.value.toLowerCase()]) {
+        operator = token.value.toLowerCase();
+      }
+      if (negated && (isWord("like", 1) || isWord("ilike", 1))) {
+        operator = tokens[position + 1].value.toLowerCase();
+      }
+      if (!operator || BINARY_PRECEDENCE[operator] < minPrecedence) break;
+
+      if (negated) next();
+      next();
+
+      // `x = ANY (ARRAY[...])` is how PostgreSQL deparses `x IN (...)`
+      if ((isWord("any") || isWord("all")) && tokens[position + 1].value === "(") {
+        const quantifier = next().value.toLowerCase();
+        next();
+        const right = parseBinary(0);
+        expectPunct(")");
+        left = { type: "any", quantifier, operator, left, right };
+        continue;
+      }
+
+      const right = parseBinary(BINARY_PRECEDENCE[operator] + 1);
+      left = { type: "binary", operator, left, right };
+      if (negated) left = { type: "unary", operator: "not", operand: left };
+    }
+
+    return left;
+  };
+
+  const expression = parseBinary(0);
+  if (position < tokens.length) {
+    throw new Error(`Unexpected '${tokens[position].value}' in expression`);
+  }
+  return expression;
+}
+
+/**
+ * The function `unwrapCasts` returns the expression inside any number of casts.
+ * @param node - An expression node.
+ * @returns the innermost node that is not a cast.
+ */
+function unwrapCasts(node) {
+  while (node && node.type === "cast") node = node.expression;
+  return node;
+}
+
+/**
+ * The function `getColumnReferences` collects the names of all columns an expression refers to.
+ * @param node - An expression node.
+ * @returns an array of unique column names.
+ */
+function getColumnReferences(node) {
+  const names = new Set();
+  const visit = (current) => {
+    if (!current || typeof current !== "object") return;
+    if (current.type === "column") names.add(current.name);
+    for (const value of Object.values(current)) {
+      if (Array.isArray(value)) value.forEach(visit);
+      else if (value && typeof value === "object") visit(value);
+    }
+  };
+  visit(node);
+  return Array.from(names);
+}
+
+module.exports = {
+  parseExpression,
+  unwrapCasts,
+  getColumnReferences,
+};
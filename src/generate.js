@@ -0,0 +1,307 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+const path = require("path");
+const {
+  describeModel,
+  describeTable,
+  parseDefaultValue,
+} = require("./describe.js");
+const { camelCase, compareNames } = require("./utils.js");
+const { getMessageCatalog } = require("./messages.js");
+const { getEmitter, DEFAULT_TARGET } = require("./emitters/index.js");
+const { selectOverride, relativeModulePath } = require("./emitters/helpers.js");
+const { stampContents } = require("./output.js");
+const { version } = require("../package.json");
+
+/**
+ * The function `getGenerateOptions` completes the generation options with their defaults.
+ */
+function getGenerateOptions(options) {
+  return {
+    includeNullable: false,
+    excludeDefaults: true,
+    numericMode: "number",
+    target: DEFAULT_TARGET,
+    relations: 0,
+    columnOrder: "alphabetical",
+    header: true,
+    ...options,
+  };
+}
+
+/**
+ * The function `createContext` returns the context an emitter renders a file with, see
+ * `emitters/index.js`.
+ * @param emitter - The emitter returned by `getEmitter`.
+ * @param options - The generation options.
+ * @param modulePath - The path of the rendered module, see `getModulePath`.
+ */
+function createContext(emitter, options, modulePath) {
+  return {
+    options,
+    modulePath,
+    relativePath: (target) => relativeModulePath(modulePath, target),
+    getOverrides: (type) =>
+      type.overrides
+        .map((override) => selectOverride(override, emitter))
+        .filter((override) => override !== undefined),
+  };
+}
+
+/**
+ * The `getTableSchema` function generates the schema file of a relation of the model. Tables get
+ * insert and update schemas; views, materialized views and foreign tables get a read-only select
+ * schema, plus insert and update schemas when they are automatically updatable.
+ * @param table - A table of the model returned by `introspect`.
+ * @param model - The model returned by `introspect`.
+ * @param options - The generation options, see `generate`.
+ * @returns an object with the file name, the generated source, the columns that were included and
+ * the `diagnostics` of the table, see `getDiagnostics`.
+ */
+function getTableSchema(table, model, options) {
+  const generateOptions = getGenerateOptions(options);
+  const emitter = getEmitter(generateOptions.target, generateOptions.emitters);
+  return renderTable(describeTable(table, model, generateOptions), emitter, generateOptions);
+}
+
+/**
+ * The function `renderTable` renders the file of a relation described by `describeTable`.
+ */
+function renderTable(table, emitter, options) {
+  return {
+    schema: table.schema,
+    table: table.table,
+    path: `${table.modulePath}${emitter.extension}`,
+    contents: emitter.renderTable(table, createContext(emitter, options, table.modulePath)),
+    columns: table.columns,
+    diagnostics: table.diagnostics,
+  };
+}
+
+/**
+ * The function `getCompositeDiagnostics` combines the diagnostics of the composite types of a
+ * module, naming the qualified `type` in every entry.
+ * @param composites - The composite types described by `describeComposites`.
+ * @returns an object with the `unsupportedTypes` and `untranslatedChecks` of the module.
+ */
+function getCompositeDiagnostics(composites) {
+  const collect = (name) =>
+    composites.flatMap((composite) =>
+      composite.diagnostics[name].map((entry) => ({ type: composite.key, ...entry }))
+    );
+  return {
+    unsupportedTypes: collect("unsupportedTypes"),
+    untranslatedChecks: collect("untranslatedChecks"),
+  };
+}
+
+/**
+ * The function `getFunctionDiagnostics` combines the diagnostics of the functions of a module,
+ * naming the qualified `function` in every entry.
+ * @param functions - The functions described by `describeFunctions`.
+ * @param skipped - The functions that were skipped.
+ * @returns an object with the `skippedFunctions`, `unsupportedTypes` and `untranslatedChecks` of
+ * the module.
+ */
+function getFunctionDiagnostics(functions, skipped) {
+  const collect = (name) =>
+    functions.flatMap((fn) =>
+      fn.diagnostics[name].map((entry) => ({ function: fn.key, ...entry }))
+    );
+  return {
+    skippedFunctions: skipped,
+    unsupportedTypes: collect("unsupportedTypes"),
+    untranslatedChecks: collect("untranslatedChecks"),
+  };
+}
+
+/**
+ * The function `generate` renders the schema files for a model returned by `introspect`. Nothing
+ * is written to disk; the caller decides what to do with the returned files.
+ * @param model - The model returned by `introspect`.
+ * @param [options] - The generation options.
+ * @param [options.includeNullable=false] - Include nullable columns in the schemas.
+ * @param [options.excludeDefaults=true] - Exclude columns that have a literal or server default,
+ * see `getDefaultKind`.
+ * @param [options.numericMode=number] - How `bigint`, `numeric` and `money` columns are
+ * represented: "number" for `z.number()`, "bigint" for `z.bigint()` (decimal strings for columns
+ * with a scale) or "string" for decimal strings validated against precision and scale.
+ * @param [options.types] - Type overrides keyed by domain name, udt name or data type, e.g.
+ * `{ uuid: "z.string().uuid()" }`. See `applyOverrides` for the values, and `selectOverride` for
+ * overrides of other targets.
+ * @param [options.columns] - Column overrides keyed by `table.column` or a glob of it, e.g.
+ * `{ "users.email": "z.string().email()", "posts.body": ".max(10000)" }`.
+ * @param [options.target=zod3] - The output format: "zod3", "zod4", "valibot", "typescript",
+ * "json-schema" or the name of one of `options.emitters`.
+ * @param [options.emitters] - Additional emitters keyed by target name, see `emitters/index.js`.
+ * @param [options.relations=0] - How many levels of related tables the relation schemas nest, see
+ * `describeRelations`. With 0 no relation schemas are generated.
+ * @param [options.columnOrder=alphabetical] - The order of the fields of the table schemas:
+ * "alphabetical" by key, or "ordinal" for the order of the columns in the table.
+ * @param [options.header=true] - Start every file with a header naming the version of pgtozod, the
+ * source of the model and a hash of the contents, see `stampContents`.
+ * @param [options.messages] - Message templates replacing those of `MESSAGES` keyed by message key,
+ * e.g. `{ required: "{label} est obligatoire" }`, see `messages.js`.
+ * @param [options.labels] - The labels of columns used in messages, keyed by `table.column` or a
+ * glob of it like the column overrides, e.g. `{ "users.email": "Adresse e-mail" }`.
+ * @param [options.messageKeys=false] - Render every message as the JSON of its key, label key and
+ * values, formatted at runtime by the `messages.ts` module, see `getColumnMessages`.
+ * @param [options.forms=false] - Export the form metadata and initial values of the insert fields
+ * of every table next to its schemas, see `describeForm`. The JSON Schema target has none.
+ * @returns an array of `{ schema, table, path, contents, columns, diagnostics }` objects, where
+ * `path` is relative to the output directory and `diagnostics` lists what could not be generated
+ * as the database defines it, see `getDiagnostics`. The same model and options always give the
+ * same files. When the model has several schemas, the files of every schema are placed in a
+ * directory named after it. The schemas of the enum and composite types are included as
+ * `enums.ts` and `composites.ts` (with the extension of the target), the argument and result
+ * schemas of the functions of a model introspected with `functions` as `functions.ts`, when the
+ * target renders them, the relation schemas as `relations.ts` and, with `messageKeys`, the
+ * `messages.ts` module, followed by the shared files of the target, like `types.ts`, and the
+ * `index.ts` modules re-exporting them.
+ */
+function generate(model, options = {}) {
+  const generateOptions = getGenerateOptions(options);
+  const emitter = getEmitter(generateOptions.target, generateOptions.emitters);
+  const description = describeModel(model, generateOptions);
+
+  const files = description.tables.map((table) =>
+    renderTable(table, emitter, generateOptions)
+  );
+
+  if (emitter.renderEnums) {
+    for (const { modulePath, enums } of description.enums) {
+      files.push({
+        path: `${modulePath}${emitter.extension}`,
+        contents: emitter.renderEnums(enums, createContext(emitter, generateOptions, modulePath)),
+      });
+    }
+  }
+
+  for (const { modulePath, composites } of description.composites) {
+    files.push({
+      path: `${modulePath}${emitter.extension}`,
+      contents: emitter.renderComposites(
+        composites,
+        createContext(emitter, generateOptions, modulePath)
+      ),
+      diagnostics: getCompositeDiagnostics(composites),
+    });
+  }
+
+  if (emitter.renderFunctions) {
+    for (const { modulePath, functions, skipped } of description.functions) {
+      files.push({
+        path: `${modulePath}${emitter.extension}`,
+        contents: emitter.renderFunctions(
+          functions,
+          createContext(emitter, generateOptions, modulePath)
+        ),
+        diagnostics: getFunctionDiagnostics(functions, skipped),
+      });
+    }
+  }
+
+  if (emitter.renderRelations) {
+    for (const { modulePath, tables } of description.relations) {
+      files.push({
+        path: `${modulePath}${emitter.extension}`,
+        contents: emitter.renderRelations(
+          tables,
+          createContext(emitter, generateOptions, modulePath)
+        ),
+      });
+    }
+  }
+
+  if (generateOptions.messageKeys && emitter.renderMessages) {
+    files.push({
+      path: `messages${emitter.extension}`,
+      contents: emitter.renderMessages(
+        getMessageCatalog(model, generateOptions),
+        createContext(emitter, generateOptions, "messages")
+      ),
+    });
+  }
+
+  files.push(...emitter.files(createContext(emitter, generateOptions, "")));
+
+  if (emitter.renderIndex) {
+    files.push(...getIndexFiles(files, emitter, generateOptions));
+  }
+
+  const renderHeader = generateOptions.header && emitter.renderHeader;
+  return files.map((file) => ({
+    ...file,
+    contents: stampContents(file.contents, getHeaderText(model, file), renderHeader),
+  }));
+}
+
+/**
+ * The function `getHeaderText` returns the first sentence of the header of a generated file, e.g.
+ * "Generated by pgtozod 0.2.6 from database shop, schema public". Files that do not belong to a
+ * table name every schema of the model.
+ * @param model - The model returned by `introspect`.
+ * @param file - The generated file.
+ * @returns the text, without a trailing period.
+ */
+function getHeaderText(model, file) {
+  const schemas = file.schema ? [file.schema] : model.schemas || [];
+  let text = `Generated by pgtozod ${version}`;
+  if (model.source) text += ` from ${model.source}`;
+  if (schemas.length) {
+    text += `, ${schemas.length === 1 ? "schema" : "schemas"} ${schemas.join(", ")}`;
+  }
+  return text;
+}
+
+/**
+ * The function `getIndexFiles` renders the index modules re-exporting the generated files of every
+ * directory. The index of the output directory re-exports the index of every schema directory
+ * under the camel case name of the schema, since tables of different schemas can have the same
+ * name.
+ * @param files - The generated files.
+ * @param emitter - The emitter returned by `getEmitter`.
+ * @param options - The generation options.
+ * @returns the index files, e.g. `index.ts` and `auth/index.ts`.
+ */
+function getIndexFiles(files, emitter, options) {
+  const directories = new Map([[".", []]]);
+  for (const file of files) {
+    if (!file.path.endsWith(emitter.extension)) continue;
+    const modulePath = file.path.slice(0, -emitter.extension.length);
+    const directory = path.posix.dirname(modulePath);
+    if (!directories.has(directory)) directories.set(directory, []);
+    directories.get(directory).push({ modulePath });
+  }
+
+  return Array.from(directories.keys())
+    .sort()
+    .map((directory) => {
+      const modulePath = directory === "." ? "index" : `${directory}/index`;
+      const modules = directories
+        .get(directory)
+        .sort((a, b) => compareNames(a.modulePath, b.modulePath));
+      if (directory === ".") {
+        for (const schemaDirectory of Array.from(directories.keys()).sort()) {
+          if (schemaDirectory === ".") continue;
+          modules.push({
+            modulePath: `${schemaDirectory}/index`,
+            namespace: camelCase(schemaDirectory),
+          });
+        }
+      }
+      return {
+        path: `${modulePath}${emitter.extension}`,
+        contents: emitter.renderIndex(modules, createContext(emitter, options, modulePath)),
+      };
+    });
+}
+
+module.exports = {
+  generate,
+  getTableSchema,
+  parseDefaultValue,
+};
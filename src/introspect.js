@@ -0,0 +1,999 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+const createPool = require("./db.js");
+const { resolveDomains, selectComposites, getFunctionRelations } = require("./domains.js");
+const { qualifiedName, isTableSelected } = require("./utils.js");
+const { getCacheKey, readCache, writeCache } = require("./cache.js");
+
+/* Relation kinds reported by `getRelations`, keyed by `information_schema.tables.table_type`. */
+const RELATION_KINDS = {
+  "BASE TABLE": "table",
+  VIEW: "view",
+  "MATERIALIZED VIEW": "materialized view",
+  FOREIGN: "foreign table",
+};
+
+/**
+ * The function `getSchemas` retrieves the names of the schemas of a database, leaving out the
+ * system schemas.
+ * @param client - A connected `pg` client or pool.
+ * @returns an array of schema names in alphabetical order.
+ */
+async function getSchemas(client) {
+  const schemaQuery = `
+    SELECT nspname AS schema_name
+    FROM pg_namespace
+    WHERE nspname NOT IN ('pg_catalog', 'information_schema')
+      AND nspname NOT LIKE 'pg\\_toast%' AND nspname NOT LIKE 'pg\\_temp\\_%'
+    ORDER BY nspname;
+  `;
+
+  const res = await client.query(schemaQuery);
+  return res.rows.map((row) => row.schema_name);
+}
+
+/**
+ * The function `getRelations` retrieves the tables, views, materialized views and foreign tables of
+ * the given schemas. Materialized views are not part of `information_schema` and are read from
+ * `pg_matviews`.
+ * @param client - A connected `pg` client or pool.
+ * @param schemas - A schema name or an array of schema names to retrieve the relations of.
+ * @returns an array of `{ schema, name, kind, isInsertable, comment }` objects, where kind is
+ * "table", "view", "materialized view" or "foreign table", isInsertable tells whether rows can be
+ * inserted and comment is the `COMMENT ON` text or null.
+ */
+async function getRelations(client, schemas) {
+  const relationQuery = `
+    SELECT table_schema, table_name, table_type, is_insertable_into,
+      obj_description(format('%I.%I', table_schema, table_name)::regclass, 'pg_class') AS comment
+    FROM information_schema.tables
+    WHERE table_schema = ANY($1) AND table_type IN ('BASE TABLE', 'VIEW', 'FOREIGN')
+    UNION ALL
+    SELECT schemaname, matviewname, 'MATERIALIZED VIEW', 'NO',
+      obj_description(format('%I.%I', schemaname, matviewname)::regclass, 'pg_class')
+    FROM pg_matviews
+    WHERE schemaname = ANY($1)
+    ORDER BY table_schema, table_name;
+  `;
+
+  const res = await client.query(relationQuery, [[].concat(schemas)]);
+  return res.rows.map((row) => ({
+    schema: row.table_schema,
+    name: row.table_name,
+    kind: RELATION_KINDS[row.table_type],
+    isInsertable: row.is_insertable_into === "YES",
+    comment: row.comment,
+  }));
+}
+
+/**
+ * The function `getEnumTypes` retrieves the enum types of the given schemas and their corresponding
+ * values from a PostgreSQL database.
+ * @param client - A connected `pg` client or pool.
+ * @param schemas - A schema name or an array of schema names to retrieve the enum types of.
+ * @returns The function `getEnumTypes` returns an object containing enum types, keyed by qualified
+ * name like `auth.role`, and their corresponding values.
+ */
+async function getEnumTypes(client, schemas) {
+  const enumQuery = `
+    SELECT n.nspname AS enum_schema, t.typname AS enum_name, e.enumlabel AS enum_value
+    FROM pg_type t
+    JOIN pg_namespace n ON n.oid = t.typnamespace
+    JOIN pg_enum e ON t.oid = e.enumtypid
+    WHERE n.nspname = ANY($1)
+    ORDER BY n.nspname, t.typname, e.enumsortorder;
+  `;
+
+  const res = await client.query(enumQuery, [[].concat(schemas)]);
+  const enums = {};
+
+  res.rows.forEach((row) => {
+    const key = qualifiedName(row.enum_schema, row.enum_name);
+    if (!enums[key]) enums[key] = [];
+    enums[key].push(row.enum_value);
+  });
+
+  return enums;
+}
+
+/**
+ * The function `getDomainTypes` retrieves the domain types of the given schemas with their base
+ * type, NOT NULL constraint, default and CHECK constraints.
+ * @param client - A connected `pg` client or pool.
+ * @param schemas - A schema name or an array of schema names to retrieve the domain types of.
+ * @returns an object mapping qualified domain names to
+ * `{ schema, name, dataType, udtSchema, udtName, maxLength, numericPrecision, numericScale,
+ * arrayDimensions, notNull, defaultValue, checks }`, where
+ * the base type is reported like a column type in `information_schema.columns`.
+ */
+async function getDomainTypes(client, schemas) {
+  const domainQuery = `
+    SELECT d.domain_schema, d.domain_name, d.data_type, d.udt_schema, d.udt_name,
+      d.character_maximum_length, d.numeric_precision, d.numeric_scale, d.domain_default,
+      t.typnotnull AS not_null, t.typndims AS array_dimensions, con.conname AS constraint_name,
+      pg_get_constraintdef(con.oid) AS definition
+    FROM information_schema.domains d
+    JOIN pg_namespace n ON n.nspname = d.domain_schema
+    JOIN pg_type t ON t.typnamespace = n.oid AND t.typname = d.domain_name
+    LEFT JOIN pg_constraint con ON con.contypid = t.oid AND con.contype = 'c'
+    WHERE d.domain_schema = ANY($1)
+    ORDER BY d.domain_schema, d.domain_name, con.conname;
+  `;
+
+  const res = await client.query(domainQuery, [[].concat(schemas)]);
+  const domains = {};
+
+  res.rows.forEach((row) => {
+    const key = qualifiedName(row.domain_schema, row.domain_name);
+    if (!domains[key]) {
+      domains[key] = {
+        schema: row.domain_schema,
+        name: row.domain_name,
+        dataType: row.data_type,
+        udtSchema: row.udt_schema,
+        udtName: row.udt_name,
+        maxLength: row.character_maximum_length,
+        numericPrecision: row.numeric_precision,
+        numericScale: row.numeric_scale,
+        arrayDimensions: row.array_dimensions,
+        notNull: row.not_null,
+        defaultValue: row.domain_default,
+        checks: [],
+      };
+    }
+    if (row.constraint_name) {
+      domains[key].checks.push({
+        name: row.constraint_name,
+        definition: row.definition.replace(/^CHECK \((.*)\)( NOT VALID)?$/s, "$1"),
+      });
+    }
+  });
+
+  return domains;
+}
+
+/**
+ * The function `getCompositeTypes` retrieves the composite types created with `CREATE TYPE ... AS`
+ * in the given schemas, with their attributes.
+ * @param client - A connected `pg` client or pool.
+ * @param schemas - A schema name or an array of schema names to read the composite types of.
+ * @returns an object mapping qualified type names to `{ schema, name, columns }`, where columns are
+ * column objects in attribute order.
+ */
+async function getCompositeTypes(client, schemas) {
+  const typeQuery = `
+    SELECT n.nspname AS type_schema, t.typname AS type_name
+    FROM pg_type t
+    JOIN pg_class c ON c.oid = t.typrelid
+    JOIN pg_namespace n ON n.oid = t.typnamespace
+    WHERE t.typtype = 'c' AND c.relkind = 'c' AND n.nspname = ANY($1)
+    ORDER BY n.nspname, t.typname;
+  `;
+
+  const res = await client.query(typeQuery, [[].concat(schemas)]);
+  const types = res.rows.map((row) => ({ schema: row.type_schema, name: row.type_name }));
+  // The attributes of a composite type are the columns of the relation of the same name
+  const attributes = await getAttributeColumns(client, types);
+  const composites = {};
+  for (const type of types) {
+    const key = qualifiedName(type.schema, type.name);
+    composites[key] = { ...type, columns: attributes[key] || [] };
+  }
+  return composites;
+}
+
+/**
+ * The function `queryRelations` runs a query batched over several relations, passed to it as the
+ * array of their schema names `$1` and the array of their names `$2`. Queries match them with
+ * `(schema, name) IN (SELECT * FROM unnest($1::text[], $2::text[]))`.
+ * @param client - A connected `pg` client or pool.
+ * @param query - The query, returning the `relation_schema` and `relation_name` of every row.
+ * @param relations - An array of `{ schema, name }` objects.
+ * @param [params] - The values of the other parameters of the query, `$3` and on.
+ * @returns a promise of the rows, without querying when there are no relations.
+ */
+async function queryRelations(client, query, relations, params = []) {
+  if (!relations.length) return [];
+  const res = await client.query(query, [
+    relations.map((relation) => relation.schema),
+    relations.map((relation) => relation.name),
+    ...params,
+  ]);
+  return res.rows;
+}
+
+/**
+ * The function `groupByRelation` groups the rows of a query run by `queryRelations` by the relation
+ * they belong to.
+ * @param rows - The rows, in the order of the query.
+ * @param toValue - Converts a row to the value kept for it.
+ * @returns an object mapping qualified relation names to arrays of values. Relations without rows
+ * are left out.
+ */
+function groupByRelation(rows, toValue) {
+  const groups = {};
+  for (const row of rows) {
+    const key = qualifiedName(row.relation_schema, row.relation_name);
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(toValue(row));
+  }
+  return groups;
+}
+
+/**
+ * The function `getColumns` retrieves the column definitions of tables, views and foreign tables in
+ * one query and converts them to the column model used by the generator.
+ * @param client - A connected `pg` client or pool.
+ * @param relations - An array of `{ schema, name }` objects of the relations to read the columns of.
+ * @returns an object mapping qualified relation names to arrays of column objects in ordinal order.
+ */
+async function getColumns(client, relations) {
+  const columnQuery = `
+    SELECT c.table_schema AS relation_schema, c.table_name AS relation_name,
+      c.column_name, c.data_type, c.is_nullable, c.column_default, c.udt_schema, c.udt_name,
+      c.is_identity, c.identity_generation, c.generation_expression,
+      COALESCE(c.character_maximum_length, a.element_max_length) AS character_maximum_length,
+      c.numeric_precision, c.numeric_scale, c.domain_schema, c.domain_name,
+      a.attndims AS array_dimensions, a.comment
+    FROM information_schema.columns c
+    LEFT JOIN LATERAL (
+      SELECT a.attndims, col_description(a.attrelid, a.attnum) AS comment,
+        information_schema._pg_char_max_length(t.typelem, a.atttypmod) AS element_max_length
+      FROM pg_attribute a
+      JOIN pg_class r ON r.oid = a.attrelid
+      JOIN pg_namespace n ON n.oid = r.relnamespace
+      JOIN pg_type t ON t.oid = a.atttypid
+      WHERE n.nspname = c.table_schema AND r.relname = c.table_name AND a.attname = c.column_name
+    ) a ON true
+    WHERE (c.table_schema::text, c.table_name::text) IN (
+      SELECT * FROM unnest($1::text[], $2::text[])
+    )
+    ORDER BY c.table_schema, c.table_name, c.ordinal_position;
+  `;
+
+  const rows = await queryRelations(client, columnQuery, relations);
+  return groupByRelation(rows, (row) => ({
+    name: row.column_name,
+    dataType: row.data_type,
+    udtSchema: row.udt_schema,
+    udtName: row.udt_name,
+    isNullable: row.is_nullable === "YES",
+    defaultValue: row.column_default,
+    isIdentity: row.is_identity === "YES",
+    identityGeneration: row.identity_generation,
+    generationExpression: row.generation_expression,
+    maxLength: row.character_maximum_length,
+    numericPrecision: row.numeric_precision,
+    numericScale: row.numeric_scale,
+    arrayDimensions: row.array_dimensions || 0,
+    domainSchema: row.domain_schema,
+    domainName: row.domain_name,
+    comment: row.comment,
+  }));
+}
+
+/**
+ * The function `getCheckConstraints` retrieves the CHECK constraints of tables from `pg_constraint`.
+ * @param client - A connected `pg` client or pool.
+ * @param relations - An array of `{ schema, name }` objects of the tables.
+ * @returns an object mapping qualified table names to arrays of `{ name, definition, columns }`
+ * objects, where definition is the check expression as deparsed by PostgreSQL and columns the
+ * names of the columns it references.
+ */
+async function getCheckConstraints(client, relations) {
+  const checkQuery = `
+    SELECT n.nspname AS relation_schema, c.relname AS relation_name,
+      con.conname AS constraint_name,
+      pg_get_constraintdef(con.oid) AS definition,
+      ARRAY(
+        SELECT a.attname::text
+        FROM unnest(con.conkey) AS k(attnum)
+        JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+        ORDER BY k.attnum
+      ) AS column_names
+    FROM pg_constraint con
+    JOIN pg_class c ON c.oid = con.conrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE con.contype = 'c' AND (n.nspname::text, c.relname::text) IN (
+      SELECT * FROM unnest($1::text[], $2::text[])
+    )
+    ORDER BY n.nspname, c.relname, con.conname;
+  `;
+
+  const rows = await queryRelations(client, checkQuery, relations);
+  return groupByRelation(rows, (row) => ({
+    name: row.constraint_name,
+    // pg_get_constraintdef returns "CHECK ((expression)) [NOT VALID]"
+    definition: row.definition.replace(/^CHECK \((.*)\)( NOT VALID)?$/s, "$1"),
+    columns: row.column_names,
+  }));
+}
+
+/**
+ * The function `getPrimaryKeys` retrieves the primary key columns of tables from `pg_index`.
+ * @param client - A connected `pg` client or pool.
+ * @param relations - An array of `{ schema, name }` objects of the tables.
+ * @returns an object mapping qualified table names to the column names in the order of the key.
+ * Tables without a primary key are left out.
+ */
+async function getPrimaryKeys(client, relations) {
+  const primaryKeyQuery = `
+    SELECT n.nspname AS relation_schema, c.relname AS relation_name, a.attname::text AS column_name
+    FROM pg_index i
+    JOIN pg_class c ON c.oid = i.indrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    CROSS JOIN LATERAL unnest(i.indkey::int2[]) WITH ORDINALITY AS k(attnum, position)
+    JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum = k.attnum
+    WHERE i.indisprimary AND (n.nspname::text, c.relname::text) IN (
+      SELECT * FROM unnest($1::text[], $2::text[])
+    )
+    ORDER BY n.nspname, c.relname, k.position;
+  `;
+
+  const rows = await queryRelations(client, primaryKeyQuery, relations);
+  return groupByRelation(rows, (row) => row.column_name);
+}
+
+/* The referential actions of `pg_constraint.confdeltype` and `confupdtype`. */
+const REFERENTIAL_ACTIONS = {
+  a: "no action",
+  r: "restrict",
+  c: "cascade",
+  n: "set null",
+  d: "set default",
+};
+
+/**
+ * The function `getForeignKeys` retrieves the foreign keys of tables from `pg_constraint`.
+ * @param client - A connected `pg` client or pool.
+ * @param relations - An array of `{ schema, name }` objects of the tables.
+ * @returns an object mapping qualified table names to arrays of `{ name, columns, references:
+ * { schema, table, columns }, onDelete, onUpdate }` objects, where the columns are in the order of
+ * the key and the actions are like "cascade" or "set null".
+ */
+async function getForeignKeys(client, relations) {
+  const foreignKeyQuery = `
+    SELECT n.nspname AS relation_schema, c.relname AS relation_name,
+      con.conname AS constraint_name,
+      ARRAY(
+        SELECT a.attname::text
+        FROM unnest(con.conkey) WITH ORDINALITY AS k(attnum, position)
+        JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+        ORDER BY k.position
+      ) AS column_names,
+      fn.nspname AS foreign_schema,
+      fc.relname AS foreign_table,
+      ARRAY(
+        SELECT a.attname::text
+        FROM unnest(con.confkey) WITH ORDINALITY AS k(attnum, position)
+        JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum
+        ORDER BY k.position
+      ) AS foreign_column_names,
+      con.confdeltype AS on_delete,
+      con.confupdtype AS on_update
+    FROM pg_constraint con
+    JOIN pg_class c ON c.oid = con.conrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    JOIN pg_class fc ON fc.oid = con.confrelid
+    JOIN pg_namespace fn ON fn.oid = fc.relnamespace
+    WHERE con.contype = 'f' AND (n.nspname::text, c.relname::text) IN (
+      SELECT * FROM unnest($1::text[], $2::text[])
+    )
+    ORDER BY n.nspname, c.relname, con.conname;
+  `;
+
+  const rows = await queryRelations(client, foreignKeyQuery, relations);
+  return groupByRelation(rows, (row) => ({
+    name: row.constraint_name,
+    columns: row.column_names,
+    references: {
+      schema: row.foreign_schema,
+      table: row.foreign_table,
+      columns: row.foreign_column_names,
+    },
+    onDelete: REFERENTIAL_ACTIONS[row.on_delete],
+    onUpdate: REFERENTIAL_ACTIONS[row.on_update],
+  }));
+}
+
+/**
+ * The function `getColumnPrivileges` retrieves the columns of relations a role may read, insert and
+ * update, with `has_column_privilege`. Privileges granted on the whole relation and those the role
+ * inherits from the roles it is a member of count too.
+ * @param client - A connected `pg` client or pool.
+ * @param relations - An array of `{ schema, name }` objects of the relations.
+ * @param role - The role name.
+ * @returns an object mapping qualified relation names to objects with the names of the columns the
+ * role may `select`, `insert` and `update`, in ordinal order.
+ */
+async function getColumnPrivileges(client, relations, role) {
+  const privilegeQuery = `
+    SELECT n.nspname AS relation_schema, c.relname AS relation_name, a.attname AS column_name,
+      has_column_privilege($3, c.oid, a.attnum, 'SELECT') AS can_select,
+      has_column_privilege($3, c.oid, a.attnum, 'INSERT') AS can_insert,
+      has_column_privilege($3, c.oid, a.attnum, 'UPDATE') AS can_update
+    FROM pg_attribute a
+    JOIN pg_class c ON c.oid = a.attrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE (n.nspname::text, c.relname::text) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+      AND a.attnum > 0 AND NOT a.attisdropped
+    ORDER BY n.nspname, c.relname, a.attnum;
+  `;
+
+  const rows = await queryRelations(client, privilegeQuery, relations, [role]);
+  const privileges = {};
+  for (const [key, columns] of Object.entries(groupByRelation(rows, (row) => row))) {
+    privileges[key] = {
+      select: columns.filter((row) => row.can_select).map((row) => row.column_name),
+      insert: columns.filter((row) => row.can_insert).map((row) => row.column_name),
+      update: columns.filter((row) => row.can_update).map((row) => row.column_name),
+    };
+  }
+  return privileges;
+}
+
+/**
+ * The function `getAttributeColumns` retrieves the columns of materialized views or the attributes
+ * of composite types from `pg_attribute`, reported the same way `information_schema.columns`
+ * reports columns of other relations.
+ * @param client - A connected `pg` client or pool.
+ * @param relations - An array of `{ schema, name }` objects of the materialized views or composite
+ * types.
+ * @returns an object mapping qualified names to arrays of column objects in ordinal order.
+ */
+async function getAttributeColumns(client, relations) {
+  const columnQuery = `
+    SELECT n.nspname AS relation_schema, c.relname AS relation_name,
+      a.attname AS column_name,
+      CASE
+        WHEN t.typelem <> 0 AND t.typlen = -1 THEN 'ARRAY'
+        WHEN nt.nspname = 'pg_catalog' THEN format_type(a.atttypid, NULL)
+        ELSE 'USER-DEFINED'
+      END AS data_type,
+      CASE WHEN a.attnotnull THEN 'NO' ELSE 'YES' END AS is_nullable,
+      nt.nspname AS udt_schema, t.typname AS udt_name,
+      COALESCE(
+        information_schema._pg_char_max_length(a.atttypid, a.atttypmod),
+        information_schema._pg_char_max_length(t.typelem, a.atttypmod)
+      ) AS character_maximum_length,
+      information_schema._pg_numeric_precision(a.atttypid, a.atttypmod) AS numeric_precision,
+      information_schema._pg_numeric_scale(a.atttypid, a.atttypmod) AS numeric_scale,
+      a.attndims AS array_dimensions, col_description(a.attrelid, a.attnum) AS comment
+    FROM pg_attribute a
+    JOIN pg_class c ON c.oid = a.attrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    JOIN pg_type t ON t.oid = a.atttypid
+    JOIN pg_namespace nt ON nt.oid = t.typnamespace
+    WHERE (n.nspname::text, c.relname::text) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+      AND a.attnum > 0 AND NOT a.attisdropped
+    ORDER BY n.nspname, c.relname, a.attnum;
+  `;
+
+  const rows = await queryRelations(client, columnQuery, relations);
+  return groupByRelation(rows, (row) => ({
+    name: row.column_name,
+    dataType: row.data_type,
+    udtSchema: row.udt_schema,
+    udtName: row.udt_name,
+    isNullable: row.is_nullable === "YES",
+    defaultValue: null,
+    isIdentity: false,
+    identityGeneration: null,
+    generationExpression: null,
+    maxLength: row.character_maximum_length,
+    numericPrecision: row.numeric_precision,
+    numericScale: row.numeric_scale,
+    arrayDimensions: row.array_dimensions || 0,
+    comment: row.comment,
+  }));
+}
+
+/* The modes of function parameters, keyed by `pg_proc.proargmodes`. */
+const PARAMETER_MODES = {
+  i: "in",
+  o: "out",
+  b: "inout",
+  v: "variadic",
+  t: "table",
+};
+
+/**
+ * The function `getFunctionResult` describes what a function returns from its parameters and its
+ * return type. The OUT, INOUT and TABLE parameters are the columns of the result; without them
+ * the result is the return type, a row of the attributes of a composite type or table, or
+ * nothing for `void` and procedures.
+ * @param fn - The function, with its `kind`, `returnsSet`, `parameters` and `returnType`.
+ * @param attributes - The attributes of the composite return types, see `getAttributeColumns`.
+ * @returns null when nothing is returned, or `{ isSet, isRow, columns, checks }`, where isSet
+ * tells whether a set of rows or values is returned and isRow whether the result is a row of the
+ * columns rather than the value of its only column.
+ */
+function getFunctionResult(fn, attributes) {
+  const { returnType } = fn;
+  const outputs = fn.parameters.filter((parameter) =>
+    ["out", "inout", "table"].includes(parameter.mode)
+  );
+  const toResultColumn = ({ mode, hasDefault, position, ...column }) => ({
+    ...column,
+    isNullable: true,
+  });
+  const result = { isSet: fn.returnsSet, isRow: true, columns: [], checks: [] };
+
+  if (outputs.length) {
+    // A function with a single OUT parameter returns its value, procedures always return a row
+    result.isRow = outputs.length > 1 || fn.kind === "procedure" || outputs[0].mode === "table";
+    result.columns = outputs.map(toResultColumn);
+  } else if (fn.kind === "procedure" || returnType.udtName === "void") {
+    return null;
+  } else if (returnType.relation) {
+    const { schema, name } = returnType.relation;
+    result.columns = attributes[qualifiedName(schema, name)] || [];
+  } else {
+    result.isRow = false;
+    result.columns = [toResultColumn({ ...returnType, name: fn.name })];
+  }
+  return result;
+}
+
+/**
+ * The function `getFunctions` retrieves the functions and procedures of the given schemas with
+ * their parameters and results. Trigger functions, aggregates and the functions of extensions are
+ * left out. Parameter types are reported like column types in `information_schema.columns`.
+ * @param client - A connected `pg` client or pool.
+ * @param schemas - A schema name or an array of schema names to read the functions of.
+ * @returns an array of `{ schema, name, kind, signature, comment, args, result }` objects, where
+ * kind is "function" or "procedure", signature lists the argument types, like `integer, text`, args
+ * holds the input parameters as the `columns` of a relation, with their `mode` ("in", "inout" or
+ * "variadic"), whether they have a default (`hasDefault`) and their `position`, and result is
+ * described by `getFunctionResult`. Unnamed parameters are named after their position, like
+ * `arg1`. Overloaded functions are listed once per signature.
+ */
+async function getFunctions(client, schemas) {
+  const functionQuery = `
+    SELECT p.oid AS function_oid, n.nspname AS function_schema, p.proname AS function_name,
+      CASE p.prokind WHEN 'p' THEN 'procedure' ELSE 'function' END AS function_kind,
+      pg_get_function_identity_arguments(p.oid) AS signature,
+      obj_description(p.oid, 'pg_proc') AS comment,
+      p.proretset AS returns_set, p.pronargdefaults AS default_count,
+      a.position, a.name AS parameter_name, a.mode AS parameter_mode,
+      CASE
+        WHEN t.typelem <> 0 AND t.typlen = -1 THEN 'ARRAY'
+        WHEN nt.nspname = 'pg_catalog' THEN format_type(t.oid, NULL)
+        ELSE 'USER-DEFINED'
+      END AS data_type,
+      nt.nspname AS udt_schema, t.typname AS udt_name,
+      CASE WHEN t.typtype = 'c' THEN tc.relname END AS type_relation
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    CROSS JOIN LATERAL (
+      -- The return type is listed at position 0, before the parameters
+      SELECT 0::bigint AS position, NULL::text AS name, 'r'::text AS mode, p.prorettype AS type_oid
+      UNION ALL
+      SELECT arg.position, NULLIF(arg.name, ''), COALESCE(arg.mode::text, 'i'), arg.type_oid
+      FROM unnest(COALESCE(p.proallargtypes, p.proargtypes::oid[]), p.proargmodes, p.proargnames)
+        WITH ORDINALITY AS arg(type_oid, mode, name, position)
+    ) a
+    JOIN pg_type t ON t.oid = a.type_oid
+    JOIN pg_namespace nt ON nt.oid = t.typnamespace
+    LEFT JOIN pg_class tc ON tc.oid = t.typrelid
+    WHERE n.nspname = ANY($1) AND p.prokind IN ('f', 'p')
+      AND p.prorettype NOT IN ('trigger'::regtype, 'event_trigger'::regtype)
+      AND NOT EXISTS (
+        SELECT 1 FROM pg_depend d
+        WHERE d.classid = 'pg_proc'::regclass AND d.objid = p.oid AND d.deptype = 'e'
+      )
+    ORDER BY n.nspname, p.proname, p.oid, a.position;
+  `;
+
+  const res = await client.query(functionQuery, [[].concat(schemas)]);
+  const functions = new Map();
+  for (const row of res.rows) {
+    if (!functions.has(row.function_oid)) {
+      functions.set(row.function_oid, {
+        schema: row.function_schema,
+        name: row.function_name,
+        kind: row.function_kind,
+        signature: row.signature,
+        comment: row.comment,
+        returnsSet: row.returns_set,
+        defaultCount: row.default_count,
+        returnType: null,
+        parameters: [],
+      });
+    }
+    const fn = functions.get(row.function_oid);
+    const column = {
+      name: row.parameter_name,
+      dataType: row.data_type,
+      udtSchema: row.udt_schema,
+      udtName: row.udt_name,
+      isNullable: false,
+      defaultValue: null,
+      isIdentity: false,
+      identityGeneration: null,
+      generationExpression: null,
+      maxLength: null,
+      numericPrecision: null,
+      numericScale: null,
+      arrayDimensions: row.data_type === "ARRAY" ? 1 : 0,
+      domainSchema: null,
+      domainName: null,
+      comment: null,
+    };
+    if (row.parameter_mode === "r") {
+      const relation = row.type_relation && { schema: row.udt_schema, name: row.type_relation };
+      fn.returnType = { ...column, relation };
+    } else {
+      fn.parameters.push({
+        ...column,
+        mode: PARAMETER_MODES[row.parameter_mode],
+        position: Number(row.position),
+      });
+    }
+  }
+
+  const isOutput = (parameter) => parameter.mode === "out" || parameter.mode === "table";
+  for (const fn of functions.values()) {
+    const inputs = fn.parameters.filter((parameter) => !isOutput(parameter));
+    // Defaults apply to the last input parameters
+    inputs.forEach((parameter, index) => {
+      parameter.name = parameter.name || `arg${index + 1}`;
+      parameter.hasDefault = index >= inputs.length - fn.defaultCount;
+    });
+    // PostgreSQL names the unnamed columns of a result like `column1`
+    fn.parameters.filter(isOutput).forEach((parameter, index) => {
+      parameter.name = parameter.name || `column${index + 1}`;
+    });
+  }
+
+  // The rows returned by functions of a composite type or table are read like composite types
+  const relations = Array.from(functions.values())
+    .map((fn) => fn.returnType.relation)
+    .filter(Boolean);
+  const attributes = await getAttributeColumns(client, relations);
+
+  return Array.from(functions.values()).map((fn) => ({
+    schema: fn.schema,
+    name: fn.name,
+    kind: fn.kind,
+    signature: fn.signature,
+    comment: fn.comment,
+    args: { columns: fn.parameters.filter((parameter) => !isOutput(parameter)), checks: [] },
+    result: getFunctionResult(fn, attributes),
+  }));
+}
+
+/**
+ * The function `resolveSchemas` expands the schema option of `introspect` to a list of schema names.
+ * @param client - A connected `pg` client or pool.
+ * @param schema - A schema name, an array of schema names, or 'all'.
+ * @returns a promise of an array of schema names.
+ */
+async function resolveSchemas(client, schema) {
+  return schema === "all" ? getSchemas(client) : [].concat(schema);
+}
+
+/**
+ * The function `getTypes` retrieves the enum, domain and composite types of the given schemas and
+ * of the other schemas the columns, domains and composite types use, so types referenced across
+ * schemas resolve.
+ * @param client - A connected `pg` client or pool.
+ * @param schemas - The selected schemas.
+ * @param columns - The columns of the selected tables.
+ * @returns an object with `enums`, `domains` and `composites`, keyed by qualified name.
+ */
+async function getTypes(client, schemas, columns) {
+  const types = { enums: {}, domains: {}, composites: {} };
+  const loaded = new Set(["pg_catalog"]);
+  const typeSchemas = (column) => [column.udtSchema, column.domainSchema];
+  let pending = [...schemas, ...columns.flatMap(typeSchemas)];
+
+  while (pending.some((schema) => schema && !loaded.has(schema))) {
+    const batch = Array.from(new Set(pending.filter((schema) => schema && !loaded.has(schema))));
+    batch.forEach((schema) => loaded.add(schema));
+
+    const [enums, domains, composites] = await Promise.all([
+      getEnumTypes(client, batch),
+      getDomainTypes(client, batch),
+      getCompositeTypes(client, batch),
+    ]);
+    Object.assign(types.enums, enums);
+    Object.assign(types.domains, domains);
+    Object.assign(types.composites, composites);
+
+    pending = [
+      ...Object.values(domains).map((domain) => domain.udtSchema),
+      ...Object.values(composites).flatMap((composite) => composite.columns.flatMap(typeSchemas)),
+    ];
+  }
+
+  return types;
+}
+
+/**
+ * The function `getCatalogFingerprint` computes a hash of the column definitions, comments,
+ * privileges and the primary key, CHECK and foreign key constraints of every table, view,
+ * materialized view and foreign table, with the kind and definition of views, and of the definitions of every enum,
+ * domain and composite type, so changes can be detected without introspecting everything. Types
+ * are fingerprinted in every user schema since tables can use the types of other schemas.
+ * Functions are fingerprinted by their parameters, result and comment, all overloads of a name
+ * together; trigger functions, like the one `watch` installs, are not generated and left out.
+ * With a role, the roles it is a member of, directly or not, are fingerprinted as well, since their
+ * privileges are the privileges of the role.
+ * @param client - A connected `pg` client or pool.
+ * @param schemas - The database schemas to fingerprint the tables, functions and composite types
+ * of.
+ * @param [role] - The role whose privileges the model is restricted to, see `introspect`.
+ * @returns an object of the shape `{ tables: { [schema.name]: hash }, types: { [schema.name]:
+ * hash }, functions: { [schema.name]: hash }, role: hash }`, where role is null without a role.
+ */
+async function getCatalogFingerprint(client, schemas, role) {
+  const tableQuery = `
+    SELECT n.nspname AS table_schema, c.relname AS table_name,
+      md5(concat_ws('|', c.relkind, string_agg(
+        concat_ws('|', a.attname, format_type(a.atttypid, a.atttypmod), a.attnotnull, pg_get_expr(d.adbin, d.adrelid), a.attidentity, a.attacl, col_description(a.attrelid, a.attnum)),
+        ',' ORDER BY a.attnum
+      ), c.relacl::text, obj_description(c.oid, 'pg_class'), (
+        SELECT string_agg(con.conname || ' ' || pg_get_constraintdef(con.oid), ',' ORDER BY con.conname)
+        FROM pg_constraint con
+        WHERE con.conrelid = c.oid AND con.contype IN ('p', 'c', 'f')
+      ), CASE WHEN c.relkind IN ('v', 'm') THEN pg_get_viewdef(c.oid) END)) AS fingerprint
+    FROM pg_class c
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    LEFT JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+    LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+    WHERE n.nspname = ANY($1) AND c.relkind IN ('r', 'p', 'v', 'm', 'f')
+    GROUP BY n.nspname, c.relname, c.oid, c.relkind, c.relacl::text;
+  `;
+  const typeQuery = `
+    SELECT n.nspname AS type_schema, t.typname AS type_name,
+      md5(string_agg(e.enumlabel, ',' ORDER BY e.enumsortorder)) AS fingerprint
+    FROM pg_type t
+    JOIN pg_namespace n ON n.oid = t.typnamespace
+    JOIN pg_enum e ON t.oid = e.enumtypid
+    WHERE n.nspname NOT IN ('pg_catalog', 'information_schema')
+    GROUP BY n.nspname, t.typname
+    UNION ALL
+    SELECT n.nspname, t.typname,
+      md5(concat_ws('|', format_type(t.typbasetype, t.typtypmod), t.typnotnull, t.typdefault, (
+        SELECT string_agg(pg_get_constraintdef(con.oid), ',' ORDER BY con.conname)
+        FROM pg_constraint con
+        WHERE con.contypid = t.oid
+      )))
+    FROM pg_type t
+    JOIN pg_namespace n ON n.oid = t.typnamespace
+    WHERE t.typtype = 'd' AND n.nspname NOT IN ('pg_catalog', 'information_schema')
+    UNION ALL
+    SELECT n.nspname, t.typname,
+      md5(string_agg(
+        concat_ws('|', a.attname, format_type(a.atttypid, a.atttypmod), col_description(a.attrelid, a.attnum)),
+        ',' ORDER BY a.attnum
+      ))
+    FROM pg_type t
+    JOIN pg_class c ON c.oid = t.typrelid AND c.relkind = 'c'
+    JOIN pg_namespace n ON n.oid = t.typnamespace
+    JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum > 0 AND NOT a.attisdropped
+    WHERE n.nspname NOT IN ('pg_catalog', 'information_schema')
+    GROUP BY n.nspname, t.typname;
+  `;
+  const functionQuery = `
+    SELECT n.nspname AS function_schema, p.proname AS function_name,
+      md5(string_agg(
+        concat_ws('|', p.prokind, pg_get_function_arguments(p.oid), pg_get_function_result(p.oid), obj_description(p.oid, 'pg_proc')),
+        ',' ORDER BY pg_get_function_identity_arguments(p.oid)
+      )) AS fingerprint
+    FROM pg_proc p
+    JOIN pg_namespace n ON n.oid = p.pronamespace
+    WHERE n.nspname = ANY($1) AND p.prokind IN ('f', 'p')
+      AND p.prorettype NOT IN ('trigger'::regtype, 'event_trigger'::regtype)
+    GROUP BY n.nspname, p.proname;
+  `;
+  const roleQuery = `
+    WITH RECURSIVE memberships AS (
+      SELECT oid AS role_oid FROM pg_roles WHERE rolname = $1
+      UNION
+      SELECT m.roleid FROM pg_auth_members m JOIN memberships ON m.member = memberships.role_oid
+    )
+    SELECT md5(string_agg(
+      concat_ws('|', r.rolname, r.rolsuper, r.rolinherit), ',' ORDER BY r.rolname
+    )) AS fingerprint
+    FROM memberships
+    JOIN pg_roles r ON r.oid = memberships.role_oid;
+  `;
+
+  const [tables, types, functions, roles] = await Promise.all([
+    client.query(tableQuery, [schemas]),
+    client.query(typeQuery),
+    client.query(functionQuery, [schemas]),
+    role ? client.query(roleQuery, [role]) : null,
+  ]);
+  const fingerprint = {
+    tables: {},
+    types: {},
+    functions: {},
+    role: roles ? roles.rows[0].fingerprint : null,
+  };
+  for (const row of tables.rows) {
+    fingerprint.tables[qualifiedName(row.table_schema, row.table_name)] = row.fingerprint;
+  }
+  for (const row of types.rows) {
+    fingerprint.types[qualifiedName(row.type_schema, row.type_name)] = row.fingerprint;
+  }
+  for (const row of functions.rows) {
+    fingerprint.functions[qualifiedName(row.function_schema, row.function_name)] = row.fingerprint;
+  }
+  return fingerprint;
+}
+
+/**
+ * The function `getSelectedRelations` retrieves the relations of the given schemas selected by the
+ * `tables`, `include` and `exclude` options of `introspect`.
+ * @param client - A connected `pg` client or pool.
+ * @param schemas - The schema names.
+ * @param selection - The `tables`, `include` and `exclude` options.
+ * @returns an array of relations like those returned by `getRelations`.
+ */
+async function getSelectedRelations(client, schemas, { tables, include, exclude }) {
+  const relations = await getRelations(client, schemas);
+  const selected = relations.filter((relation) =>
+    isTableSelected(relation, tables, include, exclude)
+  );
+  // Tables that were asked for but not found are generated without columns, as before
+  for (const name of tables === "all" ? [] : [].concat(tables)) {
+    const [tableSchema, tableName] = name.includes(".") ? name.split(".") : [schemas[0], name];
+    if (!selected.some((relation) => isTableSelected(relation, name))) {
+      selected.push({
+        schema: tableSchema,
+        name: tableName,
+        kind: "table",
+        isInsertable: true,
+        comment: null,
+      });
+    }
+  }
+  return selected;
+}
+
+/**
+ * The function `readModel` reads the model of the selected relations. The catalog is read with one
+ * query per kind of object for all relations at once, and the queries run concurrently when the
+ * client is a pool.
+ * @param client - A connected `pg` client or pool.
+ * @param source - The name of the source of the model, like "database shop".
+ * @param schemas - The schema names.
+ * @param selection - The `tables`, `include` and `exclude` options of `introspect`.
+ * @param [options] - The other options of `introspect`.
+ * @param [options.role] - The role to read the column privileges of, see `getColumnPrivileges`.
+ * @param [options.functions] - Read the functions and procedures too, see `getFunctions`.
+ * @returns a promise of the model, see `introspect`.
+ */
+async function readModel(client, source, schemas, selection, { role, functions } = {}) {
+  const selected = await getSelectedRelations(client, schemas, selection);
+  const isMaterialized = (relation) => relation.kind === "materialized view";
+  const [columns, attributes, checks, primaryKeys, foreignKeys, privileges, routines] =
+    await Promise.all([
+      getColumns(client, selected.filter((relation) => !isMaterialized(relation))),
+      getAttributeColumns(client, selected.filter(isMaterialized)),
+      getCheckConstraints(client, selected),
+      getPrimaryKeys(client, selected),
+      getForeignKeys(client, selected),
+      role ? getColumnPrivileges(client, selected, role) : null,
+      functions ? getFunctions(client, schemas) : null,
+    ]);
+
+  const model = {
+    source,
+    schemas,
+    ...(role ? { role } : {}),
+    enums: {},
+    domains: {},
+    composites: {},
+    tables: selected.map((relation) => {
+      const key = qualifiedName(relation.schema, relation.name);
+      const table = {
+        ...relation,
+        columns: (isMaterialized(relation) ? attributes[key] : columns[key]) || [],
+        checks: checks[key] || [],
+        primaryKey: primaryKeys[key] || [],
+        foreignKeys: foreignKeys[key] || [],
+      };
+      if (privileges) {
+        table.privileges = privileges[key] || { select: [], insert: [], update: [] };
+      }
+      return table;
+    }),
+  };
+  if (routines) model.functions = routines;
+
+  // The arguments and results of functions use types like the columns of tables
+  const relations = [...model.tables, ...getFunctionRelations(model)];
+  const usedColumns = relations.flatMap((relation) => relation.columns);
+  Object.assign(model, await getTypes(client, schemas, usedColumns));
+  resolveDomains(model);
+  model.composites = selectComposites(model.composites, schemas, relations);
+  return model;
+}
+
+/**
+ * The function `introspect` reads the tables, views, materialized views and foreign tables of one
+ * or more schemas, their columns, and the enum, domain and composite types into a plain model that
+ * can be passed to `generate`. Columns using a domain type are reported with the base type of the
+ * domain and its constraints. Every query is scoped by schema, so tables and types with the same
+ * name in different schemas are kept apart, and batched over the selected relations, so the
+ * number of queries does not grow with the number of tables.
+ * @param options - The introspection options.
+ * @param options.connection - A connection string, `pg` pool options, or an existing `pg` client or
+ * pool. When omitted it is resolved from the environment and the saved profiles, see
+ * `resolveConnection`. Clients passed in are left open.
+ * @param [options.schema=public] - A schema name, an array of schema names, or 'all' for every
+ * schema except the system schemas.
+ * @param [options.tables=all] - A table name, an array of table names, or 'all'. Names can be
+ * qualified with a schema, as in `auth.users`.
+ * @param [options.include] - Globs of the table names to read when `tables` is 'all'.
+ * @param [options.exclude] - Globs of the table names to leave out when `tables` is 'all'.
+ * @param [options.role] - A role whose column privileges restrict the generated schemas: tables
+ * get the `privileges` of the role, see `getColumnPrivileges`, and the model the `role`.
+ * @param [options.functions=false] - Read the functions and procedures of the schemas as the
+ * `functions` of the model, see `getFunctions`.
+ * @param [options.cache] - The path of a snapshot of the model. When the catalog fingerprint (see
+ * `getCatalogFingerprint`) and the options are those of the snapshot, the model is read from it
+ * instead of the catalog; otherwise the snapshot is replaced.
+ * @returns a model of the shape `{ source, schemas, enums, domains, composites,
+ * tables: [{ schema, name, kind, isInsertable, comment, columns, checks, primaryKey, foreignKeys }]
+ * }`, where source names the database, like "database shop", and the types are keyed by qualified
+ * name, like `auth.role`. Columns carry their
+ * `COMMENT ON COLUMN` text as `comment`. With `functions` the model also has the `functions`.
+ */
+async function introspect({
+  connection,
+  schema = "public",
+  tables = "all",
+  include,
+  exclude,
+  role,
+  functions = false,
+  cache,
+} = {}) {
+  const ownsClient = !(connection && typeof connection.query === "function");
+  const client = ownsClient ? createPool(connection) : connection;
+
+  try {
+    const schemas = await resolveSchemas(client, schema);
+    const { rows } = await client.query("SELECT current_database() AS database;");
+    const source = `database ${rows[0].database}`;
+    const selection = { tables, include, exclude };
+    if (!cache) return await readModel(client, source, schemas, selection, { role, functions });
+
+    const fingerprint = await getCatalogFingerprint(client, schemas, role);
+    const key = getCacheKey(fingerprint, { source, schemas, ...selection, role, functions });
+    const cached = readCache(cache, key);
+    if (cached) return cached;
+
+    const model = await readModel(client, source, schemas, selection, { role, functions });
+    writeCache(cache, key, model);
+    return model;
+  } finally {
+    if (ownsClient) await client.end();
+  }
+}
+
+module.exports = {
+  introspect,
+  getSchemas,
+  resolveSchemas,
+  getRelations,
+  getEnumTypes,
+  getDomainTypes,
+  getCompositeTypes,
+  getColumns,
+  getAttributeColumns,
+  getCheckConstraints,
+  getPrimaryKeys,
+  getForeignKeys,
+  getColumnPrivileges,
+  getFunctions,
+  getCatalogFingerprint,
+};
@@ -0,0 +1,99 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/* The backslash escapes of `E'...'` strings that stand for another character. */
+const ESCAPES = { b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" };
+
+/**
+ * The function `tokenize` splits SQL source into tokens, skipping whitespace and comments.
+ * @param sql - The SQL source.
+ * @returns an array of `{ type, value, start, end }` tokens where type is one of "word", "ident"
+ * (quoted identifier), "string", "number" or "punct".
+ */
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+
+  const readQuoted = (quote, allowBackslash) => {
+    let value = "";
+    i++;
+    while (i < sql.length) {
+      const char = sql[i];
+      if (allowBackslash && char === "\\") {
+        value += ESCAPES[sql[i + 1]] || sql[i + 1];
+        i += 2;
+      } else if (char === quote && sql[i + 1] === quote) {
+        value += quote;
+        i += 2;
+      } else if (char === quote) {
+        i++;
+        return value;
+      } else {
+        value += char;
+        i++;
+      }
+    }
+    throw new Error(`Unterminated ${quote} quoted text in SQL`);
+  };
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const start = i;
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "-" && sql[i + 1] === "-") {
+      while (i < sql.length && sql[i] !== "\n") i++;
+    } else if (char === "/" && sql[i + 1] === "*") {
+      let depth = 0;
+      do {
+        if (sql[i] === "/" && sql[i + 1] === "*") {
+          depth++;
+          i += 2;
+        } else if (sql[i] === "*" && sql[i + 1] === "/") {
+          depth--;
+          i += 2;
+        } else {
+          i++;
+        }
+      } while (depth > 0 && i < sql.length);
+    } else if (char === "'") {
+      const value = readQuoted("'", false);
+      tokens.push({ type: "string", value, start, end: i });
+    } else if (/[eE]/.test(char) && sql[i + 1] === "'") {
+      i++;
+      const value = readQuoted("'", true);
+      tokens.push({ type: "string", value, start, end: i });
+    } else if (char === '"') {
+      const value = readQuoted('"', false);
+      tokens.push({ type: "ident", value, start, end: i });
+    } else if (char === "$" && /^\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/.test(sql.slice(i))) {
+      const tag = sql.slice(i).match(/^\$(?:[A-Za-z_][A-Za-z0-9_]*)?\$/)[0];
+      const close = sql.indexOf(tag, i + tag.length);
+      if (close === -1) throw new Error("Unterminated dollar quoted text in SQL");
+      const value = sql.slice(i + tag.length, close);
+      i = close + tag.length;
+      tokens.push({ type: "string", value, start, end: i });
+    } else if (/[0-9]/.test(char) || (char === "." && /[0-9]/.test(sql[i + 1]))) {
+      const value = sql.slice(i).match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/)[0];
+      i += value.length;
+      tokens.push({ type: "number", value, start, end: i });
+    } else if (/[A-Za-z_\u0080-\uffff]/.test(char)) {
+      const value = sql.slice(i).match(/^[A-Za-z_\u0080-\uffff][\w$\u0080-\uffff]*/)[0];
+      i += value.length;
+      tokens.push({ type: "word", value, start, end: i });
+    } else if (char === ":" && sql[i + 1] === ":") {
+      i += 2;
+      tokens.push({ type: "punct", value: "::", start, end: i });
+    } else {
+      i++;
+      tokens.push({ type: "punct", value: char, start, end: i });
+    }
+  }
+
+  return tokens;
+}
+
+module.exports = { tokenize };
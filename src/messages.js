@@ -0,0 +1,204 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/*
+ * The error messages of the generated schemas. Every message is a template of `MESSAGES`, like
+ * `{label} must be at least {min} characters long`, filled in with the label of the column and the
+ * values of the check. The `messages` option replaces templates, e.g. to generate the schemas in
+ * another language, and the `labels` option the labels of columns.
+ *
+ * With the `messageKeys` option the messages are not filled in at generation time. Every message
+ * is the JSON of its key, the key of the label and its values instead, like
+ * `{"key":"min","label":"products.price","min":0}`, and the generated `messages.ts` module exports
+ * the templates, the labels and a `formatMessage` function filling them in at runtime.
+ */
+
+const { getLabel } = require("./comments.js");
+const { findColumnEntry } = require("./utils.js");
+
+/* The message templates, keyed by message key. */
+const MESSAGES = {
+  required: "{label} is required",
+  selected: "{label} must be selected",
+  length: "{label} must be {length} characters long",
+  minLength: "{label} must be at least {min} characters long",
+  maxLength: "{label} must be at most {max} characters long",
+  min: "{label} must be at least {min}",
+  max: "{label} must be at most {max}",
+  gt: "{label} must be greater than {value}",
+  lt: "{label} must be less than {value}",
+  invalid: "{label} is invalid",
+  invalidDate: "{label} must be a valid date",
+  invalidTime: "{label} must be a valid time",
+  invalidUuid: "{label} must be a valid UUID",
+  invalidJson: "{label} must be valid JSON",
+  invalidIpAddress: "{label} must be a valid IP address",
+  invalidMacAddress: "{label} must be a valid MAC address",
+  invalidBitString: "{label} must be a bit string",
+  invalidRange: "{label} must be a valid range",
+  invalidMultirange: "{label} must be a valid multirange",
+  invalidNumber: "{label} must be a valid number",
+  invalidDecimal:
+    "{label} must be a number with at most {integerDigits} digits before and {scale} digits after the decimal point",
+  invalidScale: "{label} must be a number with at most {scale} digits after the decimal point",
+  invalidReference: "{label} must be a valid {entity} reference",
+};
+
+/**
+ * The function `isMessageMap` tells whether a value can be the `messages` option: an object of
+ * template strings keyed by the keys of `MESSAGES`.
+ */
+function isMessageMap(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.entries(value).every(
+      ([key, template]) =>
+        Object.prototype.hasOwnProperty.call(MESSAGES, key) && typeof template === "string"
+    )
+  );
+}
+
+/**
+ * The function `getMessageTemplates` returns the message templates of the generation options: the
+ * `MESSAGES` replaced by `options.messages`.
+ * @param [options] - The generation options, see `generate`.
+ * @returns the templates keyed by message key.
+ */
+function getMessageTemplates(options = {}) {
+  const messages = options.messages || {};
+  const unknown = Object.keys(messages).find(
+    (key) => !Object.prototype.hasOwnProperty.call(MESSAGES, key)
+  );
+  if (unknown !== undefined) {
+    throw new Error(
+      `Unknown message "${unknown}", the messages are ${Object.keys(MESSAGES).join(", ")}`
+    );
+  }
+  return { ...MESSAGES, ...messages };
+}
+
+/**
+ * The function `hasCustomMessages` tells whether the messages of the generation options differ
+ * from the built-in ones, because templates are replaced or `messageKeys` is set.
+ */
+function hasCustomMessages(options = {}) {
+  return Boolean(options.messageKeys) || Object.keys(options.messages || {}).length > 0;
+}
+
+/**
+ * The function `formatTemplate` fills in the `{name}` placeholders of a template. Placeholders
+ * without a value are kept.
+ */
+function formatTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : placeholder
+  );
+}
+
+/**
+ * The function `getLabelKey` returns the key of the label of a column in the labels of the
+ * `messageKeys` option, e.g. "users.created_at". When the model has several schemas the key is
+ * qualified with the schema, e.g. "auth.users.created_at", like the modules of the schemas are
+ * placed in a directory of their own.
+ * @param column - A column of the model.
+ * @param [relation] - The table, composite type or function of the column.
+ * @param [options] - The generation options, with `labelSchemas` set by `withLabelSchemas`.
+ */
+function getLabelKey(column, relation, options = {}) {
+  if (!relation) return column.name;
+  const key = `${relation.name}.${column.name}`;
+  return options.labelSchemas && relation.schema ? `${relation.schema}.${key}` : key;
+}
+
+/**
+ * The function `withLabelSchemas` returns the generation options of a model with `labelSchemas`
+ * set when the model has several schemas, so the label keys of its columns are qualified, see
+ * `getLabelKey`.
+ * @param model - The model returned by `introspect`.
+ * @param options - The generation options, see `generate`.
+ */
+function withLabelSchemas(model, options) {
+  return { ...options, labelSchemas: (model.schemas || []).length > 1 };
+}
+
+/**
+ * The function `getColumnLabel` returns the readable name of a column used in messages: the label
+ * of `options.labels`, keyed by `table.column` like the column overrides, or the label returned by
+ * `getLabel`.
+ * @param column - A column of the model.
+ * @param [relation] - The table, composite type or function of the column.
+ * @param [options] - The generation options, see `generate`.
+ * @returns the label.
+ */
+function getColumnLabel(column, relation, options = {}) {
+  const label = relation && findColumnEntry(options.labels || {}, relation, column);
+  return label === undefined ? getLabel(column) : label;
+}
+
+/**
+ * The function `getColumnMessages` returns what the messages of a column are made of.
+ * @param column - A column of the model.
+ * @param [relation] - The table, composite type or function of the column.
+ * @param [options] - The generation options, see `generate`.
+ * @returns an object with the `label` of the column, see `getColumnLabel`, and the function
+ * `format(key, [values])` returning the message of a key of `MESSAGES` with the given values, or
+ * its JSON with the `messageKeys` option.
+ */
+function getColumnMessages(column, relation, options = {}) {
+  const label = getColumnLabel(column, relation, options);
+  if (options.messageKeys) {
+    const labelKey = getLabelKey(column, relation, options);
+    return {
+      label,
+      format: (key, values = {}) => JSON.stringify({ key, label: labelKey, ...values }),
+    };
+  }
+
+  const templates = getMessageTemplates(options);
+  return {
+    label,
+    format: (key, values = {}) => formatTemplate(templates[key], { ...values, label }),
+  };
+}
+
+/**
+ * The function `getMessageCatalog` returns the catalog the `messages.ts` module of the
+ * `messageKeys` option is rendered from.
+ * @param model - The model returned by `introspect`.
+ * @param [options] - The generation options, see `generate`.
+ * @returns an object with the `messages` templates and the `labels` of the columns of every table,
+ * composite type and function, keyed by `getLabelKey`.
+ */
+function getMessageCatalog(model, options = {}) {
+  options = withLabelSchemas(model, options);
+  // The arguments and results of functions are labelled like the columns of a table of its name
+  const relations = [
+    ...model.tables,
+    ...Object.values(model.composites || {}),
+    ...(model.functions || []).flatMap((fn) =>
+      [fn.args, fn.result]
+        .filter(Boolean)
+        .map((relation) => ({ ...relation, schema: fn.schema, name: fn.name }))
+    ),
+  ];
+  const labels = {};
+  for (const relation of relations) {
+    for (const column of relation.columns) {
+      labels[getLabelKey(column, relation, options)] = getColumnLabel(column, relation, options);
+    }
+  }
+  return { messages: getMessageTemplates(options), labels };
+}
+
+module.exports = {
+  MESSAGES,
+  isMessageMap,
+  hasCustomMessages,
+  getColumnMessages,
+  getMessageCatalog,
+  withLabelSchemas,
+};
@@ -0,0 +1,183 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/*
+ * The conventions of the generated files on disk. Every file starts with a header naming the
+ * version of pgtozod, the source it was generated from and a hash of its contents, so edits can
+ * be told apart from regenerations. Code added by hand between the region markers
+ *
+ *   // pgtozod:custom-start
+ *   // pgtozod:custom-end
+ *
+ * is carried over when a file is regenerated: a region is put back after the generated line it
+ * followed, or at the end of the file when that line is gone.
+ */
+
+const crypto = require("crypto");
+
+const CUSTOM_START = "pgtozod:custom-start";
+const CUSTOM_END = "pgtozod:custom-end";
+
+/* The hash written into a header before the hash of the stamped contents is known. */
+const HASH_PLACEHOLDER = "0".repeat(64);
+const HASH_PATTERN = /pgtozod:hash ([0-9a-f]{64})/;
+
+/* Tells whether a line is a comment holding a region marker, like `// pgtozod:custom-start`. */
+const isMarker = (line, marker) => new RegExp(`^\\s*(//|/\\*)\\s*${marker}\\b`).test(line);
+
+/**
+ * The function `normalizeContents` gives generated contents the same line breaks on every platform:
+ * `\n`, with exactly one at the end of the file.
+ */
+function normalizeContents(contents) {
+  return contents.replace(/\r\n/g, "\n").replace(/\n*$/, "\n");
+}
+
+/**
+ * The function `stampContents` adds the header to the contents of a generated file and fills in
+ * the hash of the stamped contents.
+ * @param contents - The generated contents.
+ * @param text - The first sentence of the header, naming the version and the source.
+ * @param renderHeader - The `renderHeader` function of the emitter, see `emitters/index.js`.
+ * @returns the stamped contents, or the contents unchanged when the emitter has no header.
+ */
+function stampContents(contents, text, renderHeader) {
+  if (!renderHeader) return normalizeContents(contents);
+  const header = { text, hash: `pgtozod:hash ${HASH_PLACEHOLDER}` };
+  const stamped = normalizeContents(renderHeader(header, normalizeContents(contents)));
+  return stamped.replace(HASH_PLACEHOLDER, hashContents(stamped));
+}
+
+/**
+ * The function `hashContents` returns the SHA-256 hash of stamped contents, computed with the
+ * placeholder in place of the hash itself.
+ */
+function hashContents(contents) {
+  const unstamped = contents.replace(HASH_PATTERN, `pgtozod:hash ${HASH_PLACEHOLDER}`);
+  return crypto.createHash("sha256").update(unstamped).digest("hex");
+}
+
+/**
+ * The function `splitRegions` splits file contents into generated lines and custom regions. The
+ * blank lines right before a region belong to it, and a region without an end marker runs to the
+ * end of the file.
+ * @param contents - The file contents.
+ * @returns an object with the generated `lines` and the `regions`, where every region has its
+ * `lines` including the markers, the generated line it follows as `anchor` (null at the top of
+ * the file) with the number of times that line occurs up to there as `occurrence`, and whether it
+ * is `atEnd`, with only blank lines after it.
+ */
+function splitRegions(contents) {
+  const lines = [];
+  const regions = [];
+  const counts = new Map();
+  const source = contents.replace(/\r\n/g, "\n").split("\n");
+
+  for (let i = 0; i < source.length; i++) {
+    if (!isMarker(source[i], CUSTOM_START)) {
+      lines.push(source[i]);
+      const key = anchorKey(source[i]);
+      counts.set(key, (counts.get(key) || 0) + 1);
+      continue;
+    }
+    let end = source.findIndex((line, index) => index > i && isMarker(line, CUSTOM_END));
+    if (end === -1) end = source.length - 1;
+    const blank = [];
+    while (lines.length && !lines[lines.length - 1].trim()) {
+      const key = anchorKey(lines[lines.length - 1]);
+      counts.set(key, counts.get(key) - 1);
+      blank.unshift(lines.pop());
+    }
+    const anchor = lines.length ? anchorKey(lines[lines.length - 1]) : null;
+    regions.push({
+      lines: [...blank, ...source.slice(i, end + 1)],
+      anchor,
+      occurrence: anchor === null ? 0 : counts.get(anchor),
+      position: lines.length,
+    });
+    i = end;
+  }
+
+  for (const region of regions) {
+    region.atEnd = lines.slice(region.position).every((line) => !line.trim());
+    delete region.position;
+  }
+  return { lines, regions };
+}
+
+/**
+ * The function `anchorKey` returns the text a region anchor is matched by: the line without the
+ * hash, which changes with every regeneration.
+ */
+function anchorKey(line) {
+  return line.replace(HASH_PATTERN, "pgtozod:hash");
+}
+
+/**
+ * The function `stripRegions` removes the custom regions of file contents, leaving the generated
+ * lines.
+ */
+function stripRegions(contents) {
+  return splitRegions(contents).lines.join("\n");
+}
+
+/**
+ * The function `mergeRegions` carries the custom regions of a file over to its regenerated
+ * contents. A region is inserted after the same occurrence of the generated line it followed, or
+ * at the end of the file when it was at the end or the line is no longer generated.
+ * @param contents - The regenerated contents.
+ * @param current - The contents of the file on disk, or null when there is none.
+ * @returns the regenerated contents with the custom regions.
+ */
+function mergeRegions(contents, current) {
+  const { regions } = current ? splitRegions(current) : { regions: [] };
+  if (!regions.length) return contents;
+
+  const lines = contents.split("\n");
+  // The contents end with a line break, so the last line is empty
+  const last = lines.pop();
+  const placed = new Set();
+  const take = (anchor, occurrence) =>
+    regions
+      .filter((region, index) => {
+        if (region.atEnd || placed.has(index)) return false;
+        if (region.anchor !== anchor || region.occurrence !== occurrence) return false;
+        placed.add(index);
+        return true;
+      })
+      .flatMap((region) => region.lines);
+
+  const merged = take(null, 0);
+  const counts = new Map();
+  for (const line of lines) {
+    const key = anchorKey(line);
+    counts.set(key, (counts.get(key) || 0) + 1);
+    merged.push(line, ...take(key, counts.get(key)));
+  }
+
+  const rest = regions.filter((region, index) => !placed.has(index));
+  return [...merged, ...rest.flatMap((region) => region.lines), last].join("\n");
+}
+
+/**
+ * The function `isEdited` tells whether a generated file was changed outside its custom regions
+ * since it was written, by comparing the hash of its header with the hash of its contents. Files
+ * without a hash are never considered edited.
+ * @param contents - The contents of the file on disk.
+ * @returns a boolean value.
+ */
+function isEdited(contents) {
+  const generated = stripRegions(contents);
+  const match = generated.match(HASH_PATTERN);
+  return Boolean(match) && match[1] !== hashContents(generated);
+}
+
+module.exports = {
+  CUSTOM_START,
+  CUSTOM_END,
+  stampContents,
+  mergeRegions,
+  isEdited,
+};
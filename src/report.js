@@ -0,0 +1,106 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/*
+ * The diagnostics of a run: the warnings about what could not be generated as the database defines
+ * it, and the machine-readable summary printed with `--report json`.
+ */
+
+const { qualifiedName } = require("./utils.js");
+const { version } = require("../package.json");
+
+/* The formats `--report` can print the summary in. */
+const REPORT_FORMATS = ["json"];
+
+/**
+ * The function `getWarnings` returns the warnings about a generated file: the columns of an
+ * unsupported type, the defaults that could not be converted, the CHECK constraints that were
+ * not translated and the functions that were skipped.
+ * @param file - A file returned by `generate`.
+ * @returns an array of messages, empty for files without diagnostics.
+ */
+function getWarnings(file) {
+  const {
+    unsupportedTypes = [],
+    unparsedDefaults = [],
+    untranslatedChecks = [],
+    skippedFunctions = [],
+  } = file.diagnostics || {};
+  // Entries of composite type and function modules name their type or function, those of a table
+  // file belong to the table
+  const relationOf = (entry) =>
+    entry.type || entry.function || qualifiedName(file.schema, file.table);
+
+  return [
+    ...unsupportedTypes.map(
+      (entry) =>
+        `Unsupported data type ${entry.dataType} for column ${relationOf(entry)}.${entry.column}, any value is accepted`
+    ),
+    ...unparsedDefaults.map(
+      (entry) =>
+        `Unhandled default value for column ${relationOf(entry)}.${entry.column} of type ${entry.dataType}: ${entry.default}`
+    ),
+    ...untranslatedChecks.map(
+      (entry) =>
+        `CHECK constraint ${entry.name} on ${relationOf(entry)} was not translated: ${entry.reason}`
+    ),
+    ...skippedFunctions.map(
+      (entry) =>
+        `Function ${entry.function}(${entry.signature}) was not generated: it is ${entry.reason}`
+    ),
+  ];
+}
+
+/**
+ * The function `createReport` summarizes a run for tools reading the output of `--report json`.
+ * @param run - The outcome of the run.
+ * @param [run.model] - The model returned by `introspect`, unless the run failed before.
+ * @param [run.files] - The files returned by `generate`.
+ * @param [run.results] - The results of `check` for the files, with their status on disk before
+ * the run.
+ * @param run.output - The absolute path of the output directory.
+ * @param run.written - Whether the files were written to the output directory.
+ * @param [run.errors] - The errors that stopped the run.
+ * @returns an object with the `version` of pgtozod, the `source` of the model, the `output`
+ * directory, whether the files were `written`, the `tables` with the `columns` generated for them,
+ * the `skipped` columns and their other diagnostics, every file with its `status` and `warnings`,
+ * all `warnings` and the `errors`.
+ */
+function createReport({ model = null, files = [], results = [], output, written, errors = [] }) {
+  const statusOf = (file) => {
+    const result = results.find((other) => other.path === file.path);
+    return result ? result.status : null;
+  };
+
+  return {
+    version,
+    source: model ? model.source || null : null,
+    output,
+    written,
+    tables: files
+      .filter((file) => file.table)
+      .map((file) => ({
+        schema: file.schema,
+        table: file.table,
+        path: file.path,
+        status: statusOf(file),
+        columns: file.columns.map((column) => column.name),
+        ...file.diagnostics,
+      })),
+    files: files.map((file) => ({
+      path: file.path,
+      status: statusOf(file),
+      warnings: getWarnings(file),
+    })),
+    warnings: files.flatMap(getWarnings),
+    errors: errors.map((err) => err.message),
+  };
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  getWarnings,
+  createReport,
+};
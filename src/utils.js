@@ -0,0 +1,190 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+/**
+ * The camelCase function converts a string with underscores to camel case by capitalizing the first
+ * letter of each word after an underscore. Spaces and other characters that can not be part of a
+ * JavaScript identifier, found in quoted names like "First Name", separate words as well, and a
+ * leading digit is prefixed with an underscore, so the result is always a valid identifier.
+ * @param str - The `str` parameter is a string that represents a sentence or phrase written in snake
+ * case, where words are separated by underscores.
+ * @returns a camelCase version of the input string.
+ */
+function camelCase(str) {
+  const identifier = str.replace(/[^\p{ID_Continue}$]+/gu, "_").replace(/_([a-z])/g, function (g) {
+    return g[1].toUpperCase();
+  }).replace(/_/g, '');
+  return /^\p{ID_Start}|^\$/u.test(identifier) ? identifier : `_${identifier}`;
+}
+
+/**
+ * The function converts a snake_case string to a readable name by removing the "_id" suffix of
+ * foreign key columns, capitalizing the first letter of each word, and replacing underscores with
+ * spaces. Only a separate "id" word is removed, so `paid` stays "Paid" and `customer_id` becomes
+ * "Customer".
+ * @param snakeCaseName - The `snakeCaseName` parameter is a string that represents a name in snake
+ * case format. Snake case is a naming convention where words are separated by underscores, and all
+ * letters are lowercase.
+ * @returns a readable name by converting a snake case name to a human-readable format.
+ */
+function getReadableNameFromSnakeCase(snakeCaseName) {
+  const nameWithoutId = snakeCaseName.replace(/(.)_id$/i, "$1");
+  return nameWithoutId.trim().split("_").map(capitalizeFirstLetter).join(" ");
+}
+
+/**
+ * The function capitalizes the first letter of a given string.
+ * @param string - The parameter "string" is a string value that represents the input text that you
+ * want to capitalize the first letter of.
+ * @returns the input string with the first letter capitalized.
+ */
+function capitalizeFirstLetter(string) {
+  return string.charAt(0).toUpperCase() + string.slice(1);
+}
+
+/**
+ * The function validates a table name by checking for invalid characters and reserved words. The
+ * name can be qualified with a schema, as in `auth.users`.
+ * @param tableName - The `tableName` parameter is a string that represents the name of a table in a
+ * database.
+ * @returns a boolean value. It returns true if the tableName is valid and false if it is not valid.
+ */
+function validateTableName(tableName) {
+  const parts = tableName.split(".");
+  if (parts.length > 2) {
+    return false;
+  }
+
+  // Check for invalid characters
+  const invalidChars = /[^a-zA-Z0-9_-]/g;
+  if (parts.some((part) => !part || invalidChars.test(part))) {
+    return false;
+  }
+
+  // Check for reserved words
+  const reservedWords = ["select", "delete", "update"]; // Add more reserved words here
+  if (reservedWords.includes(parts[parts.length - 1].toLowerCase())) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * The function `qualifiedName` returns the key of a schema object, like a table or a type, in the
+ * collections of the model: the schema and the name joined by a dot.
+ */
+function qualifiedName(schema, name) {
+  return `${schema}.${name}`;
+}
+
+/**
+ * The function `matchesGlob` tests a name against a glob pattern, where `*` matches any number of
+ * characters and `?` a single character.
+ * @param name - The name to test, e.g. a table name.
+ * @param pattern - The glob pattern, e.g. `audit_*`.
+ * @returns true when the whole name matches the pattern.
+ */
+function matchesGlob(name, pattern) {
+  const source = pattern
+    .split("*")
+    .map((part) =>
+      part
+        .split("?")
+        .map((literal) => literal.replace(/[.+^${}()|[\]\\]/g, "\\$&"))
+        .join(".")
+    )
+    .join(".*");
+  return new RegExp(`^${source}$`).test(name);
+}
+
+/**
+ * The function `findColumnEntry` looks up the entry of a column in an object keyed by
+ * `table.column` or `schema.table.column`. Keys can be globs, like `*.email`; an exact key wins
+ * over a glob.
+ * @param entries - The object to look in, like the `columns` overrides.
+ * @param relation - The table, composite type or function of the column.
+ * @param column - A column of the relation.
+ * @returns the entry, or undefined when there is none.
+ */
+function findColumnEntry(entries, relation, column) {
+  const names = [`${relation.name}.${column.name}`];
+  if (relation.schema) names.unshift(`${relation.schema}.${names[0]}`);
+
+  const exact = names.find((name) => Object.prototype.hasOwnProperty.call(entries, name));
+  if (exact) return entries[exact];
+  const key = Object.keys(entries).find((pattern) =>
+    names.some((name) => matchesGlob(name, pattern))
+  );
+  return key === undefined ? undefined : entries[key];
+}
+
+/**
+ * The function `isTableSelected` tests whether a table is selected by a table list or by include and
+ * exclude globs. Names and globs can be qualified with a schema, as in `auth.users` or `audit.*`.
+ * @param table - An object with the `schema` and `name` of the table.
+ * @param [tables=all] - A table name, an array of table names, or 'all'. The globs only apply to
+ * 'all'.
+ * @param [include] - A glob or an array of globs the table has to match, when there are any.
+ * @param [exclude] - A glob or an array of globs the table must not match.
+ * @returns a boolean value.
+ */
+function isTableSelected({ schema, name }, tables = "all", include, exclude) {
+  const names = [name, qualifiedName(schema, name)];
+  if (tables !== "all") {
+    return [].concat(tables).some((table) => names.includes(table));
+  }
+
+  const matches = (pattern) => names.some((candidate) => matchesGlob(candidate, pattern));
+  const includes = [].concat(include || []);
+  const excludes = [].concat(exclude || []);
+  return (!includes.length || includes.some(matches)) && !excludes.some(matches);
+}
+
+/**
+ * The function `compareNames` compares two names for sorting. The comparison uses a fixed locale,
+ * so the generated files are ordered the same way on every machine.
+ * @param a - A name.
+ * @param b - Another name.
+ * @returns a negative number, zero or a positive number, like `String.prototype.localeCompare`.
+ */
+function compareNames(a, b) {
+  return a.localeCompare(b, "en");
+}
+
+/**
+ * The function `quote` renders a string as a single quoted JavaScript string literal.
+ */
+function quote(value) {
+  return `'${String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, "\\n")
+    .replace(/\r/g, "\\r")}'`;
+}
+
+/**
+ * The function `toRegExpLiteral` renders a POSIX regular expression as a JavaScript regular
+ * expression literal. The common subset of both syntaxes is the same.
+ * @param pattern - The regular expression source.
+ * @param [flags] - The flags, e.g. "i" for a case insensitive match.
+ */
+function toRegExpLiteral(pattern, flags = "") {
+  return `/${pattern.replace(/\//g, "\\/")}/${flags}`;
+}
+
+module.exports = {
+  camelCase,
+  compareNames,
+  getReadableNameFromSnakeCase,
+  capitalizeFirstLetter,
+  validateTableName,
+  qualifiedName,
+  matchesGlob,
+  findColumnEntry,
+  isTableSelected,
+  quote,
+  toRegExpLiteral,
+};
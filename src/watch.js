@@ -0,0 +1,283 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+const path = require("path");
+const createPool = require("./db.js");
+const { introspect, resolveSchemas, getCatalogFingerprint } = require("./introspect.js");
+const { generate } = require("./generate.js");
+const { qualifiedName, isTableSelected, compareNames } = require("./utils.js");
+
+const NOTIFY_CHANNEL = "pgtozod_ddl";
+
+/* The name of the generated module a file holds, like "enums" for `billing/enums.ts`. */
+const moduleName = (file) => path.posix.basename(file.path).replace(/\.[^.]*$/, "");
+
+/* Event trigger that notifies `NOTIFY_CHANNEL` at the end of every DDL command. It needs to be
+installed by a superuser, see `installWatchTrigger`. */
+const INSTALL_TRIGGER_SQL = `
+  CREATE OR REPLACE FUNCTION pgtozod_notify_ddl() RETURNS event_trigger
+  LANGUAGE plpgsql AS $$
+  BEGIN
+    PERFORM pg_notify('${NOTIFY_CHANNEL}', tg_tag);
+  END;
+  $$;
+  DROP EVENT TRIGGER IF EXISTS pgtozod_ddl_watch;
+  CREATE EVENT TRIGGER pgtozod_ddl_watch ON ddl_command_end
+    EXECUTE PROCEDURE pgtozod_notify_ddl();
+`;
+
+const UNINSTALL_TRIGGER_SQL = `
+  DROP EVENT TRIGGER IF EXISTS pgtozod_ddl_watch;
+  DROP FUNCTION IF EXISTS pgtozod_notify_ddl();
+`;
+
+/**
+ * The function `installWatchTrigger` installs the event trigger that lets `watch` react to DDL
+ * changes immediately instead of polling. Installing event triggers requires superuser rights.
+ * @param client - A connected `pg` client or pool.
+ */
+async function installWatchTrigger(client) {
+  await client.query(INSTALL_TRIGGER_SQL);
+}
+
+/**
+ * The function `uninstallWatchTrigger` removes the event trigger installed by
+ * `installWatchTrigger`.
+ * @param client - A connected `pg` client or pool.
+ */
+async function uninstallWatchTrigger(client) {
+  await client.query(UNINSTALL_TRIGGER_SQL);
+}
+
+/**
+ * The function `changedKeys` returns the keys whose value differs between two objects, including
+ * keys that only exist in one of them.
+ */
+function changedKeys(previous, current) {
+  const keys = new Set([...Object.keys(previous), ...Object.keys(current)]);
+  return Array.from(keys).filter((key) => previous[key] !== current[key]);
+}
+
+/**
+ * The function `watch` generates the schemas once and then keeps the connection open, regenerating
+ * only the tables whose columns, or the enum, domain or composite types they use, changed, and the
+ * function modules when functions, tables or types changed. Changes are detected by polling a
+ * catalog fingerprint, or by listening for the notifications of the event trigger installed by
+ * `installWatchTrigger`.
+ * @param options - The watch options.
+ * @param options.connection - A connection string or `pg` pool options. When omitted it is
+ * resolved from the environment and the saved profiles, see `resolveConnection`.
+ * @param [options.schema=public] - A database schema, an array of schemas, or 'all'.
+ * @param [options.tables=all] - A table name, an array of table names, or 'all'. Names can be
+ * qualified with the schema.
+ * @param [options.include] - Globs of the table names to watch when `tables` is 'all'.
+ * @param [options.exclude] - Globs of the table names to leave out when `tables` is 'all'.
+ * @param [options.role] - A role whose column privileges restrict the schemas, see `introspect`.
+ * @param [options.functions=false] - Generate the schemas of the functions too, see `introspect`.
+ * @param [options.generateOptions] - The options passed to `generate`.
+ * @param [options.interval=2000] - The polling interval in milliseconds.
+ * @param [options.useTrigger=false] - Install the event trigger and wait for its notifications
+ * instead of polling. The trigger is uninstalled again by `close`.
+ * @param options.onChange - Called with the generated files and the schema-qualified names of
+ * dropped tables. The first call contains every file, including the shared files of the target
+ * like `types.ts`; later calls only the affected tables, the enum and composite type files when a
+ * type changed, the function files when they are generated and anything changed, the index files
+ * when tables, types or functions were added or dropped, and the relation and messages files
+ * when relation schemas or message keys are generated.
+ * @param [options.onError] - Called with errors raised while regenerating. Watching continues.
+ * @returns a promise of an object with an async `close` function that stops watching.
+ */
+async function watch({
+  connection,
+  schema = "public",
+  tables = "all",
+  include,
+  exclude,
+  role,
+  functions = false,
+  generateOptions = {},
+  interval = 2000,
+  useTrigger = false,
+  onChange,
+  onError = (err) => console.error(err),
+}) {
+  const pool = createPool(connection);
+  let client;
+  let schemas;
+  try {
+    client = await pool.connect();
+    schemas = await resolveSchemas(client, schema);
+  } catch (err) {
+    // Release the connection, or the pool keeps the process alive
+    if (client) client.release();
+    await pool.end();
+    throw err;
+  }
+  const tableOf = (key) => {
+    const [tableSchema, ...name] = key.split(".");
+    return { schema: tableSchema, name: name.join(".") };
+  };
+  const isSelected = (key) => isTableSelected(tableOf(key), tables, include, exclude);
+
+  let fingerprint = { tables: {}, types: {}, functions: {}, role: null };
+  let model = null;
+  let running = false;
+  let pending = false;
+  let closed = false;
+  let timer = null;
+
+  const refresh = async () => {
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+
+    try {
+      const current = await getCatalogFingerprint(client, schemas, role);
+      const changedTypes = changedKeys(fingerprint.types, current.types);
+      const changedTables = changedKeys(fingerprint.tables, current.tables)
+        .filter(isSelected)
+        .filter((key) => current.tables[key]);
+      const droppedTables = Object.keys(fingerprint.tables).filter(
+        (key) => isSelected(key) && !current.tables[key]
+      );
+      const addedTables = changedTables.filter((key) => !fingerprint.tables[key]);
+      const changedFunctions = changedKeys(fingerprint.functions, current.functions);
+      // Functions can return the rows of tables and use types, so they are all regenerated
+      const functionsChanged =
+        functions &&
+        [changedFunctions, changedTables, droppedTables, changedTypes].some((keys) => keys.length);
+
+      // Tables using a changed type are regenerated too, and every table when the memberships of
+      // the role change its privileges
+      const affected = new Set(changedTables);
+      if (model && current.role !== fingerprint.role) {
+        Object.keys(current.tables).filter(isSelected).forEach((key) => affected.add(key));
+      }
+      if (model && changedTypes.length) {
+        for (const table of model.tables) {
+          // Array columns use the type of their elements, named without the leading underscore
+          const elementType = (column) => column.udtName.replace(/^_/, "");
+          const usesChangedType = (column) =>
+            changedTypes.includes(qualifiedName(column.udtSchema, elementType(column))) ||
+            (column.domainName &&
+              changedTypes.includes(qualifiedName(column.domainSchema, column.domainName)));
+          if (table.columns.some(usesChangedType)) {
+            affected.add(qualifiedName(table.schema, table.name));
+          }
+        }
+      }
+      fingerprint = current;
+
+      if (!affected.size && !droppedTables.length && !changedTypes.length && !functionsChanged) {
+        return;
+      }
+
+      const changes = await introspect({
+        connection: client,
+        schema: schemas,
+        tables: Array.from(affected),
+        role,
+        functions,
+      });
+      const isInitial = !model;
+      const unchanged = model
+        ? model.tables.filter((table) => {
+            const key = qualifiedName(table.schema, table.name);
+            return !affected.has(key) && !droppedTables.includes(key);
+          })
+        : [];
+      model = {
+        ...changes,
+        tables: [...unchanged, ...changes.tables].sort(
+          (a, b) => compareNames(a.schema, b.schema) || compareNames(a.name, b.name)
+        ),
+      };
+
+      const files = generate(changes, generateOptions).filter(
+        (file) =>
+          isInitial ||
+          file.table ||
+          (["enums", "composites"].includes(moduleName(file)) && changedTypes.length) ||
+          (moduleName(file) === "functions" && functionsChanged)
+      );
+      // The index modules list every table, the relation modules compose related tables and the
+      // messages module labels every column, so they are rendered from the whole model
+      const indexChanged =
+        addedTables.length ||
+        droppedTables.length ||
+        changedTypes.length ||
+        (functions && changedFunctions.length);
+      const wholeModel = indexChanged || generateOptions.relations || generateOptions.messageKeys;
+      if (!isInitial && wholeModel) {
+        files.push(
+          ...generate(model, generateOptions).filter(
+            (file) =>
+              (moduleName(file) === "index" && indexChanged) ||
+              ["relations", "messages"].includes(moduleName(file))
+          )
+        );
+      }
+      await onChange(files, droppedTables);
+    } catch (err) {
+      onError(err);
+    } finally {
+      running = false;
+      if (pending && !closed) {
+        pending = false;
+        refresh();
+      }
+    }
+  };
+
+  const schedule = () => {
+    if (closed) return;
+    timer = setTimeout(async () => {
+      await refresh();
+      schedule();
+    }, interval);
+  };
+
+  let triggerInstalled = false;
+  const close = async () => {
+    closed = true;
+    clearTimeout(timer);
+    try {
+      // Nothing listens to the notifications of the trigger once watching stops
+      if (triggerInstalled) await uninstallWatchTrigger(client);
+    } finally {
+      client.release();
+      await pool.end();
+    }
+  };
+
+  try {
+    await refresh();
+
+    if (useTrigger) {
+      await installWatchTrigger(client);
+      triggerInstalled = true;
+      client.on("notification", (message) => {
+        if (message.channel === NOTIFY_CHANNEL) refresh();
+      });
+      await client.query(`LISTEN ${NOTIFY_CHANNEL}`);
+    } else {
+      schedule();
+    }
+  } catch (err) {
+    await close();
+    throw err;
+  }
+
+  return { close };
+}
+
+module.exports = {
+  watch,
+  installWatchTrigger,
+  uninstallWatchTrigger,
+  getCatalogFingerprint,
+};
@@ -0,0 +1,144 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getCheckRefinements, mergeBounds, toJavaScript } = require("../src/checks.js");
+const { parseExpression } = require("../src/expression.js");
+const { parseSql } = require("../src/ddl.js");
+const { generate } = require("../src/generate.js");
+
+const column = (name, dataType) => ({ name, dataType, udtName: dataType, isNullable: false });
+const tableWith = (columns, checks) => ({
+  schema: "public",
+  name: "items",
+  columns,
+  checks: checks.map(([name, definition, ...names]) => ({ name, definition, columns: names })),
+});
+
+describe("getCheckRefinements", () => {
+  it("translates bounds, patterns and lists to constraints", () => {
+    const table = tableWith(
+      [column("qty", "integer"), column("code", "text"), column("status", "text")],
+      [
+        ["qty_check", "(qty > 0) AND (qty <= 10)", "qty"],
+        ["code_check", "char_length(code) = 4", "code"],
+        ["code_pattern", "code ~* '^[a-z]+$'", "code"],
+        ["status_check", "status = ANY (ARRAY['a'::text, 'b'::text])", "status"],
+      ]
+    );
+    const { columns, untranslated } = getCheckRefinements(table);
+
+    assert.deepEqual(columns.qty.constraints, [
+      { kind: "gt", value: 0, message: "Qty must be greater than 0" },
+      { kind: "max", value: 10, message: "Qty must be at most 10" },
+    ]);
+    assert.deepEqual(columns.code.constraints, [
+      { kind: "length", value: 4, message: "Code must be 4 characters long" },
+      { kind: "regex", pattern: "^[a-z]+$", flags: "i", message: "Code is invalid" },
+    ]);
+    assert.deepEqual(columns.status, { constraints: [], enumValues: ["a", "b"] });
+    assert.deepEqual(untranslated, []);
+  });
+
+  it("refines other checks of a column with a JavaScript test", () => {
+    const table = tableWith([column("qty", "integer")], [["even", "qty % 2 = 0", "qty"]]);
+
+    assert.deepEqual(getCheckRefinements(table).columns.qty.constraints, [
+      { kind: "refine", test: "((value % 2) === 0)", message: "Qty is invalid" },
+    ]);
+  });
+
+  it("turns checks on several columns into object checks", () => {
+    const table = tableWith(
+      [column("low", "integer"), column("high", "integer")],
+      [["range", "low < high", "low", "high"]]
+    );
+
+    assert.deepEqual(getCheckRefinements(table).objectChecks, [
+      {
+        name: "range",
+        columns: ["low", "high"],
+        violation: "data.low != null && data.high != null && !(data.low < data.high)",
+      },
+    ]);
+  });
+
+  it("reports the checks it can not translate", () => {
+    const table = tableWith([column("code", "text")], [["valid", "is_valid(code)", "code"]]);
+
+    assert.deepEqual(getCheckRefinements(table).untranslated, [
+      {
+        name: "valid",
+        definition: "is_valid(code)",
+        reason: "Can not translate function is_valid()",
+      },
+    ]);
+  });
+});
+
+describe("toJavaScript", () => {
+  it("renders SQL operators with their JavaScript counterparts", () => {
+    const node = parseExpression("a <> 1 AND b IS NULL OR c IN (1, 2)");
+
+    assert.equal(
+      toJavaScript(node, (name) => `data.${name}`),
+      "(((data.a !== 1) && (data.b == null)) || [1, 2].includes(data.c))"
+    );
+  });
+});
+
+describe("mergeBounds", () => {
+  const bound = (kind, value) => ({ kind, value, message: `${kind} ${value}` });
+
+  it("keeps the tightest constraint on each side", () => {
+    const { constraints } = mergeBounds(
+      [],
+      [bound("gt", 0), bound("min", 5), bound("lt", 10), bound("max", 8), bound("max", 8)]
+    );
+
+    assert.deepEqual(constraints, [bound("min", 5), bound("max", 8)]);
+  });
+
+  it("drops the checks of the type that a constraint makes redundant", () => {
+    assert.deepEqual(mergeBounds([bound("min", 1)], [bound("min", 3)]), {
+      checks: [],
+      constraints: [bound("min", 3)],
+    });
+    assert.deepEqual(mergeBounds([bound("min", 1)], [bound("min", 1)]), {
+      checks: [bound("min", 1)],
+      constraints: [],
+    });
+  });
+
+  it("keeps looser constraints when an override may replace the checks", () => {
+    const checks = [bound("length", 4)];
+
+    assert.deepEqual(mergeBounds(checks, [bound("max", 40)]), { checks, constraints: [] });
+    assert.deepEqual(mergeBounds(checks, [bound("max", 40)], true), {
+      checks,
+      constraints: [bound("max", 40)],
+    });
+  });
+});
+
+describe("generating CHECK constraints", () => {
+  it("validates a column once per bound", () => {
+    const model = parseSql(`
+      CREATE TABLE items (
+        code char(4) NOT NULL CHECK (char_length(code) <= 40),
+        name text NOT NULL CHECK (length(name) >= 3),
+        qty integer NOT NULL CHECK (qty > 0) CHECK (qty >= 5)
+      );
+    `);
+    const [file] = generate(model, { target: "zod3", header: false }).filter((f) =>
+      f.path.endsWith("item.ts")
+    );
+
+    assert.match(file.contents, /code: z\.string\(\)\.length\(4, '[^']*'\),/);
+    assert.match(file.contents, /name: z\.string\(\)\.min\(3, '[^']*'\),/);
+    assert.match(file.contents, /qty: z\.number\(\)\.min\(5, '[^']*'\),/);
+  });
+});
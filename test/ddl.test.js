@@ -0,0 +1,139 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSql } = require("../src/ddl.js");
+const { generate } = require("../src/generate.js");
+
+const tableOf = (model, name) => model.tables.find((table) => table.name === name);
+const columnOf = (table, name) => table.columns.find((column) => column.name === name);
+
+describe("parseSql", () => {
+  it("reads the columns of a table", () => {
+    const model = parseSql(`
+      CREATE TABLE users (
+        id integer GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+        name varchar(40) NOT NULL,
+        balance numeric(10, 2) DEFAULT 0,
+        tags text[][]
+      );
+    `);
+    const users = tableOf(model, "users");
+
+    assert.deepEqual(
+      users.columns.map((column) => column.name),
+      ["id", "name", "balance", "tags"]
+    );
+    assert.deepEqual(users.primaryKey, ["id"]);
+    assert.equal(columnOf(users, "id").identityGeneration, "ALWAYS");
+    assert.equal(columnOf(users, "name").dataType, "character varying");
+    assert.equal(columnOf(users, "name").maxLength, 40);
+    assert.equal(columnOf(users, "name").isNullable, false);
+    assert.equal(columnOf(users, "balance").numericPrecision, 10);
+    assert.equal(columnOf(users, "balance").numericScale, 2);
+    assert.equal(columnOf(users, "balance").defaultValue, "0");
+    assert.equal(columnOf(users, "tags").dataType, "ARRAY");
+    assert.equal(columnOf(users, "tags").arrayDimensions, 2);
+  });
+
+  it("keeps the case and spaces of quoted identifiers", () => {
+    const model = parseSql(`CREATE TABLE "Order Lines" ("First Name" text, "line-no" int);`);
+    const table = tableOf(model, "Order Lines");
+
+    assert.deepEqual(
+      table.columns.map((column) => column.name),
+      ["First Name", "line-no"]
+    );
+  });
+
+  it("reads enums, domains, comments and constraints", () => {
+    const model = parseSql(`
+      CREATE TYPE mood AS ENUM ('sad', 'happy');
+      CREATE DOMAIN email AS text CHECK (VALUE ~* '@');
+      CREATE TABLE users (id serial PRIMARY KEY, mood mood DEFAULT 'happy', mail email);
+      CREATE TABLE posts (
+        id serial PRIMARY KEY,
+        user_id int REFERENCES users (id),
+        body text,
+        CHECK (length(body) < 10)
+      );
+      COMMENT ON COLUMN users.mood IS 'How they feel';
+      ALTER TABLE posts ADD COLUMN title text NOT NULL DEFAULT 'untitled';
+    `);
+    const users = tableOf(model, "users");
+    const posts = tableOf(model, "posts");
+
+    assert.deepEqual(model.enums["public.mood"], ["sad", "happy"]);
+    assert.deepEqual(model.domains["public.email"].checks, [
+      { name: "email_check", definition: "VALUE ~* '@'" },
+    ]);
+    assert.equal(columnOf(users, "mood").comment, "How they feel");
+    assert.equal(columnOf(users, "mood").defaultValue, "'happy'::mood");
+    assert.equal(columnOf(users, "id").defaultValue, "nextval('users_id_seq'::regclass)");
+    assert.deepEqual(posts.checks, [
+      { name: "posts_body_check", definition: "length(body) < 10", columns: ["body"] },
+    ]);
+    assert.deepEqual(posts.foreignKeys[0].columns, ["user_id"]);
+    assert.equal(posts.foreignKeys[0].references.table, "users");
+    assert.equal(columnOf(posts, "title").defaultValue, "'untitled'::text");
+  });
+
+  it("skips comments, dollar quoted bodies and the data rows of COPY statements", () => {
+    const model = parseSql(
+      [
+        "-- CREATE TABLE commented (id int);",
+        "/* CREATE TABLE also_commented (id int); */",
+        "CREATE FUNCTION f() RETURNS int AS $$ CREATE TABLE in_body (id int); $$ LANGUAGE sql;",
+        "CREATE TABLE items (id int, note text);",
+        "COPY public.items (id, note) FROM stdin;",
+        "1\tCREATE TABLE in_data (id int);",
+        "2\tit's; not SQL",
+        "\\.",
+        "CREATE TABLE after_copy (id int);",
+      ].join("\r\n")
+    );
+
+    assert.deepEqual(model.tables.map((table) => table.name).sort(), ["after_copy", "items"]);
+  });
+
+  it("selects the tables of the schema option", () => {
+    const sql = `
+      CREATE SCHEMA auth;
+      CREATE TABLE auth.accounts (id int);
+      CREATE TABLE posts (id int);
+    `;
+
+    assert.deepEqual(
+      parseSql(sql, { schema: "auth" }).tables.map((table) => table.name),
+      ["accounts"]
+    );
+    assert.deepEqual(
+      parseSql(sql, { tables: "posts" }).tables.map((table) => table.name),
+      ["posts"]
+    );
+  });
+});
+
+describe("generating from SQL", () => {
+  it("turns a table into insert and update schemas", () => {
+    const model = parseSql(`
+      CREATE TABLE "order lines" (
+        id integer GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+        "First Name" text NOT NULL,
+        quantity integer NOT NULL CHECK (quantity > 0)
+      );
+    `);
+    const [file] = generate(model, { target: "zod3", header: false }).filter((f) =>
+      f.path.endsWith("orderLine.ts")
+    );
+
+    assert.match(file.contents, /export const orderLineInsertSchema = z\.object\(\{/);
+    assert.match(file.contents, /FirstName: z\.string\(\)\.min\(1, 'First Name is required'\)/);
+    assert.match(file.contents, /quantity: z\.number\(\)\.gt\(0, 'Quantity must be greater/);
+    // The identity key of the update schema has the type of the select schema
+    assert.match(file.contents, /InsertSchema\.partial\(\)\.extend\(\{\n {2}id: z\.number\(\),/);
+  });
+});
@@ -0,0 +1,81 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getDefaultKind, parseDefaultValue } = require("../src/defaults.js");
+const { parseSql } = require("../src/ddl.js");
+const { generate } = require("../src/generate.js");
+
+const parse = (value, dataType, udtName = dataType, enums = {}) =>
+  parseDefaultValue(value, dataType, enums, udtName, "number");
+
+describe("getDefaultKind", () => {
+  it("tells literal defaults from those the server computes", () => {
+    assert.equal(getDefaultKind({ defaultValue: "1" }), "literal");
+    assert.equal(getDefaultKind({ defaultValue: "now()" }), "server");
+    assert.equal(getDefaultKind({ defaultValue: "nextval('items_id_seq'::regclass)" }), "server");
+    assert.equal(
+      getDefaultKind({ isIdentity: true, identityGeneration: "ALWAYS" }),
+      "identity-always"
+    );
+  });
+});
+
+describe("parseDefaultValue", () => {
+  it("escapes quotes, backslashes and line breaks of strings", () => {
+    assert.equal(parse("'it''s'::text", "text"), "'it\\'s'");
+    assert.equal(parse("'C:\\dir'::text", "text"), "'C:\\\\dir'");
+    assert.equal(parse("E'line1\\nline2\\r'::text", "text"), "'line1\\nline2\\r'");
+  });
+
+  it("escapes the elements of array defaults", () => {
+    assert.equal(
+      parse("ARRAY[E'x\\ny', 'it''s']::text[]", "ARRAY", "_text"),
+      "['x\\ny', 'it\\'s']"
+    );
+    assert.equal(parse(`'{"a b","c\\"d",e}'::text[]`, "ARRAY", "_text"), "['a b', 'c\"d', 'e']");
+  });
+
+  it("produces source that evaluates to the default", () => {
+    const source = parse("E'tab\\there\\nquote '' and \\\\'::text", "text");
+    assert.equal(new Function(`return ${source};`)(), "tab\there\nquote ' and \\");
+  });
+
+  it("converts booleans, numbers, enums and JSON", () => {
+    assert.equal(parse("true", "boolean"), true);
+    assert.equal(parse("'-1.5'::numeric", "numeric"), -1.5);
+    assert.equal(parse("'happy'::mood", "USER-DEFINED", "mood", { mood: ["happy"] }), "'happy'");
+    assert.equal(parse(`'{"a": 1}'::jsonb`, "jsonb"), '{"a":1}');
+  });
+
+  it("converts dates and timestamps with fractions and offsets", () => {
+    assert.equal(parse("'2024-01-02'::date", "date"), "new Date('2024-01-02')");
+    assert.equal(
+      parse("'2024-01-02 03:04:05.123+02'::timestamp with time zone", "timestamp with time zone"),
+      "new Date('2024-01-02T01:04:05.123+00:00')"
+    );
+  });
+
+  it("leaves out the defaults the server computes", () => {
+    assert.equal(parse("now()", "timestamp with time zone"), undefined);
+  });
+});
+
+describe("generating defaults", () => {
+  it("keeps escaped defaults on one line of the generated source", () => {
+    const model = parseSql(`
+      CREATE TABLE notes (
+        body text NOT NULL DEFAULT E'line1\\nline2',
+        tags text[] NOT NULL DEFAULT ARRAY[E'x\\ny']
+      );
+    `);
+    const options = { target: "zod3", excludeDefaults: false, header: false };
+    const [file] = generate(model, options).filter((f) => f.path.endsWith("note.ts"));
+
+    assert.match(file.contents, /\.default\('line1\\nline2'\),/);
+    assert.match(file.contents, /\.default\(\['x\\ny'\]\),/);
+  });
+});
@@ -0,0 +1,114 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseExpression, unwrapCasts, getColumnReferences } = require("../src/expression.js");
+
+const column = (name) => ({ type: "column", name });
+const number = (value) => ({ type: "number", value, text: String(value) });
+
+describe("parseExpression", () => {
+  it("parses comparisons as deparsed by PostgreSQL", () => {
+    assert.deepEqual(parseExpression("(price >= (0)::numeric)"), {
+      type: "binary",
+      operator: ">=",
+      left: column("price"),
+      right: { type: "cast", expression: number(0), dataType: "numeric" },
+    });
+  });
+
+  it("binds operators by precedence", () => {
+    assert.deepEqual(parseExpression("a > 1 AND b < 2 OR c = 3"), {
+      type: "binary",
+      operator: "or",
+      left: {
+        type: "binary",
+        operator: "and",
+        left: { type: "binary", operator: ">", left: column("a"), right: number(1) },
+        right: { type: "binary", operator: "<", left: column("b"), right: number(2) },
+      },
+      right: { type: "binary", operator: "=", left: column("c"), right: number(3) },
+    });
+    assert.deepEqual(parseExpression("1 + 2 * 3"), {
+      type: "binary",
+      operator: "+",
+      left: number(1),
+      right: { type: "binary", operator: "*", left: number(2), right: number(3) },
+    });
+  });
+
+  it("parses BETWEEN, IN, ANY and IS NULL", () => {
+    assert.deepEqual(parseExpression("qty BETWEEN 1 AND 10"), {
+      type: "between",
+      expression: column("qty"),
+      low: number(1),
+      high: number(10),
+      negated: false,
+    });
+    assert.deepEqual(parseExpression("x NOT IN (1, 2)"), {
+      type: "in",
+      expression: column("x"),
+      list: [number(1), number(2)],
+      negated: true,
+    });
+    assert.deepEqual(parseExpression("status = ANY (ARRAY['a'::text])"), {
+      type: "any",
+      quantifier: "any",
+      operator: "=",
+      left: column("status"),
+      right: {
+        type: "array",
+        elements: [{ type: "cast", expression: { type: "string", value: "a" }, dataType: "text" }],
+      },
+    });
+    assert.deepEqual(parseExpression("b IS NOT NULL"), {
+      type: "isNull",
+      expression: column("b"),
+      negated: true,
+    });
+  });
+
+  it("parses literals, functions and keywords", () => {
+    assert.deepEqual(parseExpression("-5"), { type: "number", value: -5, text: "-5" });
+    assert.deepEqual(parseExpression("E'a\\nb'"), { type: "string", value: "a\nb" });
+    assert.deepEqual(parseExpression("'it''s'"), { type: "string", value: "it's" });
+    assert.deepEqual(parseExpression("NULL"), { type: "null" });
+    assert.deepEqual(parseExpression("CURRENT_TIMESTAMP"), {
+      type: "keyword",
+      value: "current_timestamp",
+    });
+    assert.deepEqual(parseExpression("lower(name)"), {
+      type: "function",
+      name: "lower",
+      args: [column("name")],
+    });
+    assert.deepEqual(parseExpression('"Line No" > 0').left, column("Line No"));
+  });
+
+  it("reads multi word type names of casts", () => {
+    assert.equal(parseExpression("x::character varying(10)").dataType, "character varying");
+    assert.equal(parseExpression("'{1,2}'::integer[]").dataType, "integer[]");
+  });
+
+  it("rejects incomplete expressions", () => {
+    assert.throws(() => parseExpression("a >"), /Unexpected end of expression/);
+    assert.throws(() => parseExpression("(a"), /Expected '\)'/);
+    assert.throws(() => parseExpression("a b c"), /Unexpected 'b'/);
+  });
+});
+
+describe("unwrapCasts", () => {
+  it("returns the expression inside casts", () => {
+    assert.deepEqual(unwrapCasts(parseExpression("((code)::text)::varchar")), column("code"));
+  });
+});
+
+describe("getColumnReferences", () => {
+  it("lists every column an expression uses once", () => {
+    const node = parseExpression("(a < b) AND lower(c) = 'x' AND a IS NOT NULL");
+    assert.deepEqual(getColumnReferences(node), ["a", "b", "c"]);
+  });
+});
@@ -0,0 +1,59 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { tokenize } = require("../src/lexer.js");
+
+const tokensOf = (sql) => tokenize(sql).map(({ type, value }) => [type, value]);
+
+describe("tokenize", () => {
+  it("splits words, numbers and punctuation", () => {
+    assert.deepEqual(tokensOf("price::numeric >= 1.5e3"), [
+      ["word", "price"],
+      ["punct", "::"],
+      ["word", "numeric"],
+      ["punct", ">"],
+      ["punct", "="],
+      ["number", "1.5e3"],
+    ]);
+  });
+
+  it("unquotes strings and identifiers", () => {
+    assert.deepEqual(tokensOf(`'it''s' E'a\\nb\\'c' "Line ""No"""`), [
+      ["string", "it's"],
+      ["string", "a\nb'c"],
+      ["ident", 'Line "No"'],
+    ]);
+  });
+
+  it("reads dollar quoted strings", () => {
+    assert.deepEqual(tokensOf("$$ a 'b' $$ $body$ c; $$ d $body$"), [
+      ["string", " a 'b' "],
+      ["string", " c; $$ d "],
+    ]);
+  });
+
+  it("skips comments and whitespace", () => {
+    assert.deepEqual(tokensOf("a -- b\n/* c /* nested */ d */ e"), [
+      ["word", "a"],
+      ["word", "e"],
+    ]);
+  });
+
+  it("keeps the position of every token", () => {
+    assert.deepEqual(
+      tokenize("  ab 'c'").map(({ start, end }) => [start, end]),
+      [
+        [2, 4],
+        [5, 8],
+      ]
+    );
+  });
+
+  it("rejects unterminated strings", () => {
+    assert.throws(() => tokenize("'abc"), /Unterminated ' quoted text/);
+  });
+});
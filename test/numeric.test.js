@@ -0,0 +1,128 @@
+/*
+ * This file is part of ProjectName, licensed under the MIT License (MIT).
+ * See the LICENSE file in the project root for more information.
+ */
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { getNumericRepresentation } = require("../src/builtins.js");
+const { getCheckRefinements } = require("../src/checks.js");
+const { parseDefaultValue } = require("../src/defaults.js");
+const { parseSql } = require("../src/ddl.js");
+const { generate } = require("../src/generate.js");
+
+const column = (name, dataType, numericScale = null) => ({
+  name,
+  dataType,
+  udtName: dataType,
+  numericScale,
+  isNullable: false,
+});
+
+describe("getNumericRepresentation", () => {
+  it("represents columns as the numeric mode allows", () => {
+    const represent = (numericMode) =>
+      [
+        column("id", "bigint"),
+        column("count", "numeric", 0),
+        column("price", "numeric", 2),
+        column("qty", "integer"),
+      ].map((c) => getNumericRepresentation(c, numericMode));
+
+    assert.deepEqual(represent("number"), ["number", "number", "number", "number"]);
+    assert.deepEqual(represent("bigint"), ["bigint", "bigint", "string", "number"]);
+    assert.deepEqual(represent("string"), ["string", "string", "string", "number"]);
+  });
+});
+
+describe("CHECK constraints in numeric modes", () => {
+  const table = {
+    schema: "public",
+    name: "items",
+    columns: [column("qty", "bigint"), column("price", "numeric", 2)],
+    checks: [
+      { name: "qty_positive", definition: "qty > 0", columns: ["qty"] },
+      { name: "qty_nonzero", definition: "qty <> 0", columns: ["qty"] },
+      { name: "qty_level", definition: "qty IN (1, 2, 3)", columns: ["qty"] },
+      { name: "price_positive", definition: "price >= 0", columns: ["price"] },
+    ],
+  };
+
+  it("gives bigint columns integer bounds", () => {
+    const { columns } = getCheckRefinements(table, { numericMode: "bigint" });
+
+    assert.deepEqual(columns.qty.constraints, [
+      { kind: "gt", value: 0, message: "Qty must be greater than 0" },
+    ]);
+    assert.equal(columns.price, undefined);
+  });
+
+  it("reports the checks JavaScript would compare with numbers", () => {
+    const reasons = (numericMode) =>
+      getCheckRefinements(table, { numericMode }).untranslated.map(({ name, reason }) => [
+        name,
+        reason,
+      ]);
+
+    assert.deepEqual(reasons("number"), []);
+    assert.deepEqual(reasons("bigint"), [
+      ["qty_nonzero", "Column qty is represented as a bigint"],
+      ["qty_level", "Column qty is represented as a bigint"],
+      ["price_positive", "Column price is represented as a string"],
+    ]);
+    assert.deepEqual(
+      reasons("string").map(([name]) => name),
+      ["qty_positive", "qty_nonzero", "qty_level", "price_positive"]
+    );
+  });
+});
+
+describe("numeric defaults", () => {
+  it("are literals of the representation", () => {
+    const parse = (value, representation) =>
+      parseDefaultValue(value, "numeric", {}, "numeric", representation);
+
+    assert.equal(parse("12345678901234567890", "bigint"), "12345678901234567890n");
+    assert.equal(parse("'1.50'::numeric", "string"), "'1.50'");
+    assert.equal(parse("'1.50'::numeric", "number"), 1.5);
+  });
+
+  it("represent the elements of arrays like the array type", () => {
+    const parse = (value, representation) =>
+      parseDefaultValue(value, "ARRAY", {}, "_int8", representation);
+
+    assert.equal(parse("ARRAY[1, 2]", "bigint"), "[1n, 2n]");
+    assert.equal(parse("'{1,2}'::bigint[]", "string"), "['1', '2']");
+  });
+});
+
+describe("generating in numeric modes", () => {
+  const model = parseSql(`
+    CREATE TABLE items (
+      id bigint PRIMARY KEY,
+      qty bigint NOT NULL CHECK (qty > 0),
+      total numeric(30, 0) NOT NULL DEFAULT 12345678901234567890
+    );
+  `);
+  const render = (target, numericMode) =>
+    generate(model, { target, numericMode, excludeDefaults: false, header: false }).find((f) =>
+      f.path.endsWith("item.ts")
+    ).contents;
+
+  it("validates bigints with bigint bounds and defaults", () => {
+    const zod = render("zod4", "bigint");
+    assert.match(zod, /qty: z\.bigint\(\)\.gt\(0n, 'Qty must be greater than 0'\)/);
+    assert.match(zod, /total: z\.bigint\(\)\.default\(12345678901234567890n\)/);
+
+    const valibot = render("valibot", "bigint");
+    assert.match(valibot, /qty: v\.pipe\(v\.bigint\(\), v\.gtValue\(0n, 'Qty must be greater/);
+  });
+
+  it("validates decimal strings without number bounds", () => {
+    const zod = render("zod4", "string");
+    const qty = zod.split("\n").filter((line) => line.startsWith("  qty: "));
+    assert.ok(qty.length > 0);
+    assert.ok(qty.every((line) => line.endsWith("after the decimal point'),")), qty.join("\n"));
+    assert.match(zod, /CHECK constraint items_qty_check was not translated/);
+  });
+});